@@ -2,6 +2,8 @@ import React, { useEffect } from 'react'
 import { Header } from '@/components/Header'
 import { BrowseTokensView } from '@/components/BrowseTokensView'
 import { ExportManager } from '@/components/ExportManager'
+import { CollectionManager } from '@/components/CollectionManager'
+import { DependencyGraphView } from '@/components/DependencyGraphView'
 import { useTokenStore } from '@/store/tokenStore'
 import { NavigationPage } from '@/types/token'
 
@@ -87,22 +89,22 @@ const sampleTokens = {
   themes: {
     background: { 
       $type: 'color', 
-      $value: JSON.stringify({ light: '#ffffff', dark: '#1a1a1a' }), 
+      $value: { light: '#ffffff', dark: '#1a1a1a' }, 
       $description: 'Theme-aware background color' 
     },
     surface: { 
       $type: 'color', 
-      $value: JSON.stringify({ light: '#f8f9fa', dark: '#2d2d2d' }), 
+      $value: { light: '#f8f9fa', dark: '#2d2d2d' }, 
       $description: 'Theme-aware surface color' 
     },
     text: { 
       $type: 'color', 
-      $value: JSON.stringify({ light: '#212529', dark: '#ffffff' }), 
+      $value: { light: '#212529', dark: '#ffffff' }, 
       $description: 'Theme-aware text color' 
     },
     primary: { 
       $type: 'color', 
-      $value: JSON.stringify({ light: '#3b82f6', dark: '#60a5fa' }), 
+      $value: { light: '#3b82f6', dark: '#60a5fa' }, 
       $description: 'Theme-aware primary color' 
     }
   }
@@ -120,12 +122,8 @@ function App() {
   const pageComponents: Record<NavigationPage, React.ReactElement> = {
     'browse-tokens': <BrowseTokensView />,
     'export-manager': <ExportManager />,
-    'manage-collections': (
-      <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold mb-4">Manage Collections</h1>
-        <p className="text-muted-foreground">Collection management features coming soon...</p>
-      </div>
-    )
+    'manage-collections': <CollectionManager />,
+    'dependency-graph': <DependencyGraphView />
   }
 
   const renderMainContent = () => {
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronRight } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { useTokenStore } from '@/store/tokenStore'
+import { AliasDiagnostic, AliasDiagnosticKind, ALIAS_DIAGNOSTIC_LABELS, getAliasDiagnostics } from '@/lib/aliasDiagnostics'
+
+// Longer lists are cut short; the counts still cover everything
+const MAX_LISTED_DIAGNOSTICS = 100
+
+export function AliasDiagnosticsPanel() {
+  const {
+    tokens,
+    strictAliases,
+    setStrictAliases,
+    setSelectedTokens,
+    setSearchQuery,
+    setFilterByType
+  } = useTokenStore()
+  const [expanded, setExpanded] = useState(false)
+
+  const diagnostics = getAliasDiagnostics(tokens)
+  const counts = diagnostics.reduce((acc, diagnostic) => {
+    acc[diagnostic.kind] = (acc[diagnostic.kind] ?? 0) + 1
+    return acc
+  }, {} as Partial<Record<AliasDiagnosticKind, number>>)
+
+  // Clear the filters so the rows are in the table, then select them
+  const showInTable = (tokenKeys: string[]) => {
+    setSearchQuery('')
+    setFilterByType('')
+    setSelectedTokens(tokenKeys)
+  }
+
+  return (
+    <div className="border rounded-lg mb-4">
+      <div className="flex items-center justify-between gap-4 px-3 py-2">
+        <button
+          type="button"
+          className="flex items-center gap-2 text-sm font-medium disabled:cursor-default"
+          onClick={() => setExpanded(!expanded)}
+          disabled={diagnostics.length === 0}
+        >
+          {diagnostics.length === 0 ? (
+            <>
+              <CheckCircle className="h-4 w-4 text-green-600" />
+              No alias problems
+            </>
+          ) : (
+            <>
+              {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+              <AlertTriangle className="h-4 w-4 text-red-500" />
+              {diagnostics.length} alias {diagnostics.length === 1 ? 'problem' : 'problems'}
+            </>
+          )}
+        </button>
+
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-1">
+            {(Object.keys(counts) as AliasDiagnosticKind[]).map(kind => (
+              <Badge key={kind} variant="outline" className="text-xs">
+                {ALIAS_DIAGNOSTIC_LABELS[kind]}: {counts[kind]}
+              </Badge>
+            ))}
+          </div>
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="strict-aliases"
+              checked={strictAliases}
+              onCheckedChange={(checked) => setStrictAliases(!!checked)}
+            />
+            <label
+              htmlFor="strict-aliases"
+              className="text-sm"
+              title="Block exports while any alias problem is left"
+            >
+              Strict
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {expanded && diagnostics.length > 0 && (
+        <div className="border-t max-h-64 overflow-y-auto divide-y">
+          {diagnostics.slice(0, MAX_LISTED_DIAGNOSTICS).map((diagnostic, index) => (
+            <DiagnosticRow key={index} diagnostic={diagnostic} onShow={showInTable} />
+          ))}
+          {diagnostics.length > MAX_LISTED_DIAGNOSTICS && (
+            <p className="px-3 py-2 text-xs text-muted-foreground">
+              …and {diagnostics.length - MAX_LISTED_DIAGNOSTICS} more
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DiagnosticRow({
+  diagnostic,
+  onShow
+}: {
+  diagnostic: AliasDiagnostic
+  onShow: (tokenKeys: string[]) => void
+}) {
+  return (
+    <div className="flex items-start justify-between gap-3 px-3 py-2 text-sm">
+      <div className="min-w-0 space-y-1">
+        <div className="flex items-center gap-2">
+          <Badge variant={diagnostic.kind === 'type-mismatch' ? 'secondary' : 'destructive'} className="text-xs">
+            {ALIAS_DIAGNOSTIC_LABELS[diagnostic.kind]}
+          </Badge>
+          {!diagnostic.loop && <span className="break-all">{diagnostic.message}</span>}
+        </div>
+        {diagnostic.loop && (
+          <div className="flex flex-wrap items-center gap-1 text-xs">
+            {diagnostic.loop.map((key, index) => (
+              <span key={index} className="flex items-center gap-1">
+                {index > 0 && <span className="text-muted-foreground">→</span>}
+                <button
+                  type="button"
+                  className="font-mono bg-muted px-1 rounded hover:underline"
+                  onClick={() => onShow([key])}
+                >
+                  {key}
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <Button variant="ghost" size="sm" className="h-7 text-xs flex-shrink-0" onClick={() => onShow(diagnostic.tokenKeys)}>
+        Show in table
+      </Button>
+    </div>
+  )
+}
@@ -0,0 +1,136 @@
+import { useRef, useState } from 'react'
+import { AlertTriangle } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { useTokenStore } from '@/store/tokenStore'
+import { cn } from '@/lib/utils'
+import { Token } from '@/types/token'
+import { findReferences, getOpenReference, getReferenceInfo, getReferenceSuggestions } from '@/lib/aliasSuggestions'
+import { formatTokenValue } from '@/lib/tokenValues'
+
+interface AliasInputProps {
+  value: string
+  onChange: (value: string) => void
+  // Only tokens this type (or one of these types) may alias are suggested
+  type?: Token['type'] | Token['type'][]
+  // Collection the value belongs to; references are looked up from it
+  collection?: string
+  placeholder?: string
+  required?: boolean
+}
+
+// A text input that suggests token paths after `{` and shows what each
+// reference in the value resolves to
+export function AliasInput({ value, onChange, type, collection, placeholder, required }: AliasInputProps) {
+  const { tokens, remBase } = useTokenStore()
+  const input = useRef<HTMLInputElement>(null)
+  const [caret, setCaret] = useState<number | null>(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [dismissed, setDismissed] = useState(false)
+
+  const openReference = caret !== null && !dismissed ? getOpenReference(value.slice(0, caret)) : undefined
+  const suggestions = openReference !== undefined
+    ? getReferenceSuggestions(tokens, openReference, { collection, type })
+    : []
+  const references = findReferences(value).map(match => getReferenceInfo(match.reference, tokens, { collection, remBase }))
+
+  const updateCaret = () => {
+    setCaret(input.current?.selectionStart ?? null)
+  }
+
+  const accept = (reference: string) => {
+    if (caret === null || openReference === undefined) return
+
+    const start = caret - openReference.length - 1
+    const rest = value.slice(caret)
+    const inserted = `{${reference}}`
+    const next = value.slice(0, start) + inserted + (rest.startsWith('}') ? rest.slice(1) : rest)
+    const nextCaret = start + inserted.length
+
+    onChange(next)
+    setCaret(nextCaret)
+    requestAnimationFrame(() => input.current?.setSelectionRange(nextCaret, nextCaret))
+  }
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept(suggestions[Math.min(activeIndex, suggestions.length - 1)].reference)
+    } else if (e.key === 'Escape') {
+      // Keep the dialog open; only the list closes
+      e.preventDefault()
+      e.stopPropagation()
+      setDismissed(true)
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="relative">
+        <Input
+          ref={input}
+          placeholder={placeholder}
+          value={value}
+          required={required}
+          onChange={(e) => {
+            onChange(e.target.value)
+            setCaret(e.target.selectionStart)
+            setActiveIndex(0)
+            setDismissed(false)
+          }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={updateCaret}
+          onClick={updateCaret}
+          onBlur={() => setCaret(null)}
+        />
+        {suggestions.length > 0 && (
+          <div className="absolute left-0 right-0 z-50 mt-1 max-h-56 overflow-y-auto rounded-md border bg-popover p-1 shadow-md">
+            {suggestions.map((suggestion, index) => (
+              <button
+                key={suggestion.reference}
+                type="button"
+                className={cn(
+                  'w-full flex items-center justify-between gap-2 rounded px-2 py-1 text-left text-xs hover:bg-muted',
+                  index === activeIndex && 'bg-muted'
+                )}
+                // Keep the focus (and caret) in the input
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => accept(suggestion.reference)}
+              >
+                <span className="truncate font-mono">{suggestion.reference}</span>
+                <span className="flex-shrink-0 text-muted-foreground">{suggestion.token.type.toLowerCase()}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {references.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {references.map((info, index) => (
+            <span
+              key={index}
+              className={cn(
+                'inline-flex items-center gap-1 rounded border px-1 text-xs font-mono',
+                info.error && 'border-red-300 text-red-600'
+              )}
+              title={info.error ?? `{${info.reference}} → ${formatTokenValue(info.value)}`}
+            >
+              {info.error && <AlertTriangle className="h-3 w-3" />}
+              {info.color && (
+                <span className="h-3 w-3 rounded-sm border" style={{ backgroundColor: info.color }} />
+              )}
+              {`{${info.reference}}`}
+              {!info.error && <span className="text-muted-foreground">→ {formatTokenValue(info.value)}</span>}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import { AliasInput } from '@/components/AliasInput'
+import { BORDER_FIELD_TYPES } from '@/lib/tokenValues'
+import { BorderValue } from '@/types/token'
+
+// A border as typed into the editor; every field may hold a reference
+export type BorderFields = Record<keyof BorderValue, string>
+
+interface BorderEditorProps {
+  value: BorderFields
+  onChange: (value: BorderFields) => void
+  // Collection the token belongs to; references are looked up from it
+  collection?: string
+}
+
+const FIELDS: { field: keyof BorderValue; label: string; placeholder: string }[] = [
+  { field: 'width', label: 'width', placeholder: '1px' },
+  { field: 'style', label: 'style', placeholder: 'solid' },
+  { field: 'color', label: 'color', placeholder: '#e5e7eb' }
+]
+
+// Width, style and color side by side, in CSS shorthand order
+export function BorderEditor({ value, onChange, collection }: BorderEditorProps) {
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {FIELDS.map(({ field, label, placeholder }) => (
+        <div key={field} className="space-y-1">
+          <span className="text-xs text-muted-foreground">{label}</span>
+          <AliasInput
+            value={value[field]}
+            placeholder={placeholder}
+            onChange={(text) => onChange({ ...value, [field]: text })}
+            type={BORDER_FIELD_TYPES[field]}
+            collection={collection}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
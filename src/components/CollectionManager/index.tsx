@@ -0,0 +1,154 @@
+import { useState } from 'react'
+import { ArrowDown, ArrowUp, Check, Pencil, Plus, Trash2, X } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { useTokenStore } from '@/store/tokenStore'
+import { TokenCollection } from '@/types/token'
+
+export function CollectionManager() {
+  const { collections } = useTokenStore()
+
+  return (
+    <div className="flex-1 p-6 overflow-y-auto">
+      <h1 className="text-2xl font-bold mb-1">Manage Collections</h1>
+      <p className="text-sm text-muted-foreground mb-6">
+        Every token has one value per mode of its collection. The first mode is the default.
+      </p>
+
+      {collections.length === 0 ? (
+        <p className="text-muted-foreground">No collections loaded</p>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+          {collections.map(collection => (
+            <CollectionModesCard key={collection.id} collection={collection} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function CollectionModesCard({ collection }: { collection: TokenCollection }) {
+  const { addMode, renameMode, reorderModes, deleteMode } = useTokenStore()
+  const [newMode, setNewMode] = useState('')
+  const [editingMode, setEditingMode] = useState<string | null>(null)
+  const [editingName, setEditingName] = useState('')
+
+  const { modes } = collection
+  const newModeName = newMode.trim()
+  const canAdd = newModeName !== '' && !modes.includes(newModeName)
+
+  const handleAdd = () => {
+    if (!canAdd) return
+    addMode(collection.name, newModeName)
+    setNewMode('')
+  }
+
+  const startRename = (mode: string) => {
+    setEditingMode(mode)
+    setEditingName(mode)
+  }
+
+  const handleRename = () => {
+    if (editingMode) {
+      renameMode(collection.name, editingMode, editingName)
+    }
+    setEditingMode(null)
+  }
+
+  const moveMode = (index: number, offset: number) => {
+    const reordered = [...modes]
+    const [mode] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, mode)
+    reorderModes(collection.name, reordered)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg">{collection.name}</CardTitle>
+          <div className="flex items-center gap-2">
+            {collection.referenceOnly && (
+              <Badge
+                variant="outline"
+                className="text-xs"
+                title="Only used to resolve references; not exported as Figma variables"
+              >
+                reference only
+              </Badge>
+            )}
+            <span className="text-xs text-muted-foreground">{collection.count} tokens</span>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="space-y-1">
+          {modes.map((mode, index) => (
+            <div key={mode} className="flex items-center gap-2 h-9">
+              {editingMode === mode ? (
+                <>
+                  <Input
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRename()
+                      if (e.key === 'Escape') setEditingMode(null)
+                    }}
+                    className="h-8"
+                    autoFocus
+                  />
+                  <Button variant="ghost" size="sm" onClick={handleRename} title="Save">
+                    <Check className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setEditingMode(null)} title="Cancel">
+                    <X className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <span className="text-sm flex-1 truncate">{mode}</span>
+                  {index === 0 && <Badge variant="secondary" className="text-xs">default</Badge>}
+                  <Button variant="ghost" size="sm" onClick={() => moveMode(index, -1)} disabled={index === 0} title="Move up">
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => moveMode(index, 1)} disabled={index === modes.length - 1} title="Move down">
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => startRename(mode)} title="Rename">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => deleteMode(collection.name, mode)}
+                    disabled={modes.length === 1}
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Input
+            value={newMode}
+            onChange={(e) => setNewMode(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="New mode name"
+            className="h-8"
+          />
+          <Button size="sm" onClick={handleAdd} disabled={!canAdd}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
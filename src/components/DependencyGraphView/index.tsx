@@ -0,0 +1,317 @@
+import { useMemo, useState } from 'react'
+import { Search, ArrowLeftRight } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { useTokenStore } from '@/store/tokenStore'
+import { cn } from '@/lib/utils'
+import { Token } from '@/types/token'
+import { DependencyGraph, getDependencyChain, getOrphanTokens, getResolvedTokenValue } from '@/lib/aliasUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+
+const ALL_COLLECTIONS = ''
+
+// Graph layout, in px
+const NODE_WIDTH = 200
+const NODE_HEIGHT = 44
+const COLUMN_GAP = 80
+const ROW_GAP = 12
+const PADDING = 16
+
+interface GraphNode {
+  key: string
+  token: Token
+  // Negative columns are upstream of the selected token, positive downstream
+  column: number
+  x: number
+  y: number
+}
+
+export function DependencyGraphView() {
+  const { tokens, collections, dependencyGraph } = useTokenStore()
+  const [collectionFilter, setCollectionFilter] = useState(ALL_COLLECTIONS)
+  const [search, setSearch] = useState('')
+  const [showOrphansOnly, setShowOrphansOnly] = useState(false)
+  const [selectedKey, setSelectedKey] = useState<string | null>(null)
+
+  const orphanKeys = useMemo(
+    () => new Set(getOrphanTokens(dependencyGraph).map(getTokenKey)),
+    [dependencyGraph]
+  )
+
+  const isInFilter = (token: Token) =>
+    collectionFilter === ALL_COLLECTIONS || getTokenCollectionName(token) === collectionFilter
+
+  const query = search.toLowerCase()
+  const listedTokens = tokens.filter(token =>
+    isInFilter(token) &&
+    (!showOrphansOnly || orphanKeys.has(getTokenKey(token))) &&
+    (!query || getTokenKey(token).toLowerCase().includes(query))
+  )
+  const orphanCount = tokens.filter(token => isInFilter(token) && orphanKeys.has(getTokenKey(token))).length
+
+  // The selection is dropped when its token goes away
+  const selected = selectedKey ? dependencyGraph.tokens[selectedKey] : undefined
+
+  return (
+    <div className="flex h-full overflow-hidden">
+      <div className="w-80 border-r border-border bg-card flex flex-col h-full">
+        <div className="p-4 border-b border-border space-y-3">
+          <h2 className="text-lg font-semibold text-card-foreground">Dependency Graph</h2>
+
+          <select
+            value={collectionFilter}
+            onChange={(e) => setCollectionFilter(e.target.value)}
+            className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+          >
+            <option value={ALL_COLLECTIONS}>All collections</option>
+            {collections.map(collection => (
+              <option key={collection.id} value={collection.name}>{collection.name}</option>
+            ))}
+          </select>
+
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 text-muted-foreground -translate-y-1/2" />
+            <Input
+              placeholder="Search tokens..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="pl-10 h-9 bg-background border-border text-sm"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm" title="Primitive tokens that no other token references">
+            <input
+              type="checkbox"
+              checked={showOrphansOnly}
+              onChange={(e) => setShowOrphansOnly(e.target.checked)}
+            />
+            Only orphans
+            <Badge variant="outline" className="text-xs border-amber-500 text-amber-600">{orphanCount}</Badge>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-2">
+          {listedTokens.length === 0 ? (
+            <p className="text-sm text-muted-foreground p-2">No tokens match</p>
+          ) : (
+            listedTokens.map(token => {
+              const key = getTokenKey(token)
+              return (
+                <TokenListItem
+                  key={key}
+                  tokenKey={key}
+                  graph={dependencyGraph}
+                  isOrphan={orphanKeys.has(key)}
+                  isSelected={key === selectedKey}
+                  onSelect={setSelectedKey}
+                />
+              )
+            })
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {selected ? (
+          <TokenGraph
+            selectedKey={getTokenKey(selected)}
+            graph={dependencyGraph}
+            tokens={tokens}
+            isInFilter={isInFilter}
+            isOrphan={orphanKeys.has(getTokenKey(selected))}
+            onSelect={setSelectedKey}
+          />
+        ) : (
+          <div className="h-full flex items-center justify-center text-sm text-muted-foreground">
+            Select a token to see what it references and what references it
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function TokenListItem({
+  tokenKey,
+  graph,
+  isOrphan,
+  isSelected,
+  onSelect
+}: {
+  tokenKey: string
+  graph: DependencyGraph
+  isOrphan: boolean
+  isSelected: boolean
+  onSelect: (key: string) => void
+}) {
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(tokenKey)}
+      className={cn(
+        'w-full flex items-center justify-between gap-2 rounded px-2 py-1.5 text-left text-sm hover:bg-muted',
+        isSelected && 'bg-muted',
+        isOrphan && 'text-amber-600'
+      )}
+    >
+      <span className="truncate font-mono text-xs">{tokenKey}</span>
+      <span className="flex-shrink-0 text-xs text-muted-foreground" title="References / referenced by">
+        {graph.dependencies[tokenKey].length} / {graph.dependents[tokenKey].length}
+      </span>
+    </button>
+  )
+}
+
+// Upstream chain on the left, downstream blast radius on the right
+function TokenGraph({
+  selectedKey,
+  graph,
+  tokens,
+  isInFilter,
+  isOrphan,
+  onSelect
+}: {
+  selectedKey: string
+  graph: DependencyGraph
+  tokens: Token[]
+  isInFilter: (token: Token) => boolean
+  isOrphan: boolean
+  onSelect: (key: string) => void
+}) {
+  const [hoveredKey, setHoveredKey] = useState<string | null>(null)
+
+  const upstream = getDependencyChain(graph, selectedKey, 'upstream')
+  const downstream = getDependencyChain(graph, selectedKey, 'downstream')
+  const { nodes, width, height } = layoutGraph(graph, selectedKey, upstream, downstream)
+  const nodesByKey = new Map(nodes.map(node => [node.key, node]))
+
+  const edges = nodes.flatMap(node =>
+    graph.dependencies[node.key]
+      .filter(dependency => nodesByKey.has(dependency))
+      .map(dependency => ({ from: nodesByKey.get(dependency)!, to: node }))
+  )
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center gap-3 mb-1">
+        <h1 className="text-xl font-bold font-mono">{selectedKey}</h1>
+        {isOrphan && (
+          <Badge variant="outline" className="text-xs border-amber-500 text-amber-600">orphan</Badge>
+        )}
+      </div>
+      <p className="text-sm text-muted-foreground mb-6 flex items-center gap-2">
+        <ArrowLeftRight className="h-4 w-4" />
+        Depends on {upstream.length} tokens · {downstream.length} tokens change with it
+      </p>
+
+      <svg width={width} height={height} className="overflow-visible">
+        {edges.map(({ from, to }) => {
+          const highlighted = hoveredKey === from.key || hoveredKey === to.key
+          const x1 = from.x + NODE_WIDTH
+          const y1 = from.y + NODE_HEIGHT / 2
+          const x2 = to.x
+          const y2 = to.y + NODE_HEIGHT / 2
+          return (
+            <path
+              key={`${from.key}->${to.key}`}
+              d={`M ${x1} ${y1} C ${x1 + COLUMN_GAP / 2} ${y1}, ${x2 - COLUMN_GAP / 2} ${y2}, ${x2} ${y2}`}
+              fill="none"
+              className={highlighted ? 'stroke-primary' : 'stroke-border'}
+              strokeWidth={highlighted ? 2 : 1.5}
+            />
+          )
+        })}
+
+        {nodes.map(node => (
+          <g
+            key={node.key}
+            transform={`translate(${node.x}, ${node.y})`}
+            className={cn('cursor-pointer', !isInFilter(node.token) && 'opacity-40')}
+            onClick={() => onSelect(node.key)}
+            onMouseEnter={() => setHoveredKey(node.key)}
+            onMouseLeave={() => setHoveredKey(null)}
+          >
+            <title>{node.key}</title>
+            <rect
+              width={NODE_WIDTH}
+              height={NODE_HEIGHT}
+              rx={6}
+              className={cn(
+                'fill-card',
+                node.key === selectedKey ? 'stroke-primary' : 'stroke-border',
+                hoveredKey === node.key && 'stroke-primary'
+              )}
+              strokeWidth={node.key === selectedKey ? 2 : 1}
+            />
+            {renderSwatch(node.token, tokens)}
+            <text x={28} y={18} className="fill-foreground text-xs font-medium">
+              {truncate(node.token.name, 24)}
+            </text>
+            <text x={28} y={34} className="fill-muted-foreground text-[10px] font-mono">
+              {truncate(getTokenCollectionName(node.token), 28)}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+// Place each token in the column of its distance from the selected token
+function layoutGraph(
+  graph: DependencyGraph,
+  selectedKey: string,
+  upstream: { key: string; depth: number }[],
+  downstream: { key: string; depth: number }[]
+): { nodes: GraphNode[]; width: number; height: number } {
+  const columns = new Map<number, string[]>([[0, [selectedKey]]])
+  const place = (key: string, column: number) => {
+    columns.set(column, [...(columns.get(column) ?? []), key])
+  }
+  upstream.forEach(({ key, depth }) => place(key, -depth))
+  downstream.forEach(({ key, depth }) => place(key, depth))
+
+  const columnIndexes = [...columns.keys()].sort((a, b) => a - b)
+  const firstColumn = columnIndexes[0]
+  const tallest = Math.max(...[...columns.values()].map(keys => keys.length))
+  const height = tallest * (NODE_HEIGHT + ROW_GAP) - ROW_GAP + PADDING * 2
+
+  const nodes = columnIndexes.flatMap(column => {
+    const keys = [...columns.get(column)!].sort()
+    // Shorter columns are centred on the tallest one
+    const offset = (tallest - keys.length) * (NODE_HEIGHT + ROW_GAP) / 2
+    return keys.map((key, row) => ({
+      key,
+      token: graph.tokens[key],
+      column,
+      x: PADDING + (column - firstColumn) * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + offset + row * (NODE_HEIGHT + ROW_GAP)
+    }))
+  })
+
+  const width = PADDING * 2 + columnIndexes.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP
+  return { nodes, width, height }
+}
+
+// Colour tokens show their resolved colour
+function renderSwatch(token: Token, tokens: Token[]) {
+  if (token.type !== 'COLOR') {
+    return <circle cx={14} cy={NODE_HEIGHT / 2} r={5} className="fill-muted-foreground" />
+  }
+
+  const { value } = getResolvedTokenValue(token, tokens)
+  return (
+    <circle
+      cx={14}
+      cy={NODE_HEIGHT / 2}
+      r={7}
+      fill={typeof value === 'string' ? value : undefined}
+      className="stroke-border"
+    />
+  )
+}
+
+function truncate(text: string, maxLength: number): string {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+}
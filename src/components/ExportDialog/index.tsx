@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { Download, Loader2, CheckCircle, XCircle, Figma } from 'lucide-react'
+import { Download, Loader2, CheckCircle, XCircle, Figma, Upload, X } from 'lucide-react'
 import {
   Dialog,
   DialogContent,
@@ -14,6 +14,8 @@ import { Checkbox } from '@/components/ui/checkbox'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { useTokenStore } from '@/store/tokenStore'
+import { extractFigmaIdMap } from '@/lib/figmaExport'
+import { FigmaIdMap } from '@/types/figma'
 
 interface ExportDialogProps {
   trigger?: React.ReactNode
@@ -33,6 +35,7 @@ export function ExportDialog({ trigger }: ExportDialogProps) {
   const [selectedCollections, setSelectedCollections] = useState<string[]>([])
   const [includeAliases, setIncludeAliases] = useState(true)
   const [resolveAliases, setResolveAliases] = useState(true)
+  const [previousIds, setPreviousIds] = useState<{ fileName: string; idMap: Partial<FigmaIdMap> } | null>(null)
 
   const handleExport = async () => {
     try {
@@ -40,6 +43,7 @@ export function ExportDialog({ trigger }: ExportDialogProps) {
         collections: selectedCollections.length > 0 ? selectedCollections : [],
         includeAliases,
         resolveAliases,
+        ...(previousIds && { idMap: previousIds.idMap }),
       }
       
       const result = await exportForFigma(config)
@@ -62,6 +66,24 @@ export function ExportDialog({ trigger }: ExportDialogProps) {
     }
   }
 
+  const handleLoadPreviousIds = () => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = '.json'
+    input.onchange = async (e) => {
+      const file = (e.target as HTMLInputElement).files?.[0]
+      if (file) {
+        try {
+          const text = await file.text()
+          setPreviousIds({ fileName: file.name, idMap: extractFigmaIdMap(JSON.parse(text)) })
+        } catch (error) {
+          console.error('[ExportDialog] Could not read previous export:', error)
+        }
+      }
+    }
+    input.click()
+  }
+
   const handleCollectionToggle = (collectionId: string) => {
     setSelectedCollections(prev => 
       prev.includes(collectionId) 
@@ -160,6 +182,21 @@ export function ExportDialog({ trigger }: ExportDialogProps) {
                   Resolve alias references
                 </label>
               </div>
+              
+              <div className="flex items-center gap-2">
+                <Button variant="outline" size="sm" onClick={handleLoadPreviousIds}>
+                  <Upload className="h-4 w-4 mr-2" />
+                  Keep ids from previous export
+                </Button>
+                {previousIds && (
+                  <>
+                    <span className="text-xs text-muted-foreground truncate">{previousIds.fileName}</span>
+                    <Button variant="ghost" size="sm" onClick={() => setPreviousIds(null)} title="Stop reusing ids">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </>
+                )}
+              </div>
             </div>
 
             {/* Preview Stats */}
@@ -217,6 +254,12 @@ export function ExportDialog({ trigger }: ExportDialogProps) {
                       <span className="text-muted-foreground">Modes:</span>
                       <span className="ml-2 font-medium">{figmaExportResult.totalModes}</span>
                     </div>
+                    {figmaExportResult.effectStyles && (
+                      <div>
+                        <span className="text-muted-foreground">Effect styles:</span>
+                        <span className="ml-2 font-medium">{figmaExportResult.effectStyles.length}</span>
+                      </div>
+                    )}
                     <div>
                       <span className="text-muted-foreground">Exported:</span>
                       <span className="ml-2 font-medium text-xs">
@@ -6,50 +6,70 @@ import { Badge } from '@/components/ui/badge'
 import { Checkbox } from '@/components/ui/checkbox'
 import { useTokenStore } from '@/store/tokenStore'
 import { Token, TokenCollection } from '@/types/token'
+import { collectTokenModes, getModeValue, getPortableValue, getTokenCollectionName } from '@/lib/modeUtils'
+import { buildStyleDictionary } from '@/lib/styleDictionary'
+import { getStrictExportError } from '@/lib/aliasDiagnostics'
+import {
+  sortTokensByDependencies,
+  withAppliedColorModifiers,
+  withComputedExpressions,
+  withResolvedAliases
+} from '@/lib/aliasUtils'
+import { getColorModifier } from '@/lib/colorModifiers'
+import { withDeprecatedAliases } from '@/lib/tokenRename'
+import { CodeDeclaration, createReferenceWriter, ReferenceWriterContext } from '@/lib/referenceExport'
+import { toCssTypographyRules } from '@/lib/tokenValues'
+import { getTokenTypeName, TOKEN_TYPES } from '@/lib/tokenTypes'
+import { Input } from '@/components/ui/input'
 import Editor from '@monaco-editor/react'
 
 interface ExportConfig {
   collections: TokenCollection[]
   modes: string[]
   types: Token['type'][]
-  format: 'w3c' | 'token-studio' | 'figma' | 'css' | 'tailwind' | 'sass'
+  format: 'w3c' | 'token-studio' | 'style-dictionary' | 'figma' | 'css' | 'tailwind' | 'sass'
   exportType: 'single' | 'collection-separate' | 'mode-separate'
+  // Keep references (as `var(--x)`, `$x`... in code formats) or write the
+  // final value of every token
+  references: 'preserve' | 'resolve'
+  // Write math such as `{spacing.md} * 2` as is, or its computed value
+  expressions: 'symbolic' | 'computed'
+  // Keep color modifiers in $extensions or apply them to the values;
+  // formats without $extensions always apply them
+  colorModifiers: 'preserve' | 'bake'
   includeScopes: boolean
   includeDescriptions: boolean
+  // Keep the old path of every renamed token as an alias to its new one
+  includeDeprecatedAliases: boolean
 }
 
 export function AdvancedExportManager() {
-  const { tokens, collections } = useTokenStore()
+  const { tokens, collections, strictAliases, remBase, setRemBase, renamedTokens } = useTokenStore()
   const [selectedCollections, setSelectedCollections] = useState<Set<string>>(new Set())
   const [selectedModes, setSelectedModes] = useState<Set<string>>(new Set())
   const [selectedTypes, setSelectedTypes] = useState<Set<Token['type']>>(
-    new Set(['COLOR', 'DIMENSION', 'TYPOGRAPHY', 'SPACING', 'BORDER_RADIUS', 'OPACITY'])
+    new Set(TOKEN_TYPES)
   )
   const [exportFormat, setExportFormat] = useState<ExportConfig['format']>('w3c')
   const [exportType, setExportType] = useState<ExportConfig['exportType']>('single')
+  const [references, setReferences] = useState<ExportConfig['references']>('preserve')
+  const [expressions, setExpressions] = useState<ExportConfig['expressions']>('symbolic')
+  const [colorModifiers, setColorModifiers] = useState<ExportConfig['colorModifiers']>('preserve')
   const [includeScopes, setIncludeScopes] = useState(true)
   const [includeDescriptions, setIncludeDescriptions] = useState(true)
+  const [includeDeprecatedAliases, setIncludeDeprecatedAliases] = useState(false)
   const [previewJson, setPreviewJson] = useState<string>('')
   const [copied, setCopied] = useState(false)
+  const strictError = getStrictExportError(tokens, strictAliases)
 
   // Available modes from selected collections
   const availableModes = useMemo(() => {
     const modes = new Set<string>()
-    tokens.forEach(token => {
-      // Extract modes from multi-mode values
-      try {
-        const parsed = JSON.parse(token.value)
-        if (typeof parsed === 'object' && parsed !== null) {
-          Object.keys(parsed).forEach(key => modes.add(key))
-        } else {
-          modes.add('default')
-        }
-      } catch {
-        modes.add('default')
-      }
-    })
+    collections
+      .filter(collection => selectedCollections.size === 0 || selectedCollections.has(collection.id))
+      .forEach(collection => collection.modes.forEach(mode => modes.add(mode)))
     return Array.from(modes)
-  }, [tokens])
+  }, [collections, selectedCollections])
 
   // Filtered tokens based on selection
   const filteredTokens = useMemo(() => {
@@ -60,11 +80,45 @@ export function AdvancedExportManager() {
     })
   }, [tokens, selectedCollections, selectedTypes])
 
+  const hasColorModifiers = useMemo(() => tokens.some(token => getColorModifier(token)), [tokens])
+  const canPreserveModifiers = exportFormat === 'w3c' || exportFormat === 'token-studio'
+
+  // Tokens as written out, with deprecated aliases added when asked for and
+  // either fully resolved or with math computed and color modifiers applied
+  const exportTokens = useMemo(() => {
+    let written = includeDeprecatedAliases && renamedTokens.length > 0
+      ? withDeprecatedAliases(filteredTokens, renamedTokens)
+      : filteredTokens
+    if (references === 'resolve') {
+      return withResolvedAliases(written, tokens, { remBase })
+    }
+
+    if (expressions === 'computed') {
+      written = withComputedExpressions(written, tokens, { remBase })
+    }
+    if (colorModifiers === 'bake' || !canPreserveModifiers) {
+      written = withAppliedColorModifiers(written, tokens, { remBase })
+    }
+    return written
+  }, [filteredTokens, tokens, references, expressions, remBase, colorModifiers, canPreserveModifiers, includeDeprecatedAliases, renamedTokens])
+
+  // Code formats declare tokens after the ones they reference; a loop has no
+  // such order
+  const isCodeFormat = exportFormat === 'css' || exportFormat === 'tailwind' || exportFormat === 'sass'
+  const codeTokens = useMemo(
+    () => isCodeFormat ? sortTokensByDependencies(exportTokens, tokens) : undefined,
+    [isCodeFormat, exportTokens, tokens]
+  )
+  const cycleError = codeTokens && codeTokens.cycles.length > 0
+    ? `Circular references cannot be written in order: ${codeTokens.cycles.map(loop => loop.join(' → ')).join('; ')}`
+    : undefined
+  const exportBlocked = strictError ?? cycleError
+
   // Generate preview JSON
   useEffect(() => {
-    const preview = generatePreviewJson(filteredTokens)
+    const preview = generatePreviewJson(exportTokens)
     setPreviewJson(JSON.stringify(preview, null, 2))
-  }, [filteredTokens, exportFormat, selectedModes, includeScopes, includeDescriptions])
+  }, [exportTokens, codeTokens, exportFormat, selectedModes, includeScopes, includeDescriptions])
 
   const toggleCollection = (collectionId: string) => {
     const newSelected = new Set(selectedCollections)
@@ -113,16 +167,20 @@ export function AdvancedExportManager() {
   }
 
   const toggleAllTypes = () => {
-    const allTypes: Token['type'][] = ['COLOR', 'DIMENSION', 'TYPOGRAPHY', 'SPACING', 'BORDER_RADIUS', 'OPACITY', 'SHADOW']
-    if (selectedTypes.size === allTypes.length) {
+    if (selectedTypes.size === TOKEN_TYPES.length) {
       setSelectedTypes(new Set())
     } else {
-      setSelectedTypes(new Set(allTypes))
+      setSelectedTypes(new Set(TOKEN_TYPES))
     }
   }
 
   const handleExport = () => {
-    const exportData = generateExportData(filteredTokens)
+    if (exportBlocked) {
+      console.warn(`[ExportManager] ${exportBlocked}`)
+      return
+    }
+
+    const exportData = generateExportData(exportTokens)
     const filename = getExportFilename()
     const mimeType = getMimeType()
     
@@ -130,6 +188,11 @@ export function AdvancedExportManager() {
   }
 
   const handleCopy = async () => {
+    if (exportBlocked) {
+      console.warn(`[ExportManager] ${exportBlocked}`)
+      return
+    }
+
     try {
       await navigator.clipboard.writeText(previewJson)
       setCopied(true)
@@ -139,28 +202,35 @@ export function AdvancedExportManager() {
     }
   }
 
-  const generatePreviewJson = (tokens: Token[]) => {
+  const generatePreviewJson = (written: Token[]) => {
+    const context: ReferenceWriterContext = {
+      allTokens: tokens,
+      exportedTokens: codeTokens?.tokens ?? written,
+      options: { remBase }
+    }
     switch (exportFormat) {
       case 'w3c':
-        return generateW3CFormat(tokens)
+        return generateW3CFormat(written)
       case 'token-studio':
-        return generateTokenStudioFormat(tokens)
+        return generateTokenStudioFormat(written)
+      case 'style-dictionary':
+        return buildStyleDictionary(written, { includeComments: includeDescriptions, allTokens: tokens })
       case 'figma':
-        return generateFigmaFormat(tokens)
+        return generateFigmaFormat(written)
       case 'css':
-        return generateCSSFormat(tokens)
+        return generateCSSFormat(context)
       case 'tailwind':
-        return generateTailwindFormat(tokens)
+        return generateTailwindFormat(context)
       case 'sass':
-        return generateSASSFormat(tokens)
+        return generateSASSFormat(context)
       default:
-        return generateW3CFormat(tokens)
+        return generateW3CFormat(written)
     }
   }
 
-  const generateExportData = (tokens: Token[]) => {
-    const data = generatePreviewJson(tokens)
-    if (exportFormat === 'css' || exportFormat === 'tailwind' || exportFormat === 'sass') {
+  const generateExportData = (written: Token[]) => {
+    const data = generatePreviewJson(written)
+    if (isCodeFormat) {
       return data // These are already strings
     }
     return JSON.stringify(data, null, 2)
@@ -204,6 +274,7 @@ export function AdvancedExportManager() {
               >
                 <option value="w3c">W3C Design Tokens</option>
                 <option value="token-studio">Token Studio</option>
+                <option value="style-dictionary">Style Dictionary</option>
                 <option value="figma">Figma Variables</option>
                 <option value="css">CSS Variables</option>
                 <option value="tailwind">Tailwind Config</option>
@@ -225,6 +296,62 @@ export function AdvancedExportManager() {
               </select>
             </div>
 
+            {/* References */}
+            <div>
+              <label className="text-sm font-medium mb-2 block">References</label>
+              <select
+                value={references}
+                onChange={(e) => setReferences(e.target.value as ExportConfig['references'])}
+                className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                <option value="preserve">Preserve references</option>
+                <option value="resolve">Resolve to values</option>
+              </select>
+            </div>
+
+            {/* Math Expressions */}
+            <div>
+              <label className="text-sm font-medium mb-2 block">Math Expressions</label>
+              <select
+                value={references === 'resolve' ? 'computed' : expressions}
+                onChange={(e) => setExpressions(e.target.value as ExportConfig['expressions'])}
+                disabled={references === 'resolve'}
+                className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                <option value="symbolic">Keep expressions</option>
+                <option value="computed">Computed values</option>
+              </select>
+              {(expressions === 'computed' || references === 'resolve') && (
+                <div className="flex items-center gap-2 mt-2">
+                  <label htmlFor="rem-base" className="text-sm text-muted-foreground whitespace-nowrap">1rem =</label>
+                  <Input
+                    id="rem-base"
+                    type="number"
+                    min={1}
+                    value={remBase}
+                    onChange={(e) => setRemBase(Number(e.target.value))}
+                    className="h-8 w-20 text-sm"
+                  />
+                  <span className="text-sm text-muted-foreground">px</span>
+                </div>
+              )}
+            </div>
+
+            {/* Color Modifiers */}
+            {hasColorModifiers && canPreserveModifiers && references === 'preserve' && (
+              <div>
+                <label className="text-sm font-medium mb-2 block">Color Modifiers</label>
+                <select
+                  value={colorModifiers}
+                  onChange={(e) => setColorModifiers(e.target.value as ExportConfig['colorModifiers'])}
+                  className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+                >
+                  <option value="preserve">Keep in $extensions</option>
+                  <option value="bake">Apply to values</option>
+                </select>
+              </div>
+            )}
+
             {/* Options */}
             <div className="space-y-2">
               <div className="flex items-center space-x-2">
@@ -243,6 +370,18 @@ export function AdvancedExportManager() {
                 />
                 <label htmlFor="include-descriptions" className="text-sm">Include descriptions</label>
               </div>
+              {renamedTokens.length > 0 && (
+                <div className="flex items-center space-x-2">
+                  <Checkbox
+                    id="include-deprecated-aliases"
+                    checked={includeDeprecatedAliases}
+                    onCheckedChange={(checked) => setIncludeDeprecatedAliases(!!checked)}
+                  />
+                  <label htmlFor="include-deprecated-aliases" className="text-sm">
+                    Include deprecated aliases for {renamedTokens.length} renamed {renamedTokens.length === 1 ? 'token' : 'tokens'}
+                  </label>
+                </div>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -315,13 +454,13 @@ export function AdvancedExportManager() {
             <div className="flex items-center justify-between">
               <CardTitle className="text-sm">Token Types</CardTitle>
               <Button variant="ghost" size="sm" onClick={toggleAllTypes}>
-                {selectedTypes.size === 7 ? 'None' : 'All'}
+                {selectedTypes.size === TOKEN_TYPES.length ? 'None' : 'All'}
               </Button>
             </div>
           </CardHeader>
           <CardContent>
             <div className="space-y-2">
-              {(['COLOR', 'DIMENSION', 'TYPOGRAPHY', 'SPACING', 'BORDER_RADIUS', 'OPACITY', 'SHADOW'] as Token['type'][]).map((type) => (
+              {TOKEN_TYPES.map((type) => (
                 <div key={type} className="flex items-center space-x-2">
                   <Checkbox
                     id={`type-${type}`}
@@ -347,9 +486,14 @@ export function AdvancedExportManager() {
             <Badge variant="outline">
               {filteredTokens.length} tokens
             </Badge>
+            {exportBlocked && (
+              <Badge variant="destructive" title={exportBlocked}>
+                {strictError ? 'Blocked by strict alias checks' : 'Blocked by circular references'}
+              </Badge>
+            )}
           </div>
           <div className="flex items-center gap-2">
-            <Button variant="outline" onClick={handleCopy}>
+            <Button variant="outline" onClick={handleCopy} disabled={!!exportBlocked} title={exportBlocked}>
               {copied ? (
                 <>
                   <Check className="h-4 w-4 mr-2" />
@@ -362,7 +506,7 @@ export function AdvancedExportManager() {
                 </>
               )}
             </Button>
-            <Button onClick={handleExport} disabled={filteredTokens.length === 0}>
+            <Button onClick={handleExport} disabled={filteredTokens.length === 0 || !!exportBlocked} title={exportBlocked}>
               <Download className="h-4 w-4 mr-2" />
               Export
             </Button>
@@ -413,11 +557,13 @@ function generateW3CFormat(tokens: Token[], includeScopes: boolean = false) {
     }
     
     const tokenName = pathParts[pathParts.length - 1]
+    const extensions = { ...token.extensions, ...(includeScopes && token.scope && { scope: token.scope }) }
     current[tokenName] = {
-      $type: token.type.toLowerCase(),
-      $value: token.value,
+      $type: getTokenTypeName(token),
+      $value: getPortableValue(token),
       ...(token.description && { $description: token.description }),
-      ...(includeScopes && token.scope && { $extensions: { scope: token.scope } })
+      ...(token.deprecated && { $deprecated: token.deprecated }),
+      ...(Object.keys(extensions).length > 0 && { $extensions: extensions })
     }
   })
   
@@ -439,9 +585,10 @@ function generateTokenStudioFormat(tokens: Token[]) {
     
     const tokenName = pathParts[pathParts.length - 1]
     current[tokenName] = {
-      type: token.type.toLowerCase(),
-      value: token.value,
-      ...(token.description && { description: token.description })
+      type: getTokenTypeName(token),
+      value: getPortableValue(token),
+      ...(token.description && { description: token.description }),
+      ...(token.extensions && { $extensions: token.extensions })
     }
   })
   
@@ -449,71 +596,177 @@ function generateTokenStudioFormat(tokens: Token[]) {
 }
 
 function generateFigmaFormat(tokens: Token[]) {
+  const modeNames = collectTokenModes(tokens)
+
   return {
     collections: [{
       name: "Export Collection",
-      modes: ["Default"],
+      modes: modeNames,
       variables: tokens.map(token => ({
         name: token.name,
         type: token.type,
         scopes: token.scope || [],
-        values: { "Default": token.value },
+        values: Object.fromEntries(modeNames.map(mode => [mode, getModeValue(token, mode) ?? null])),
         description: token.description || ""
       }))
     }]
   }
 }
 
-function generateCSSFormat(tokens: Token[]) {
+// CSS and SASS variable name of a token. The collection is part of it, so a
+// token can alias one with the same path in another collection.
+function toVariableName(token: Token): string {
+  return `${getTokenCollectionName(token)}.${token.path}`.replace(/\./g, '-').replace(/\s+/g, '-').toLowerCase()
+}
+
+function generateCSSFormat(context: ReferenceWriterContext) {
+  const writeDeclarations = createReferenceWriter(
+    context,
+    (target, suffix) => `var(--${toVariableName(target)}${suffix ? `-${suffix}` : ''})`,
+    text => `calc(${text})`
+  )
+
   let css = ':root {\n'
-  tokens.forEach(token => {
-    const cssVarName = token.path.replace(/\./g, '-').toLowerCase()
-    css += `  --${cssVarName}: ${token.value};\n`
+  let classes = ''
+  context.exportedTokens.forEach(token => {
+    const cssVarName = toVariableName(token)
+    const declarations = writeDeclarations(token)
+    declarations.forEach(({ suffix, value }) => {
+      css += `  --${cssVarName}${suffix ? `-${suffix}` : ''}: ${value};\n`
+    })
+
+    // Composite typography also gets a utility class that applies it
+    if (isCompositeTypography(token, declarations)) {
+      const rules = toCssTypographyRules(declarations.map(({ suffix }) => ({ suffix, value: `var(--${cssVarName}-${suffix})` })))
+      classes += `\n.${cssVarName} {\n${rules.map(({ property, value }) => `  ${property}: ${value};\n`).join('')}}\n`
+    }
+
+    // So does a transition, as a shorthand for all properties
+    if (token.type === 'TRANSITION') {
+      classes += `\n.${cssVarName} {\n  transition: var(--${cssVarName});\n}\n`
+    }
   })
-  css += '}\n'
+  css += '}\n' + classes
   return css
 }
 
-function generateTailwindFormat(tokens: Token[]) {
-  const config = {
-    theme: {
-      extend: {
-        colors: {} as any,
-        spacing: {} as any,
-        borderRadius: {} as any,
-        opacity: {} as any
-      }
-    }
+// A typography token written as one declaration per sub-property
+function isCompositeTypography(token: Token, declarations: CodeDeclaration[]): boolean {
+  return token.type === 'TYPOGRAPHY' && declarations.some(({ suffix }) => suffix !== '')
+}
+
+// Tailwind theme section of each token type it has one for
+const TAILWIND_SECTIONS: Partial<Record<Token['type'], 'colors' | 'spacing' | 'borderRadius' | 'opacity' | 'boxShadow' | 'backgroundImage' | 'transitionDuration' | 'transitionTimingFunction'>> = {
+  COLOR: 'colors',
+  DIMENSION: 'spacing',
+  SPACING: 'spacing',
+  BORDER_RADIUS: 'borderRadius',
+  OPACITY: 'opacity',
+  SHADOW: 'boxShadow',
+  GRADIENT: 'backgroundImage',
+  DURATION: 'transitionDuration',
+  CUBIC_BEZIER: 'transitionTimingFunction'
+}
+
+// Tailwind has no theme section for whole borders and transitions; they become utilities
+const TAILWIND_UTILITIES: Partial<Record<Token['type'], 'border' | 'transition'>> = {
+  BORDER: 'border',
+  TRANSITION: 'transition'
+}
+
+// Options of a Tailwind fontSize tuple, by CSS property
+const TAILWIND_FONT_SIZE_OPTIONS: Record<string, string> = {
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing',
+  'font-weight': 'fontWeight'
+}
+
+function generateTailwindFormat(context: ReferenceWriterContext) {
+  // References become theme() lookups, marked as template literal parts
+  const writeDeclarations = createReferenceWriter(
+    context,
+    target => TAILWIND_SECTIONS[target.type] && `\${theme('${TAILWIND_SECTIONS[target.type]}.${toVariableName(target)}')}`,
+    text => `calc(${text})`
+  )
+
+  // Values with lookups are template literals; other values are plain strings
+  const toSource = (value: string) => {
+    if (!value.includes('${theme(')) return JSON.stringify(value)
+    const lookup = value.match(/^\$\{(theme\('[^']*'\))\}$/)
+    return lookup ? lookup[1] : `\`${value.replace(/[`\\]/g, '\\$&')}\``
   }
 
-  tokens.forEach(token => {
-    const name = token.name.toLowerCase().replace(/\s+/g, '-')
-    
-    switch (token.type) {
-      case 'COLOR':
-        config.theme.extend.colors[name] = token.value
-        break
-      case 'DIMENSION':
-      case 'SPACING':
-        config.theme.extend.spacing[name] = token.value
-        break
-      case 'BORDER_RADIUS':
-        config.theme.extend.borderRadius[name] = token.value
-        break
-      case 'OPACITY':
-        config.theme.extend.opacity[name] = token.value
-        break
+  // Entries hold the source of each value, keyed by the full variable name so
+  // tokens that share a name or a path never overwrite each other
+  const sections: Record<string, [string, string][]> = {
+    colors: [], spacing: [], borderRadius: [], opacity: [], boxShadow: [], backgroundImage: [],
+    transitionDuration: [], transitionTimingFunction: [], fontSize: []
+  }
+  // Utility selector, CSS property and value source
+  const utilities: [string, string, string][] = []
+  context.exportedTokens.forEach(token => {
+    const declarations = writeDeclarations(token)
+    const section = TAILWIND_SECTIONS[token.type]
+    if (section) {
+      sections[section].push([toVariableName(token), toSource(declarations[0].value)])
+    }
+    const utility = TAILWIND_UTILITIES[token.type]
+    if (utility) {
+      utilities.push([`.${utility}-${toVariableName(token)}`, utility, toSource(declarations[0].value)])
+    }
+
+    // Composite typography becomes a [fontSize, { lineHeight, … }] tuple
+    const fontSize = declarations.find(({ suffix }) => suffix === 'font-size')
+    if (isCompositeTypography(token, declarations) && fontSize) {
+      const options = declarations
+        .filter(({ suffix }) => TAILWIND_FONT_SIZE_OPTIONS[suffix])
+        .map(({ suffix, value }) => `${TAILWIND_FONT_SIZE_OPTIONS[suffix]}: ${toSource(value)}`)
+      sections.fontSize.push([
+        toVariableName(token),
+        options.length > 0 ? `[${toSource(fontSize.value)}, { ${options.join(', ')} }]` : toSource(fontSize.value)
+      ])
     }
   })
 
-  return `module.exports = ${JSON.stringify(config, null, 2)}`
+  // A section with lookups is a function of theme()
+  const extend = Object.entries(sections).map(([section, entries]) => {
+    const body = entries.map(([name, source]) => `        ${JSON.stringify(name)}: ${source}`).join(',\n')
+    const object = entries.length > 0 ? `{\n${body}\n      }` : '{}'
+    return entries.some(([, source]) => source.includes("theme('"))
+      ? `      ${section}: ({ theme }) => (${object})`
+      : `      ${section}: ${object}`
+  })
+
+  // Utilities are added by a plugin, which gets theme() for lookups
+  const plugins = utilities.length > 0
+    ? `,\n  plugins: [\n    ({ addUtilities, theme }) => addUtilities({\n${utilities
+      .map(([selector, property, source]) => `      ${JSON.stringify(selector)}: { ${property}: ${source} }`)
+      .join(',\n')}\n    })\n  ]`
+    : ''
+
+  return `module.exports = {\n  theme: {\n    extend: {\n${extend.join(',\n')}\n    }\n  }${plugins}\n}`
 }
 
-function generateSASSFormat(tokens: Token[]) {
+function generateSASSFormat(context: ReferenceWriterContext) {
+  const writeDeclarations = createReferenceWriter(
+    context,
+    (target, suffix) => `$${toVariableName(target)}${suffix ? `-${suffix}` : ''}`,
+    text => `calc(${text})`
+  )
+
   let sass = '// Design Tokens - Generated Variables\n\n'
-  tokens.forEach(token => {
-    const sassVarName = token.path.replace(/\./g, '-').toLowerCase()
-    sass += `$${sassVarName}: ${token.value};\n`
+  context.exportedTokens.forEach(token => {
+    const sassVarName = toVariableName(token)
+    const declarations = writeDeclarations(token)
+    declarations.forEach(({ suffix, value }) => {
+      sass += `$${sassVarName}${suffix ? `-${suffix}` : ''}: ${value};\n`
+    })
+
+    // Composite typography is also a map of its sub-properties
+    if (isCompositeTypography(token, declarations)) {
+      const entries = declarations.map(({ suffix }) => `  ${suffix}: $${sassVarName}-${suffix}`)
+      sass += `$${sassVarName}: (\n${entries.join(',\n')}\n);\n`
+    }
   })
   return sass
 }
@@ -0,0 +1,181 @@
+import { useMemo, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { useTokenStore } from '@/store/tokenStore'
+import { Token } from '@/types/token'
+import { getDependencyChain } from '@/lib/aliasUtils'
+import { areCompatibleTypes } from '@/lib/aliasDiagnostics'
+import { planRepoint } from '@/lib/tokenRename'
+import { getTokenKey } from '@/lib/importMerge'
+
+interface FindUsagesDialogProps {
+  token: Token
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+export function FindUsagesDialog({ token, open, onOpenChange }: FindUsagesDialogProps) {
+  const { tokens, dependencyGraph, repointAliases } = useTokenStore()
+  const tokenKey = getTokenKey(token)
+  const directKeys = dependencyGraph.dependents[tokenKey] ?? []
+  const [selectedKeys, setSelectedKeys] = useState<Set<string>>(new Set(directKeys))
+  const [targetKey, setTargetKey] = useState('')
+
+  // Tokens that only reach this one through other tokens, with the token
+  // they go through
+  const transitiveUsages = useMemo(() => {
+    const chain = getDependencyChain(dependencyGraph, tokenKey, 'downstream')
+    const depths = new Map(chain.map(({ key, depth }) => [key, depth]))
+    return chain
+      .filter(({ depth }) => depth > 1)
+      .map(({ key, depth }) => ({
+        key,
+        via: dependencyGraph.dependencies[key].find(dependency => depths.get(dependency) === depth - 1)
+      }))
+  }, [dependencyGraph, tokenKey])
+
+  const targets = useMemo(
+    () => tokens.filter(candidate => candidate !== token && areCompatibleTypes(token.type, candidate.type)),
+    [tokens, token]
+  )
+
+  const selected = directKeys.filter(key => selectedKeys.has(key))
+  const plan = targetKey.trim() ? planRepoint(tokens, tokenKey, targetKey.trim(), selected) : undefined
+  const target = tokens.find(candidate => getTokenKey(candidate) === targetKey.trim())
+  const typeMismatch = target && !areCompatibleTypes(token.type, target.type)
+
+  const toggle = (key: string) => {
+    const next = new Set(selectedKeys)
+    if (next.has(key)) {
+      next.delete(key)
+    } else {
+      next.add(key)
+    }
+    setSelectedKeys(next)
+  }
+
+  const toggleAll = () => {
+    setSelectedKeys(selected.length === directKeys.length ? new Set() : new Set(directKeys))
+  }
+
+  const handleApply = () => {
+    const applied = repointAliases(tokenKey, targetKey.trim(), selected)
+    if (applied.conflicts.length === 0) {
+      onOpenChange(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle>Usages of <span className="font-mono">{tokenKey}</span></DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4">
+          {directKeys.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No token references this one.</p>
+          ) : (
+            <>
+              <div className="border rounded-lg max-h-64 overflow-y-auto">
+                <div className="flex items-center justify-between px-3 py-2 border-b">
+                  <h4 className="text-sm font-medium flex items-center gap-2">
+                    Direct usages
+                    <Badge variant="outline" className="text-xs">{directKeys.length}</Badge>
+                  </h4>
+                  <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={toggleAll}>
+                    {selected.length === directKeys.length ? 'Select none' : 'Select all'}
+                  </Button>
+                </div>
+                <div className="p-2 space-y-1">
+                  {directKeys.map(key => (
+                    <label key={key} className="flex items-center gap-2 text-xs font-mono">
+                      <Checkbox checked={selectedKeys.has(key)} onCheckedChange={() => toggle(key)} />
+                      <span className="break-all">{key}</span>
+                    </label>
+                  ))}
+                </div>
+
+                {transitiveUsages.length > 0 && (
+                  <>
+                    <h4 className="text-sm font-medium flex items-center gap-2 px-3 py-2 border-t">
+                      Through other tokens
+                      <Badge variant="outline" className="text-xs">{transitiveUsages.length}</Badge>
+                    </h4>
+                    <div className="p-2 space-y-1">
+                      {transitiveUsages.map(({ key, via }) => (
+                        <div key={key} className="text-xs font-mono">
+                          <span className="break-all">{key}</span>
+                          <span className="ml-2 text-muted-foreground">via {via}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Point the selected tokens to</label>
+                <Input
+                  list="find-usages-targets"
+                  placeholder="collection.path"
+                  value={targetKey}
+                  onChange={(e) => setTargetKey(e.target.value)}
+                />
+                <datalist id="find-usages-targets">
+                  {targets.map(target => <option key={getTokenKey(target)} value={getTokenKey(target)} />)}
+                </datalist>
+              </div>
+
+              {plan && (
+                <div className="border rounded-lg p-4 bg-muted/20 max-h-48 overflow-y-auto">
+                  {plan.conflicts.length > 0 ? (
+                    <ul className="space-y-1 text-sm text-red-600">
+                      {plan.conflicts.map((conflict, index) => <li key={index}>{conflict}</li>)}
+                    </ul>
+                  ) : (
+                    <div className="space-y-1">
+                      {typeMismatch && (
+                        <p className="text-xs text-amber-600 mb-2">
+                          The target is a {target.type.toLowerCase()} token, not a {token.type.toLowerCase()} one
+                        </p>
+                      )}
+                      {plan.rewrites.map(({ token: rewritten, references }) => (
+                        <div key={getTokenKey(rewritten)} className="text-xs font-mono">
+                          <span className="break-all">{getTokenKey(rewritten)}</span>
+                          {references.map(({ before, after }) => (
+                            <span key={before} className="ml-2 text-muted-foreground">
+                              {before} → {after}
+                            </span>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Close
+            </Button>
+            {directKeys.length > 0 && (
+              <Button onClick={handleApply} disabled={!plan || plan.conflicts.length > 0}>
+                Re-point {selected.length} {selected.length === 1 ? 'token' : 'tokens'}
+              </Button>
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,82 @@
+import { Plus, Trash2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { AliasInput } from '@/components/AliasInput'
+import { GRADIENT_STOP_FIELD_TYPES } from '@/lib/tokenValues'
+
+// A gradient stop as typed into the editor; both fields may hold a reference
+export interface GradientStopFields {
+  color: string
+  // 0-1 fraction of the gradient length
+  position: string
+}
+
+interface GradientEditorProps {
+  stops: GradientStopFields[]
+  onChange: (stops: GradientStopFields[]) => void
+  // Collection the token belongs to; references are looked up from it
+  collection?: string
+}
+
+const EMPTY_STOPS: GradientStopFields[] = [
+  { color: '', position: '0' },
+  { color: '', position: '1' }
+]
+
+// One row per stop, from the start of the gradient to its end.
+// With no stops yet, a start and an end stop are shown.
+export function GradientEditor({ stops: value, onChange, collection }: GradientEditorProps) {
+  const stops = value.length > 0 ? value : EMPTY_STOPS
+
+  const update = (index: number, fields: Partial<GradientStopFields>) => {
+    onChange(stops.map((stop, i) => i === index ? { ...stop, ...fields } : stop))
+  }
+
+  return (
+    <div className="space-y-2">
+      {stops.map((stop, index) => (
+        <div key={index} className="flex items-end gap-2">
+          <div className="flex-1 space-y-1">
+            <span className="text-xs text-muted-foreground">color</span>
+            <AliasInput
+              value={stop.color}
+              placeholder="#3b82f6"
+              onChange={(color) => update(index, { color })}
+              type={GRADIENT_STOP_FIELD_TYPES.color}
+              collection={collection}
+            />
+          </div>
+          <div className="w-28 space-y-1">
+            <span className="text-xs text-muted-foreground">position (0-1)</span>
+            <AliasInput
+              value={stop.position}
+              placeholder="0.5"
+              onChange={(position) => update(index, { position })}
+              type={GRADIENT_STOP_FIELD_TYPES.position}
+              collection={collection}
+            />
+          </div>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            className="h-10 w-8 p-0"
+            title="Remove stop"
+            disabled={stops.length <= 2}
+            onClick={() => onChange(stops.filter((_, i) => i !== index))}
+          >
+            <Trash2 className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...stops, { color: '', position: '1' }])}
+      >
+        <Plus className="h-3 w-3 mr-1" />
+        Add stop
+      </Button>
+    </div>
+  )
+}
@@ -1,10 +1,13 @@
-import { Upload, Download, Plus, Settings, Sun, Moon } from 'lucide-react'
+import { Upload, Download, Plus, Settings, Sun, Moon, FolderOpen } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { useTokenStore } from '@/store/tokenStore'
 import { useTheme } from '@/hooks/useTheme'
+import { useTokenFileImport } from '@/hooks/useTokenFileImport'
 import { LogoIcon } from '@/components/LogoIcon'
-
-type NavigationPage = 'browse-tokens' | 'manage-collections' | 'export-manager'
+import { ImportDialog } from '@/components/ImportDialog'
+import { getPortableValue } from '@/lib/modeUtils'
+import { getTokenTypeName } from '@/lib/tokenTypes'
+import { NavigationPage } from '@/types/token'
 
 interface HeaderProps {
   currentPage: NavigationPage
@@ -12,28 +15,17 @@ interface HeaderProps {
 }
 
 export function Header({ currentPage, onPageChange }: HeaderProps) {
-  const { tokens, clearTokens } = useTokenStore()
+  const { tokens } = useTokenStore()
   const { theme, toggleTheme } = useTheme()
-
-  const handleImport = () => {
-    const input = document.createElement('input')
-    input.type = 'file'
-    input.accept = '.json'
-    input.onchange = async (e) => {
-      const file = (e.target as HTMLInputElement).files?.[0]
-      if (file) {
-        try {
-          const text = await file.text()
-          const jsonData = JSON.parse(text)
-          useTokenStore.getState().loadFromJSON(jsonData)
-        } catch (error) {
-          console.error('Error importing file:', error)
-          // TODO: Add error toast notification
-        }
-      }
-    }
-    input.click()
-  }
+  const {
+    pendingImport,
+    fileNamePattern,
+    isDragging,
+    openFilePicker,
+    changeFileNamePattern,
+    confirmImport,
+    cancelImport
+  } = useTokenFileImport()
 
   const handleExport = () => {
     if (tokens.length === 0) {
@@ -81,6 +73,14 @@ export function Header({ currentPage, onPageChange }: HeaderProps) {
           >
             Manage Collections
           </Button>
+          <Button 
+            variant="ghost" 
+            size="sm" 
+            className={`text-sm ${currentPage === 'dependency-graph' ? 'bg-muted text-muted-foreground' : 'text-foreground'}`}
+            onClick={() => onPageChange('dependency-graph')}
+          >
+            Dependency Graph
+          </Button>
           <Button 
             variant="ghost" 
             size="sm" 
@@ -97,11 +97,16 @@ export function Header({ currentPage, onPageChange }: HeaderProps) {
             New Collection
           </Button>
           
-          <Button variant="outline" size="sm" onClick={handleImport} className="text-sm">
+          <Button variant="outline" size="sm" onClick={() => openFilePicker()} className="text-sm" title="Import one or more token files">
             <Upload className="h-4 w-4 mr-2" />
             Import
           </Button>
 
+          <Button variant="outline" size="sm" onClick={() => openFilePicker({ directory: true })} className="text-sm" title="Import every token file in a folder">
+            <FolderOpen className="h-4 w-4 mr-2" />
+            Import Folder
+          </Button>
+
           <div className="h-4 w-px bg-border mx-2" />
           
           <Button variant="ghost" size="sm" onClick={toggleTheme} className="p-2">
@@ -117,6 +122,24 @@ export function Header({ currentPage, onPageChange }: HeaderProps) {
           </Button>
         </div>
       </div>
+
+      <ImportDialog
+        result={pendingImport?.result ?? null}
+        fileName={pendingImport?.name}
+        fileNamePattern={pendingImport?.files ? fileNamePattern : undefined}
+        onFileNamePatternChange={changeFileNamePattern}
+        onConfirm={confirmImport}
+        onCancel={cancelImport}
+      />
+
+      {isDragging && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-background/80 border-4 border-dashed border-primary pointer-events-none">
+          <div className="text-center">
+            <FolderOpen className="h-10 w-10 mx-auto mb-2 text-primary" />
+            <p className="text-lg font-medium">Drop token files or folders to import</p>
+          </div>
+        </div>
+      )}
     </header>
   )
 }
@@ -141,8 +164,8 @@ function convertTokensToW3C(tokens: any[]) {
     // Set the token value
     const tokenName = pathParts[pathParts.length - 1]
     current[tokenName] = {
-      $type: token.type.toLowerCase(),
-      $value: token.value,
+      $type: getTokenTypeName(token),
+      $value: getPortableValue(token),
       ...(token.description && { $description: token.description })
     }
   })
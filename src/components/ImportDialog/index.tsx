@@ -0,0 +1,378 @@
+import { useMemo, useState } from 'react'
+import { AlertTriangle, CheckCircle, XCircle } from 'lucide-react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { useTokenStore } from '@/store/tokenStore'
+import { ImportFormat, ImportIssue, ImportReport, ImportResult } from '@/lib/importPipeline'
+import {
+  diffImport,
+  getDefaultChoice,
+  ImportDiffEntry,
+  ImportDiffStatus,
+  MERGE_STRATEGIES,
+  MergeChoice,
+  MergeStrategy
+} from '@/lib/importMerge'
+import { DEFAULT_FILE_NAME_PATTERN } from '@/lib/tokenFiles'
+import { formatTokenValue } from '@/lib/tokenValues'
+import { getPortableValue } from '@/lib/modeUtils'
+
+// Issues and diff rows listed before collapsing the rest into a count
+const MAX_LISTED_ISSUES = 50
+const MAX_LISTED_CHANGES = 200
+
+const FORMAT_LABELS: Record<ImportFormat, string> = {
+  'w3c': 'W3C Design Tokens',
+  'token-studio': 'Token Studio',
+  'style-dictionary': 'Style Dictionary',
+  'unknown': 'Unknown'
+}
+
+const STATUS_LABELS: Record<ImportDiffStatus, string> = {
+  'added': 'added',
+  'removed': 'removed',
+  'value-changed': 'value changed',
+  'type-changed': 'type changed',
+  'unchanged': 'unchanged'
+}
+
+// What each choice means for a diff status
+const CHOICE_LABELS: Record<Exclude<ImportDiffStatus, 'unchanged'>, Record<MergeChoice, string>> = {
+  'added': { incoming: 'Add', existing: 'Skip' },
+  'removed': { incoming: 'Remove', existing: 'Keep' },
+  'value-changed': { incoming: 'Use incoming', existing: 'Keep existing' },
+  'type-changed': { incoming: 'Use incoming', existing: 'Keep existing' }
+}
+
+interface ImportDialogProps {
+  result: ImportResult | null
+  fileName?: string
+  // Only given for multi-file imports, where file names map to collections
+  fileNamePattern?: string
+  onFileNamePatternChange?: (pattern: string) => void
+  onConfirm: (strategy: MergeStrategy, overrides: Record<string, MergeChoice>) => void
+  onCancel: () => void
+}
+
+export function ImportDialog({ result, ...props }: ImportDialogProps) {
+  return (
+    <Dialog open={!!result} onOpenChange={(open) => !open && props.onCancel()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        {/* Mounted per import, so the chosen strategy and overrides start fresh */}
+        {result && (
+          <ImportReview result={result} {...props} />
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function ImportReview({
+  result,
+  fileName,
+  fileNamePattern,
+  onFileNamePatternChange,
+  onConfirm,
+  onCancel
+}: ImportDialogProps & { result: ImportResult }) {
+  const { tokens } = useTokenStore()
+  const [strategy, setStrategy] = useState<MergeStrategy>('replace')
+  const [overrides, setOverrides] = useState<Record<string, MergeChoice>>({})
+  const { report } = result
+
+  const changes = useMemo(
+    () => diffImport(tokens, result.tokens).filter(entry => entry.status !== 'unchanged'),
+    [tokens, result.tokens]
+  )
+
+  const statusCounts = useMemo(() => {
+    const counts: Partial<Record<ImportDiffStatus, number>> = {}
+    changes.forEach(entry => {
+      counts[entry.status] = (counts[entry.status] ?? 0) + 1
+    })
+    return counts
+  }, [changes])
+
+  const hasCurrentTokens = tokens.length > 0
+
+  const setChoice = (entry: ImportDiffEntry, choice: MergeChoice) => {
+    setOverrides(previous => {
+      const next = { ...previous }
+      if (choice === getDefaultChoice(entry, strategy)) {
+        delete next[entry.key]
+      } else {
+        next[entry.key] = choice
+      }
+      return next
+    })
+  }
+
+  const handleStrategyChange = (value: MergeStrategy) => {
+    setStrategy(value)
+    setOverrides({})
+  }
+
+  return (
+    <>
+      <DialogHeader>
+        <DialogTitle className="flex items-center gap-2">
+          {report.success ? (
+            <CheckCircle className="h-5 w-5 text-green-600" />
+          ) : (
+            <XCircle className="h-5 w-5 text-red-600" />
+          )}
+          {report.success ? 'Ready to Import' : 'Import Failed'}
+        </DialogTitle>
+        <DialogDescription>
+          {fileName ? `${fileName} - ` : ''}
+          {report.success
+            ? 'Review the import report and choose how to combine it with your current tokens.'
+            : `The import stopped at the ${report.abortedAt} stage. Nothing was changed.`}
+        </DialogDescription>
+      </DialogHeader>
+
+      <div className="space-y-4">
+        {fileNamePattern !== undefined && (
+          <FileMappings
+            report={report}
+            pattern={fileNamePattern}
+            onPatternChange={(pattern) => onFileNamePatternChange?.(pattern)}
+          />
+        )}
+
+        <ReportSummary report={report} />
+
+        {report.success && hasCurrentTokens && (
+          <div className="space-y-3">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Merge Strategy</label>
+              <select
+                value={strategy}
+                onChange={(e) => handleStrategyChange(e.target.value as MergeStrategy)}
+                className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                {MERGE_STRATEGIES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-muted-foreground mt-1">
+                {MERGE_STRATEGIES.find(option => option.value === strategy)?.description}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium flex items-center gap-2">
+                Changes
+                {(Object.keys(statusCounts) as ImportDiffStatus[]).map(status => (
+                  <Badge key={status} variant="outline" className="text-xs">
+                    {statusCounts[status]} {STATUS_LABELS[status]}
+                  </Badge>
+                ))}
+              </h3>
+
+              {changes.length === 0 ? (
+                <p className="text-sm text-muted-foreground">The file matches your current tokens</p>
+              ) : (
+                <div className="border rounded-md divide-y max-h-80 overflow-y-auto">
+                  {changes.slice(0, MAX_LISTED_CHANGES).map(entry => (
+                    <ChangeRow
+                      key={entry.key}
+                      entry={entry}
+                      choice={overrides[entry.key] ?? getDefaultChoice(entry, strategy)}
+                      onChoiceChange={(choice) => setChoice(entry, choice)}
+                    />
+                  ))}
+                </div>
+              )}
+              {changes.length > MAX_LISTED_CHANGES && (
+                <p className="text-xs text-muted-foreground">
+                  and {changes.length - MAX_LISTED_CHANGES} more, merged with the strategy above
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        <IssueList title="Errors" issues={report.errors} icon={<XCircle className="h-4 w-4 text-red-600" />} />
+        <IssueList title="Warnings" issues={report.warnings} icon={<AlertTriangle className="h-4 w-4 text-yellow-600" />} />
+      </div>
+
+      <DialogFooter>
+        <Button variant="outline" onClick={onCancel}>
+          {report.success ? 'Cancel' : 'Close'}
+        </Button>
+        {report.success && (
+          <Button onClick={() => onConfirm(strategy, overrides)}>
+            {hasCurrentTokens ? 'Apply Import' : `Import ${report.tokenCount} tokens`}
+          </Button>
+        )}
+      </DialogFooter>
+    </>
+  )
+}
+
+function ReportSummary({ report }: { report: ImportReport }) {
+  return (
+    <>
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-sm flex items-center gap-2">
+            {FORMAT_LABELS[report.format]}
+            <Badge variant={report.confidence < 50 ? 'destructive' : 'secondary'} className="text-xs">
+              {report.confidence}% confidence
+            </Badge>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="pt-0 space-y-3">
+          {report.formatDetails.length > 0 && (
+            <ul className="text-xs text-muted-foreground list-disc pl-4">
+              {report.formatDetails.map(detail => <li key={detail}>{detail}</li>)}
+            </ul>
+          )}
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="text-muted-foreground">Tokens:</span>
+              <span className="ml-2 font-medium">{report.tokenCount}</span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Collections:</span>
+              <span className="ml-2 font-medium">{report.collectionCount}</span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">References:</span>
+              <span className="ml-2 font-medium">{report.aliasCount}</span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Duration:</span>
+              <span className="ml-2 font-medium">{report.duration.toFixed(1)} ms</span>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-medium">Stages</h3>
+        <div className="space-y-1">
+          {report.stages.map(stage => (
+            <div key={stage.stage} className="flex items-center justify-between text-sm">
+              <span className="font-mono text-xs">{stage.stage}</span>
+              <span className="flex items-center gap-2">
+                <Badge
+                  variant={stage.status === 'failed' ? 'destructive' : stage.status === 'skipped' ? 'outline' : 'secondary'}
+                  className="text-xs"
+                >
+                  {stage.status}
+                </Badge>
+                <span className="text-xs text-muted-foreground w-16 text-right">{stage.duration.toFixed(1)} ms</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  )
+}
+
+function FileMappings({ report, pattern, onPatternChange }: {
+  report: ImportReport
+  pattern: string
+  onPatternChange: (pattern: string) => void
+}) {
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium block">File Name Pattern</label>
+      <Input
+        value={pattern}
+        onChange={(e) => onPatternChange(e.target.value)}
+        placeholder={DEFAULT_FILE_NAME_PATTERN}
+        className="h-8 font-mono text-xs"
+      />
+      <p className="text-xs text-muted-foreground">
+        Matching files become a mode of a collection, e.g. <code>{'{collection}.{mode}.json'}</code> or{' '}
+        <code>{'{collection}/{mode}.json'}</code>. Other files become their own collection.
+      </p>
+      {report.files && report.files.length > 0 && (
+        <div className="border rounded-md divide-y max-h-48 overflow-y-auto">
+          {report.files.map(file => (
+            <div key={file.path} className="flex items-center gap-2 px-3 py-1.5 text-xs">
+              <span className="font-mono truncate flex-1">{file.path}</span>
+              <span className="text-muted-foreground">→</span>
+              <span className="font-medium">{file.collection}</span>
+              {file.mode && <Badge variant="secondary" className="text-xs">{file.mode}</Badge>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ChangeRow({ entry, choice, onChoiceChange }: {
+  entry: ImportDiffEntry
+  choice: MergeChoice
+  onChoiceChange: (choice: MergeChoice) => void
+}) {
+  const labels = CHOICE_LABELS[entry.status as Exclude<ImportDiffStatus, 'unchanged'>]
+  const describe = (side?: ImportDiffEntry['existing']) =>
+    side ? `${side.type} ${formatTokenValue(getPortableValue(side))}` : ''
+
+  return (
+    <div className="flex items-center gap-3 px-3 py-2 text-xs">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-mono truncate">{entry.key}</span>
+          <Badge variant="outline" className="text-xs shrink-0">{STATUS_LABELS[entry.status]}</Badge>
+        </div>
+        <div className="text-muted-foreground truncate">
+          {entry.existing && entry.incoming
+            ? `${describe(entry.existing)} → ${describe(entry.incoming)}`
+            : describe(entry.existing ?? entry.incoming)}
+        </div>
+      </div>
+      <select
+        value={choice}
+        onChange={(e) => onChoiceChange(e.target.value as MergeChoice)}
+        className="h-7 rounded-md border border-input bg-background px-2 text-xs"
+      >
+        <option value="incoming">{labels.incoming}</option>
+        <option value="existing">{labels.existing}</option>
+      </select>
+    </div>
+  )
+}
+
+function IssueList({ title, issues, icon }: { title: string; issues: ImportIssue[]; icon: React.ReactNode }) {
+  if (issues.length === 0) return null
+
+  const hidden = issues.length - MAX_LISTED_ISSUES
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium flex items-center gap-2">
+        {icon}
+        {title} ({issues.length})
+      </h3>
+      <ul className="space-y-1 text-xs">
+        {issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+          <li key={index} className="flex gap-2">
+            {issue.path && <span className="font-mono text-muted-foreground shrink-0">{issue.path}</span>}
+            <span>{issue.message}</span>
+          </li>
+        ))}
+      </ul>
+      {hidden > 0 && (
+        <p className="text-xs text-muted-foreground">and {hidden} more</p>
+      )}
+    </div>
+  )
+}
@@ -10,17 +10,59 @@ import {
 } from '@/components/ui/dialog'
 import { Input } from '@/components/ui/input'
 import { Badge } from '@/components/ui/badge'
+import { AliasInput } from '@/components/AliasInput'
+import {
+  BorderPreview,
+  EasingCurve,
+  GradientPreview,
+  MotionPreview,
+  ShadowPreview,
+  TypographySpecimen
+} from '@/components/TokenValue'
+import { ShadowEditor, ShadowLayerFields } from '@/components/ShadowEditor'
+import { BorderEditor, BorderFields } from '@/components/BorderEditor'
+import { GradientEditor, GradientStopFields } from '@/components/GradientEditor'
+import { TransitionEditor, TransitionFields } from '@/components/TransitionEditor'
 import { useTokenStore } from '@/store/tokenStore'
-import { Token } from '@/types/token'
+import { BorderValue, GradientStopValue, ShadowLayerValue, Token, TransitionValue, TypographyValue } from '@/types/token'
 import { getIntelligentScope } from '@/lib/scopeUtils'
+import { getResolvedTokenValue } from '@/lib/aliasUtils'
+import {
+  createToken,
+  getCubicBezierPoints,
+  isCubicBezierValue,
+  isTypographyValue,
+  parseBorderValue,
+  parseGradientValue,
+  parseShadowValue,
+  parseTokenValueInput,
+  parseTransitionValue,
+  toCssValue,
+  TYPOGRAPHY_FIELD_TYPES,
+  TYPOGRAPHY_FIELDS
+} from '@/lib/tokenValues'
+import { getTokenTypeColor, TOKEN_TYPES } from '@/lib/tokenTypes'
 
 interface NewVariableDialogProps {
   trigger?: React.ReactNode
 }
 
+// Types whose value can also be built from fields below the value input
+const STRUCTURED_TYPES: Token['type'][] = ['TYPOGRAPHY', 'SHADOW', 'BORDER', 'GRADIENT', 'TRANSITION']
+
+const EMPTY_BORDER: BorderFields = { color: '', width: '', style: '' }
+
+const EMPTY_TRANSITION: TransitionFields = { duration: '', timingFunction: '', delay: '' }
+
 export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
-  const { addTokens } = useTokenStore()
+  const { tokens, remBase, addTokens } = useTokenStore()
   const [open, setOpen] = useState(false)
+  // Typography sub-fields, each a value or a reference
+  const [typography, setTypography] = useState<Partial<Record<keyof TypographyValue, string>>>({})
+  const [shadowLayers, setShadowLayers] = useState<ShadowLayerFields[]>([])
+  const [border, setBorder] = useState<BorderFields>(EMPTY_BORDER)
+  const [gradientStops, setGradientStops] = useState<GradientStopFields[]>([])
+  const [transition, setTransition] = useState<TransitionFields>(EMPTY_TRANSITION)
   const [formData, setFormData] = useState({
     name: '',
     path: '',
@@ -30,27 +72,38 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
     description: ''
   })
 
+  // Values built from the structured fields, when filled in
+  const structuredValue = formData.type === 'TYPOGRAPHY' ? toTypographyValue(typography)
+    : formData.type === 'SHADOW' ? toShadowValue(shadowLayers)
+    : formData.type === 'BORDER' ? toBorderValue(border)
+    : formData.type === 'GRADIENT' ? toGradientValue(gradientStops)
+    : formData.type === 'TRANSITION' ? toTransitionValue(transition)
+    : undefined
+  const hasFields = STRUCTURED_TYPES.includes(formData.type)
+  const hasValue = formData.value.trim() !== '' || structuredValue !== undefined
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
     
-    if (!formData.name.trim() || !formData.value.trim()) {
+    if (!formData.name.trim() || !hasValue) {
       return
     }
 
-    const newToken: Token = {
+    const value = structuredValue ?? parseTokenValueInput(formData.value)
+    const newToken = createToken({
       name: formData.name.trim(),
       path: formData.path.trim() || formData.name.trim(),
       type: formData.type,
-      value: formData.value.trim(),
+      value,
       collection: formData.collection.trim() || 'global',
       description: formData.description.trim(),
       scope: getIntelligentScope({
         type: formData.type,
         path: formData.path.trim() || formData.name.trim(),
-        value: formData.value.trim(),
+        value,
         name: formData.name.trim()
       })
-    }
+    })
 
     addTokens([newToken])
     
@@ -63,6 +116,11 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
       collection: 'global',
       description: ''
     })
+    setTypography({})
+    setShadowLayers([])
+    setBorder(EMPTY_BORDER)
+    setGradientStops([])
+    setTransition(EMPTY_TRANSITION)
     
     setOpen(false)
   }
@@ -77,22 +135,14 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
       collection: 'global',
       description: ''
     })
+    setTypography({})
+    setShadowLayers([])
+    setBorder(EMPTY_BORDER)
+    setGradientStops([])
+    setTransition(EMPTY_TRANSITION)
     setOpen(false)
   }
 
-  const getTypeColor = (type: string): string => {
-    const colors: Record<string, string> = {
-      'COLOR': '#3b82f6',
-      'DIMENSION': '#10b981',
-      'SPACING': '#f59e0b',
-      'TYPOGRAPHY': '#8b5cf6',
-      'BORDER_RADIUS': '#06b6d4',
-      'OPACITY': '#64748b',
-      'SHADOW': '#6366f1'
-    }
-    return colors[type] || '#64748b'
-  }
-
   const defaultTrigger = (
     <Button className="bg-blue-600 hover:bg-blue-700">
       <Plus className="h-4 w-4 mr-2" />
@@ -104,16 +154,35 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
   const previewScope = formData.name.trim() ? getIntelligentScope({
     type: formData.type,
     path: formData.path.trim() || formData.name.trim(),
-    value: formData.value.trim(),
+    value: structuredValue ?? formData.value.trim(),
     name: formData.name.trim()
   }) : []
 
+  // The preview follows references to other tokens
+  const resolvedValue = structuredValue && getResolvedTokenValue(
+    createToken({
+      name: formData.name,
+      path: formData.path || formData.name,
+      type: formData.type,
+      value: structuredValue,
+      collection: formData.collection.trim() || 'global'
+    }),
+    tokens,
+    undefined,
+    { remBase }
+  ).value
+  const resolvedShadow = formData.type === 'SHADOW' ? parseShadowValue(resolvedValue) : undefined
+  const resolvedBorder = formData.type === 'BORDER' ? parseBorderValue(resolvedValue) : undefined
+  const resolvedGradient = formData.type === 'GRADIENT' ? parseGradientValue(resolvedValue) : undefined
+  const resolvedTransition = formData.type === 'TRANSITION' ? parseTransitionValue(resolvedValue) : undefined
+  const resolvedEasing = resolvedTransition && getCubicBezierPoints(resolvedTransition.timingFunction)
+
   return (
     <Dialog open={open} onOpenChange={setOpen}>
       <DialogTrigger asChild>
         {trigger || defaultTrigger}
       </DialogTrigger>
-      <DialogContent className="sm:max-w-[500px]">
+      <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle>Create New Design Token</DialogTitle>
         </DialogHeader>
@@ -158,26 +227,93 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
                 value={formData.type}
                 onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value as Token['type'] }))}
               >
-                <option value="COLOR">Color</option>
-                <option value="DIMENSION">Dimension</option>
-                <option value="SPACING">Spacing</option>
-                <option value="TYPOGRAPHY">Typography</option>
-                <option value="BORDER_RADIUS">Border Radius</option>
-                <option value="OPACITY">Opacity</option>
-                <option value="SHADOW">Shadow</option>
+                {TOKEN_TYPES.filter(type => type !== 'UNKNOWN').map(type => (
+                  <option key={type} value={type} className="capitalize">
+                    {type.toLowerCase().replace('_', ' ')}
+                  </option>
+                ))}
               </select>
             </div>
             <div className="space-y-2">
               <label className="text-sm font-medium">Value *</label>
-              <Input
-                placeholder="e.g. #3b82f6, 16px, Inter"
+              <AliasInput
+                placeholder={hasFields
+                  ? `e.g. {${formData.type.toLowerCase()}.base}, or the fields below`
+                  : 'e.g. #3b82f6, 16px, {spacing.md}'}
                 value={formData.value}
-                onChange={(e) => setFormData(prev => ({ ...prev, value: e.target.value }))}
-                required
+                onChange={(value) => setFormData(prev => ({ ...prev, value }))}
+                type={formData.type}
+                collection={formData.collection.trim() || 'global'}
+                required={!hasFields}
               />
             </div>
           </div>
 
+          {formData.type === 'SHADOW' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Layers</label>
+              <ShadowEditor
+                layers={shadowLayers}
+                onChange={setShadowLayers}
+                collection={formData.collection.trim() || 'global'}
+              />
+            </div>
+          )}
+
+          {formData.type === 'BORDER' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Border</label>
+              <BorderEditor
+                value={border}
+                onChange={setBorder}
+                collection={formData.collection.trim() || 'global'}
+              />
+            </div>
+          )}
+
+          {formData.type === 'GRADIENT' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Stops</label>
+              <GradientEditor
+                stops={gradientStops}
+                onChange={setGradientStops}
+                collection={formData.collection.trim() || 'global'}
+              />
+            </div>
+          )}
+
+          {formData.type === 'TRANSITION' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Transition</label>
+              <TransitionEditor
+                value={transition}
+                onChange={setTransition}
+                collection={formData.collection.trim() || 'global'}
+              />
+            </div>
+          )}
+
+          {formData.type === 'TYPOGRAPHY' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Properties</label>
+              <div className="grid grid-cols-2 gap-3">
+                {TYPOGRAPHY_FIELDS.map(field => (
+                  <div key={field} className="space-y-1">
+                    <span className="text-xs text-muted-foreground">
+                      {field.replace(/([A-Z])/g, ' $1').toLowerCase()}
+                    </span>
+                    <AliasInput
+                      value={typography[field] ?? ''}
+                      onChange={(value) => setTypography(prev => ({ ...prev, [field]: value }))}
+                      type={TYPOGRAPHY_FIELD_TYPES[field]}
+                      collection={formData.collection.trim() || 'global'}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="space-y-2">
             <label className="text-sm font-medium">Description</label>
             <Input
@@ -197,9 +333,9 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
                   variant="outline" 
                   className="capitalize"
                   style={{ 
-                    backgroundColor: getTypeColor(formData.type) + '20',
-                    borderColor: getTypeColor(formData.type),
-                    color: getTypeColor(formData.type)
+                    backgroundColor: getTokenTypeColor(formData.type) + '20',
+                    borderColor: getTokenTypeColor(formData.type),
+                    color: getTokenTypeColor(formData.type)
                   }}
                 >
                   {formData.type.toLowerCase().replace('_', ' ')}
@@ -217,6 +353,46 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
                 </div>
               )}
               
+              {formData.type === 'TYPOGRAPHY' && isTypographyValue(resolvedValue) && (
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="text-muted-foreground">Text:</span>
+                  <TypographySpecimen value={resolvedValue} />
+                </div>
+              )}
+
+              {resolvedShadow && (
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Shadow:</span>
+                  <ShadowPreview layers={resolvedShadow} />
+                </div>
+              )}
+
+              {resolvedBorder && (
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Border:</span>
+                  <BorderPreview value={resolvedBorder} />
+                </div>
+              )}
+
+              {resolvedGradient && (
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Gradient:</span>
+                  <GradientPreview stops={resolvedGradient} />
+                </div>
+              )}
+
+              {resolvedTransition && (
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">Motion:</span>
+                  {resolvedEasing && <EasingCurve points={resolvedEasing} />}
+                  <MotionPreview
+                    duration={toCssValue('DURATION', resolvedTransition.duration)}
+                    timingFunction={toCssValue('CUBIC_BEZIER', resolvedTransition.timingFunction)}
+                    delay={resolvedTransition.delay !== undefined ? toCssValue('DURATION', resolvedTransition.delay) : undefined}
+                  />
+                </div>
+              )}
+              
               {previewScope.length > 0 && (
                 <div className="flex items-start gap-2">
                   <span className="text-muted-foreground">Scope:</span>
@@ -238,7 +414,7 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
             </Button>
             <Button 
               type="submit" 
-              disabled={!formData.name.trim() || !formData.value.trim()}
+              disabled={!formData.name.trim() || !hasValue}
             >
               Create Token
             </Button>
@@ -247,4 +423,71 @@ export function NewVariableDialog({ trigger }: NewVariableDialogProps) {
       </DialogContent>
     </Dialog>
   )
+}
+
+// The filled-in typography fields as a composite value; plain numbers become numbers
+function toTypographyValue(fields: Partial<Record<keyof TypographyValue, string>>): TypographyValue | undefined {
+  const entries = Object.entries(fields)
+    .map(([field, text]) => [field, text.trim()])
+    .filter(([, text]) => text !== '')
+    .map(([field, text]) => [field, /^-?\d*\.?\d+$/.test(text) ? Number(text) : text])
+  return entries.length > 0 ? Object.fromEntries(entries) as TypographyValue : undefined
+}
+
+// Layers with a color as a shadow value; empty lengths are 0, plain numbers become numbers
+function toShadowValue(layers: ShadowLayerFields[]): ShadowLayerValue[] | undefined {
+  const toLength = (text: string) => {
+    const trimmed = text.trim()
+    return /^-?\d*\.?\d+$/.test(trimmed) ? Number(trimmed) : trimmed || 0
+  }
+  const value = layers
+    .filter(layer => layer.color.trim() !== '')
+    .map(layer => ({
+      color: layer.color.trim(),
+      offsetX: toLength(layer.offsetX),
+      offsetY: toLength(layer.offsetY),
+      blur: toLength(layer.blur),
+      spread: toLength(layer.spread),
+      ...(layer.inset && { inset: true })
+    }))
+  return value.length > 0 ? value : undefined
+}
+
+// A border once width and color are filled in; the style defaults to solid
+function toBorderValue(fields: BorderFields): BorderValue | undefined {
+  const color = fields.color.trim()
+  const width = fields.width.trim()
+  if (color === '' || width === '') return undefined
+  return {
+    color,
+    width: /^-?\d*\.?\d+$/.test(width) ? Number(width) : width,
+    style: fields.style.trim() || 'solid'
+  }
+}
+
+// Stops with a color as a gradient value; plain-number positions become numbers
+function toGradientValue(stops: GradientStopFields[]): GradientStopValue[] | undefined {
+  const value = stops
+    .filter(stop => stop.color.trim() !== '')
+    .map(stop => {
+      const position = stop.position.trim()
+      return {
+        color: stop.color.trim(),
+        position: /^-?\d*\.?\d+$/.test(position) ? Number(position) : position || 0
+      }
+    })
+  return value.length > 0 ? value : undefined
+}
+
+// A transition once duration and easing are filled in; a JSON list easing becomes Bézier points
+function toTransitionValue(fields: TransitionFields): TransitionValue | undefined {
+  const duration = fields.duration.trim()
+  const easing = parseTokenValueInput(fields.timingFunction)
+  const delay = fields.delay.trim()
+  if (duration === '' || easing === '') return undefined
+  return {
+    duration: /^\d*\.?\d+$/.test(duration) ? Number(duration) : duration,
+    timingFunction: isCubicBezierValue(easing) ? easing : fields.timingFunction.trim(),
+    ...(delay !== '' && { delay: /^\d*\.?\d+$/.test(delay) ? Number(delay) : delay })
+  }
 }
\ No newline at end of file
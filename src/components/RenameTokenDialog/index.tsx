@@ -0,0 +1,165 @@
+import { useMemo, useState } from 'react'
+import { ArrowRight } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { useTokenStore } from '@/store/tokenStore'
+import { Token } from '@/types/token'
+import { getTokensAtLocation, planRename, TokenLocation } from '@/lib/tokenRename'
+import { getTokenKey } from '@/lib/importMerge'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+
+// Longer previews are cut short; the counts still cover everything
+const MAX_PREVIEW_ROWS = 50
+
+interface RenameTokenDialogProps {
+  token: Token
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+export function RenameTokenDialog({ token, open, onOpenChange }: RenameTokenDialogProps) {
+  const { tokens, collections, renameTokens } = useTokenStore()
+  const collection = getTokenCollectionName(token)
+  const [scope, setScope] = useState(token.path)
+  const [target, setTarget] = useState<TokenLocation>({ collection, path: token.path })
+
+  // The token itself, then each group it is in, innermost first
+  const scopes = useMemo(() => {
+    const segments = token.path.split('.')
+    return segments.map((_, index) => {
+      const path = segments.slice(0, segments.length - index).join('.')
+      return { path, count: getTokensAtLocation(tokens, { collection, path }).length }
+    })
+  }, [tokens, collection, token.path])
+
+  const source = useMemo(() => ({ collection, path: scope }), [collection, scope])
+  const plan = useMemo(() => planRename(tokens, source, target), [tokens, source, target])
+
+  const handleScopeChange = (path: string) => {
+    setScope(path)
+    setTarget(prev => ({ ...prev, path }))
+  }
+
+  const handleApply = () => {
+    const applied = renameTokens(source, target)
+    if (applied.conflicts.length === 0) {
+      onOpenChange(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle>Rename or Move</DialogTitle>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">What to move</label>
+            <select
+              className="w-full h-9 rounded-md border border-input bg-background px-3 text-sm"
+              value={scope}
+              onChange={(e) => handleScopeChange(e.target.value)}
+            >
+              {scopes.map(({ path, count }, index) => (
+                <option key={path} value={path}>
+                  {index === 0 ? `This token (${path})` : `Group ${path} (${count} tokens)`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Collection</label>
+              <Input
+                list="rename-token-collections"
+                value={target.collection}
+                onChange={(e) => setTarget(prev => ({ ...prev, collection: e.target.value }))}
+              />
+              <datalist id="rename-token-collections">
+                {collections.map(c => <option key={c.id} value={c.name} />)}
+              </datalist>
+            </div>
+            <div className="col-span-2 space-y-2">
+              <label className="text-sm font-medium">Path</label>
+              <Input
+                value={target.path}
+                onChange={(e) => setTarget(prev => ({ ...prev, path: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <div className="border rounded-lg p-4 bg-muted/20 space-y-3 max-h-80 overflow-y-auto">
+            {plan.conflicts.length > 0 ? (
+              <ul className="space-y-1 text-sm text-red-600">
+                {plan.conflicts.map((conflict, index) => <li key={index}>{conflict}</li>)}
+              </ul>
+            ) : (
+              <>
+                <div>
+                  <h4 className="text-sm font-medium mb-2 flex items-center gap-2">
+                    Moved tokens
+                    <Badge variant="outline" className="text-xs">{plan.moves.length}</Badge>
+                  </h4>
+                  <div className="space-y-1">
+                    {plan.moves.slice(0, MAX_PREVIEW_ROWS).map(({ from, to }) => (
+                      <div key={getTokenKey(from)} className="flex items-center gap-2 text-xs font-mono">
+                        <span className="break-all">{getTokenKey(from)}</span>
+                        <ArrowRight className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+                        <span className="break-all">{getTokenKey(to)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="text-sm font-medium mb-2 flex items-center gap-2">
+                    Rewritten references
+                    <Badge variant="outline" className="text-xs">{plan.rewrites.length}</Badge>
+                  </h4>
+                  {plan.rewrites.length === 0 ? (
+                    <p className="text-xs text-muted-foreground">No other token references these</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {plan.rewrites.slice(0, MAX_PREVIEW_ROWS).map(({ token: rewritten, references }) => (
+                        <div key={getTokenKey(rewritten)} className="text-xs font-mono">
+                          <span className="break-all">{getTokenKey(rewritten)}</span>
+                          {references.map(({ before, after }) => (
+                            <span key={before} className="ml-2 text-muted-foreground">
+                              {before} → {after}
+                            </span>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {(plan.moves.length > MAX_PREVIEW_ROWS || plan.rewrites.length > MAX_PREVIEW_ROWS) && (
+                  <p className="text-xs text-muted-foreground">Only the first {MAX_PREVIEW_ROWS} of each are listed</p>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleApply} disabled={plan.conflicts.length > 0}>
+              Apply
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,104 @@
+import { Plus, Trash2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { AliasInput } from '@/components/AliasInput'
+import { SHADOW_FIELD_TYPES } from '@/lib/tokenValues'
+
+// A shadow layer as typed into the editor; every text field may hold a reference
+export interface ShadowLayerFields {
+  offsetX: string
+  offsetY: string
+  blur: string
+  spread: string
+  color: string
+  inset: boolean
+}
+
+interface ShadowEditorProps {
+  layers: ShadowLayerFields[]
+  onChange: (layers: ShadowLayerFields[]) => void
+  // Collection the token belongs to; references are looked up from it
+  collection?: string
+}
+
+const TEXT_FIELDS: { field: Exclude<keyof ShadowLayerFields, 'inset'>; label: string; placeholder: string }[] = [
+  { field: 'offsetX', label: 'x', placeholder: '0px' },
+  { field: 'offsetY', label: 'y', placeholder: '4px' },
+  { field: 'blur', label: 'blur', placeholder: '8px' },
+  { field: 'spread', label: 'spread', placeholder: '0px' },
+  { field: 'color', label: 'color', placeholder: '#00000040' }
+]
+
+const EMPTY_SHADOW_LAYER: ShadowLayerFields = {
+  offsetX: '',
+  offsetY: '',
+  blur: '',
+  spread: '',
+  color: '',
+  inset: false
+}
+
+// One row of fields per layer, topmost layer first like CSS box-shadow.
+// With no layers yet, one empty layer is shown.
+export function ShadowEditor({ layers: value, onChange, collection }: ShadowEditorProps) {
+  const layers = value.length > 0 ? value : [EMPTY_SHADOW_LAYER]
+
+  const update = (index: number, fields: Partial<ShadowLayerFields>) => {
+    onChange(layers.map((layer, i) => i === index ? { ...layer, ...fields } : layer))
+  }
+
+  return (
+    <div className="space-y-2">
+      {layers.map((layer, index) => (
+        <div key={index} className="border rounded-lg p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-medium">Layer {index + 1}</span>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-1.5 text-xs">
+                <Checkbox
+                  checked={layer.inset}
+                  onCheckedChange={(checked) => update(index, { inset: checked === true })}
+                />
+                inset
+              </label>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="h-6 w-6 p-0"
+                title="Remove layer"
+                disabled={layers.length === 1}
+                onClick={() => onChange(layers.filter((_, i) => i !== index))}
+              >
+                <Trash2 className="h-3 w-3" />
+              </Button>
+            </div>
+          </div>
+          <div className="grid grid-cols-5 gap-2">
+            {TEXT_FIELDS.map(({ field, label, placeholder }) => (
+              <div key={field} className="space-y-1">
+                <span className="text-xs text-muted-foreground">{label}</span>
+                <AliasInput
+                  value={layer[field]}
+                  placeholder={placeholder}
+                  onChange={(value) => update(index, { [field]: value })}
+                  type={SHADOW_FIELD_TYPES[field]}
+                  collection={collection}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...layers, EMPTY_SHADOW_LAYER])}
+      >
+        <Plus className="h-3 w-3 mr-1" />
+        Add layer
+      </Button>
+    </div>
+  )
+}
@@ -1,23 +1,52 @@
-import { useState, useEffect, useMemo } from 'react'
-import { Editor } from '@monaco-editor/react'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Editor, Monaco, OnMount } from '@monaco-editor/react'
+import type { editor, IDisposable } from 'monaco-editor'
 import { Save, RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { useTokenStore } from '@/store/tokenStore'
 import { useTheme } from '@/hooks/useTheme'
+import { getPortableValue } from '@/lib/modeUtils'
+import { getTokenTypeName } from '@/lib/tokenTypes'
+import { registerTokenReferenceSupport, setTokenReferenceMarkers, TokenReferenceContext } from '@/lib/monacoTokenReferences'
 
 interface TokenJsonEditorProps {
   className?: string
 }
 
 export function TokenJsonEditor({ className = '' }: TokenJsonEditorProps) {
-  const { tokens, loadFromJSON } = useTokenStore()
+  const { tokens, remBase, loadFromJSON } = useTokenStore()
   const { theme } = useTheme()
   const [editorContent, setEditorContent] = useState<string>('')
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [hasChanges, setHasChanges] = useState(false)
+  const codeEditor = useRef<{ editor: editor.IStandaloneCodeEditor; monaco: Monaco } | null>(null)
+  const referenceSupport = useRef<IDisposable | null>(null)
+  const referenceContext = useRef<TokenReferenceContext>({ tokens, options: { remBase } })
+
+  // Reference completion and hover read the latest tokens
+  useEffect(() => {
+    referenceContext.current = { tokens, options: { remBase } }
+  }, [tokens, remBase])
+
+  useEffect(() => () => referenceSupport.current?.dispose(), [])
+
+  // Flag unknown references as the text or the tokens change
+  useEffect(() => {
+    const model = codeEditor.current?.editor.getModel()
+    if (codeEditor.current && model) {
+      setTokenReferenceMarkers(codeEditor.current.monaco, model, tokens)
+    }
+  }, [editorContent, tokens])
+
+  const handleEditorMount: OnMount = (mountedEditor, monaco) => {
+    codeEditor.current = { editor: mountedEditor, monaco }
+    referenceSupport.current = registerTokenReferenceSupport(monaco, mountedEditor, () => referenceContext.current)
+    const model = mountedEditor.getModel()
+    if (model) setTokenReferenceMarkers(monaco, model, tokens)
+  }
 
   // Convert current tokens to W3C JSON format
   const tokensToW3C = useMemo(() => {
@@ -39,8 +68,8 @@ export function TokenJsonEditor({ className = '' }: TokenJsonEditorProps) {
       // Set the token value
       const tokenName = pathParts[pathParts.length - 1]
       current[tokenName] = {
-        $type: token.type.toLowerCase(),
-        $value: token.value,
+        $type: getTokenTypeName(token),
+        $value: getPortableValue(token),
         ...(token.description && { $description: token.description })
       }
     })
@@ -79,7 +108,11 @@ export function TokenJsonEditor({ className = '' }: TokenJsonEditorProps) {
     setIsLoading(true)
     try {
       const parsedJson = JSON.parse(editorContent)
-      await loadFromJSON(parsedJson)
+      const report = loadFromJSON(parsedJson)
+      if (!report.success) {
+        setError(report.errors[0]?.message ?? 'Import failed')
+        return
+      }
       setHasChanges(false)
       setError(null)
     } catch (e) {
@@ -181,6 +214,7 @@ export function TokenJsonEditor({ className = '' }: TokenJsonEditorProps) {
           theme={theme === 'dark' ? 'vs-dark' : 'vs-light'}
           value={editorContent}
           onChange={handleEditorChange}
+          onMount={handleEditorMount}
           options={{
             minimap: { enabled: false },
             scrollBeyondLastLine: false,
@@ -5,6 +5,8 @@ import { Badge } from '@/components/ui/badge'
 import { useTokenStore } from '@/store/tokenStore'
 import { Token } from '@/types/token'
 import { TokenValue } from '@/components/TokenValue'
+import { formatTokenValue } from '@/lib/tokenValues'
+import { getTokenTypeColor } from '@/lib/tokenTypes'
 
 interface TokenJsonViewProps {
   className?: string
@@ -31,7 +33,7 @@ export function TokenJsonView({ className = '' }: TokenJsonViewProps) {
       const matchesSearch = !searchQuery || 
         token.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
         token.path.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        token.value.toLowerCase().includes(searchQuery.toLowerCase())
+        formatTokenValue(token.value).toLowerCase().includes(searchQuery.toLowerCase())
       
       const matchesType = !filterByType || token.type === filterByType
       
@@ -141,9 +143,9 @@ export function TokenJsonView({ className = '' }: TokenJsonViewProps) {
                   variant="outline" 
                   className="text-xs"
                   style={{ 
-                    backgroundColor: getTypeColor(node.token.type) + '20',
-                    borderColor: getTypeColor(node.token.type),
-                    color: getTypeColor(node.token.type)
+                    backgroundColor: getTokenTypeColor(node.token.type) + '20',
+                    borderColor: getTokenTypeColor(node.token.type),
+                    color: getTokenTypeColor(node.token.type)
                   }}
                 >
                   {node.token.type}
@@ -225,7 +227,7 @@ export function TokenJsonView({ className = '' }: TokenJsonViewProps) {
               const matchesSearch = !searchQuery || 
                 token.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
                 token.path.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                token.value.toLowerCase().includes(searchQuery.toLowerCase())
+                formatTokenValue(token.value).toLowerCase().includes(searchQuery.toLowerCase())
               const matchesType = !filterByType || token.type === filterByType
               return matchesSearch && matchesType
             }).length} tokens
@@ -264,16 +266,3 @@ export function TokenJsonView({ className = '' }: TokenJsonViewProps) {
     </div>
   )
 }
-
-function getTypeColor(type: string): string {
-  const colors: Record<string, string> = {
-    'COLOR': '#3b82f6',
-    'DIMENSION': '#10b981',
-    'SPACING': '#f59e0b',
-    'TYPOGRAPHY': '#8b5cf6',
-    'BORDER_RADIUS': '#06b6d4',
-    'OPACITY': '#64748b',
-    'SHADOW': '#6366f1'
-  }
-  return colors[type] || '#64748b'
-}
\ No newline at end of file
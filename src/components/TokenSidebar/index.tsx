@@ -6,6 +6,8 @@ import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/component
 import { useTokenStore } from '@/store/tokenStore'
 import { cn } from '@/lib/utils'
 import { Token } from '@/types/token'
+import { formatTokenValue } from '@/lib/tokenValues'
+import { getTokenTypeColor } from '@/lib/tokenTypes'
 
 export function TokenSidebar() {
   const {
@@ -137,7 +139,7 @@ export function TokenSidebar() {
 
 // Type icon component
 function TypeIcon({ type, className }: { type: string; className?: string }) {
-  const iconColor = getTypeColor(type)
+  const iconColor = getTokenTypeColor(type)
   
   return (
     <div
@@ -152,15 +154,17 @@ function TypeIcon({ type, className }: { type: string; className?: string }) {
 
 // Token value preview component
 function TokenValue({ token }: { token: Token }) {
-  if (token.type === 'COLOR') {
+  const value = token.value
+
+  if (token.type === 'COLOR' && typeof value === 'string') {
     return (
       <div className="flex items-center gap-1.5">
         <div 
           className="w-3 h-3 rounded border border-gray-200 flex-shrink-0"
-          style={{ backgroundColor: token.value }}
+          style={{ backgroundColor: value }}
         />
         <span className="text-xs text-muted-foreground font-mono truncate">
-          {token.value}
+          {value}
         </span>
       </div>
     )
@@ -168,22 +172,7 @@ function TokenValue({ token }: { token: Token }) {
 
   return (
     <span className="text-xs text-muted-foreground font-mono truncate">
-      {token.value}
+      {formatTokenValue(value)}
     </span>
   )
 }
-
-// Helper function to get color for token type
-function getTypeColor(type: string): string {
-  const colors: Record<string, string> = {
-    'COLOR': '#3b82f6',
-    'DIMENSION': '#10b981',
-    'SPACING': '#f59e0b',
-    'TYPOGRAPHY': '#8b5cf6',
-    'BORDER_RADIUS': '#06b6d4',
-    'OPACITY': '#64748b',
-    'SHADOW': '#6366f1'
-  }
-  
-  return colors[type] || '#64748b'
-}
\ No newline at end of file
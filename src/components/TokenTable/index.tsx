@@ -1,4 +1,4 @@
-import { useMemo, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import {
   createColumnHelper,
   flexRender,
@@ -9,7 +9,7 @@ import {
   SortingState,
   ColumnFiltersState
 } from '@tanstack/react-table'
-import { ArrowUpDown, Copy, MoreHorizontal, Plus } from 'lucide-react'
+import { ArrowUpDown, Copy, MoreHorizontal, Plus, Undo2 } from 'lucide-react'
 
 import { useTokenStore } from '@/store/tokenStore'
 import { Token } from '@/types/token'
@@ -18,13 +18,40 @@ import { Button } from '@/components/ui/button'
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
 import { NewVariableDialog } from '@/components/NewVariableDialog'
 import { TokenValue } from '@/components/TokenValue'
+import { AliasDiagnosticsPanel } from '@/components/AliasDiagnosticsPanel'
+import { RenameTokenDialog } from '@/components/RenameTokenDialog'
+import { FindUsagesDialog } from '@/components/FindUsagesDialog'
+import { formatTokenValue } from '@/lib/tokenValues'
+import { getModeValue } from '@/lib/modeUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { getTokenTypeColor, getTokenTypeLabel } from '@/lib/tokenTypes'
 
 const columnHelper = createColumnHelper<Token>()
 
 export function TokenTable() {
-  const { tokens, searchQuery, filterByType } = useTokenStore()
+  const { tokens, collections, searchQuery, filterByType, selectedTokens, undoStack, undo } = useTokenStore()
+  const lastChange = undoStack[undoStack.length - 1]
   const [sorting, setSorting] = useState<SortingState>([])
   const [columnFilters, setColumnFilters] = useState<ColumnFiltersState>([])
+  const scrollContainer = useRef<HTMLDivElement>(null)
+
+  // Bring the first selected row into view, e.g. after picking a diagnostic
+  useEffect(() => {
+    if (selectedTokens.length === 0) return
+    const row = scrollContainer.current?.querySelector(`[data-token-key="${CSS.escape(selectedTokens[0])}"]`)
+    row?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }, [selectedTokens])
+
+  // One value column per mode, in collection mode order
+  const modeNames = useMemo(() => {
+    const modes: string[] = []
+    collections.forEach(collection => {
+      collection.modes.forEach(mode => {
+        if (!modes.includes(mode)) modes.push(mode)
+      })
+    })
+    return modes
+  }, [collections])
 
   const columns = useMemo(
     () => [
@@ -64,12 +91,14 @@ export function TokenTable() {
             variant="outline" 
             className="capitalize"
             style={{ 
-              backgroundColor: getTypeColor(info.getValue()) + '20',
-              borderColor: getTypeColor(info.getValue()),
-              color: getTypeColor(info.getValue())
+              backgroundColor: getTokenTypeColor(info.getValue()) + '20',
+              borderColor: getTokenTypeColor(info.getValue()),
+              color: getTokenTypeColor(info.getValue()),
+              borderStyle: info.row.original.inheritedType ? 'dashed' : undefined
             }}
+            title={info.row.original.inheritedType ? 'Type inherited from parent group' : undefined}
           >
-            {info.getValue().toLowerCase().replace('_', ' ')}
+            {getTokenTypeLabel(info.row.original)}
           </Badge>
         ),
       }),
@@ -107,17 +136,13 @@ export function TokenTable() {
         },
       }),
 
-      columnHelper.display({
-        id: 'mode1',
-        header: 'Mode 1',
-        cell: ({ row }) => <TokenModeCell token={row.original} mode="mode1" allTokens={tokens} />,
-      }),
-
-      columnHelper.display({
-        id: 'mode2',
-        header: 'Mode 2', 
-        cell: ({ row }) => <TokenModeCell token={row.original} mode="mode2" allTokens={tokens} />,
-      }),
+      ...modeNames.map(mode =>
+        columnHelper.display({
+          id: `mode-${mode}`,
+          header: mode,
+          cell: ({ row }) => <TokenModeCell token={row.original} mode={mode} allTokens={tokens} />,
+        })
+      ),
 
       columnHelper.accessor('collection', {
         header: 'Collection',
@@ -143,7 +168,7 @@ export function TokenTable() {
         cell: ({ row }) => <TokenActions token={row.original} />,
       }),
     ],
-    []
+    [modeNames, tokens]
   )
 
   // Filter tokens based on search query and type filter
@@ -154,7 +179,7 @@ export function TokenTable() {
       filtered = filtered.filter(token =>
         token.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
         token.path.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        token.value.toLowerCase().includes(searchQuery.toLowerCase())
+        formatTokenValue(token.value).toLowerCase().includes(searchQuery.toLowerCase())
       )
     }
 
@@ -184,7 +209,15 @@ export function TokenTable() {
       <div className="mb-6">
         <div className="flex items-center justify-between mb-2">
           <h1 className="text-2xl font-bold">Design Tokens</h1>
-          <NewVariableDialog />
+          <div className="flex items-center gap-2">
+            {lastChange && (
+              <Button variant="outline" size="sm" onClick={undo} title={`Undo: ${lastChange.label}`}>
+                <Undo2 className="h-4 w-4 mr-2" />
+                Undo
+              </Button>
+            )}
+            <NewVariableDialog />
+          </div>
         </div>
         <p className="text-muted-foreground">
           Use the sidebar to filter tokens by collection and folder structure.
@@ -196,8 +229,10 @@ export function TokenTable() {
         </div>
       </div>
 
+      <AliasDiagnosticsPanel />
+
       <div className="border rounded-lg overflow-hidden">
-        <div className="overflow-auto max-h-[calc(100vh-300px)]">
+        <div ref={scrollContainer} className="overflow-auto max-h-[calc(100vh-300px)]">
           <Table>
             <TableHeader className="sticky top-0 bg-background z-10">
               {table.getHeaderGroups().map((headerGroup) => (
@@ -220,7 +255,8 @@ export function TokenTable() {
                 table.getRowModel().rows.map((row) => (
                   <TableRow
                     key={row.id}
-                    data-state={row.getIsSelected() && 'selected'}
+                    data-token-key={getTokenKey(row.original)}
+                    data-state={(row.getIsSelected() || selectedTokens.includes(getTokenKey(row.original))) && 'selected'}
                     className="hover:bg-muted/50 h-12 max-h-14"
                   >
                     {row.getVisibleCells().map((cell) => (
@@ -247,70 +283,71 @@ export function TokenTable() {
 
 // Component for displaying token mode values
 function TokenModeCell({ token, mode, allTokens }: { token: Token; mode: string; allTokens: Token[] }) {
-  // Check if token has multi-mode values
-  let modeValue: string | undefined
-  
-  try {
-    // Try to parse the value as JSON (multi-mode format)
-    const parsedValue = JSON.parse(token.value)
-    if (typeof parsedValue === 'object' && parsedValue !== null) {
-      // Look for common mode names
-      const modeKeys = Object.keys(parsedValue)
-      if (mode === 'mode1') {
-        modeValue = parsedValue.light || parsedValue.default || parsedValue[modeKeys[0]]
-      } else if (mode === 'mode2') {
-        modeValue = parsedValue.dark || parsedValue[modeKeys[1]]
-      }
-    }
-  } catch (e) {
-    // If not JSON, use the single value for mode1 only
-    if (mode === 'mode1') {
-      modeValue = token.value
-    }
-  }
+  // Tokens of collections without this mode have no value here
+  const modeValue = getModeValue(token, mode)
 
-  if (!modeValue) {
+  if (modeValue === undefined) {
     return <span className="text-muted-foreground text-xs">-</span>
   }
 
-  // Create a synthetic token for the mode value
-  const modeToken: Token = {
-    ...token,
-    value: modeValue,
-    name: `${token.name}-${mode}`,
-    path: `${token.path}-${mode}`
-  }
-
   return (
     <TokenValue 
-      token={modeToken} 
+      token={token} 
       allTokens={allTokens} 
+      mode={mode}
       showPreview={true} 
       maxLength={30}
     />
   )
 }
 
-// Component for token actions
+// Component for token actions: a row menu and the dialogs it opens
 function TokenActions({ token }: { token: Token }) {
+  const [menuOpen, setMenuOpen] = useState(false)
+  const [renaming, setRenaming] = useState(false)
+  const [finding, setFinding] = useState(false)
+  const menu = useRef<HTMLDivElement>(null)
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!menuOpen) return
+    const handlePointerDown = (event: PointerEvent) => {
+      if (!menu.current?.contains(event.target as Node)) setMenuOpen(false)
+    }
+    document.addEventListener('pointerdown', handlePointerDown)
+    return () => document.removeEventListener('pointerdown', handlePointerDown)
+  }, [menuOpen])
+
+  const openDialog = (open: (value: boolean) => void) => {
+    setMenuOpen(false)
+    open(true)
+  }
+
   return (
-    <Button variant="ghost" size="sm">
-      <MoreHorizontal className="h-4 w-4" />
-    </Button>
+    <div ref={menu} className="relative">
+      <Button variant="ghost" size="sm" onClick={() => setMenuOpen(!menuOpen)}>
+        <MoreHorizontal className="h-4 w-4" />
+      </Button>
+      {menuOpen && (
+        <div className="absolute right-0 z-20 mt-1 min-w-[160px] rounded-md border bg-popover p-1 shadow-md">
+          <button
+            type="button"
+            className="w-full rounded px-2 py-1.5 text-left text-sm hover:bg-muted"
+            onClick={() => openDialog(setRenaming)}
+          >
+            Rename or move…
+          </button>
+          <button
+            type="button"
+            className="w-full rounded px-2 py-1.5 text-left text-sm hover:bg-muted"
+            onClick={() => openDialog(setFinding)}
+          >
+            Find usages…
+          </button>
+        </div>
+      )}
+      {renaming && <RenameTokenDialog token={token} open={renaming} onOpenChange={setRenaming} />}
+      {finding && <FindUsagesDialog token={token} open={finding} onOpenChange={setFinding} />}
+    </div>
   )
 }
-
-// Helper function to get color for token type
-function getTypeColor(type: string): string {
-  const colors: Record<string, string> = {
-    'COLOR': '#3b82f6',
-    'DIMENSION': '#10b981',
-    'SPACING': '#f59e0b',
-    'TYPOGRAPHY': '#8b5cf6',
-    'BORDER_RADIUS': '#06b6d4',
-    'OPACITY': '#64748b',
-    'SHADOW': '#6366f1'
-  }
-  
-  return colors[type] || '#64748b'
-}
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { CSSProperties, useState } from 'react'
 import { Link, ExternalLink, AlertTriangle, CheckCircle } from 'lucide-react'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
@@ -8,17 +8,37 @@ import {
   TooltipProvider,
   TooltipTrigger,
 } from '@/components/ui/tooltip'
-import { Token } from '@/types/token'
+import { BorderValue, GradientStopValue, ShadowLayerValue, Token, TypographyValue } from '@/types/token'
 import { 
   hasAlias, 
   resolveAliases, 
   getResolvedTokenValue,
   getTokenDependencies
 } from '@/lib/aliasUtils'
+import {
+  formatTokenValue,
+  getCubicBezierPoints,
+  isStrokeStyleValue,
+  isTypographyValue,
+  parseBorderValue,
+  parseGradientValue,
+  parseShadowValue,
+  parseTransitionValue,
+  STROKE_STYLES,
+  toCssDeclarations,
+  toCssValue
+} from '@/lib/tokenValues'
+import { getModeValue, getTokenCollectionName } from '@/lib/modeUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { hasExpression } from '@/lib/tokenExpressions'
+import { describeColorModifier, getColorModifier, withoutColorModifier } from '@/lib/colorModifiers'
+import { useTokenStore } from '@/store/tokenStore'
 
 interface TokenValueProps {
   token: Token
   allTokens: Token[]
+  // Mode to show; the default value when omitted
+  mode?: string
   showPreview?: boolean
   maxLength?: number
 }
@@ -26,45 +46,88 @@ interface TokenValueProps {
 export function TokenValue({ 
   token, 
   allTokens, 
+  mode,
   showPreview = false, 
   maxLength = 50 
 }: TokenValueProps) {
   const [showResolved, setShowResolved] = useState(false)
+  const { remBase } = useTokenStore()
+  const value = getModeValue(token, mode) ?? token.value
 
-  // Check if token has aliases
-  const tokenHasAlias = hasAlias(token.value)
+  // Check if token has aliases or math to compute
+  const tokenHasAlias = hasAlias(value)
+  const tokenHasExpression = hasExpression(value)
+  const modifier = getColorModifier(token)
   
   // Resolve aliases if present
   const aliasInfo = tokenHasAlias 
-    ? resolveAliases(token.value, allTokens)
+    ? resolveAliases(value, allTokens, { collection: getTokenCollectionName(token), mode })
     : null
 
-  // Get fully resolved value
-  const resolvedInfo = tokenHasAlias 
-    ? getResolvedTokenValue(token, allTokens)
+  // Get fully resolved value, with math computed and the color modifier applied
+  const resolvedInfo = tokenHasAlias || tokenHasExpression || modifier
+    ? getResolvedTokenValue(token, allTokens, mode, { remBase })
     : null
 
+  // A modified color previews its base color; the result follows the modifier
+  const previewValue = modifier
+    ? getResolvedTokenValue({ ...token, extensions: withoutColorModifier(token.extensions) } as Token, allTokens, mode, { remBase }).value
+    : resolvedInfo?.value ?? value
+
   // Get dependencies
   const dependencies = tokenHasAlias 
     ? getTokenDependencies(token, allTokens)
     : []
 
-  const displayValue = showResolved && resolvedInfo 
-    ? resolvedInfo.value 
-    : token.value
+  const displayValue = formatTokenValue(
+    showResolved && resolvedInfo 
+      ? resolvedInfo.value 
+      : value
+  )
 
   const truncatedValue = displayValue.length > maxLength 
     ? `${displayValue.substring(0, maxLength)}...`
     : displayValue
 
+  // Math shows its result next to the expression
+  const computedValue = tokenHasExpression && !modifier && resolvedInfo && !showResolved && (
+    resolvedInfo.expressionErrors.length > 0 ? (
+      <span className="text-xs text-red-500 whitespace-nowrap" title={resolvedInfo.expressionErrors.join('\n')}>
+        invalid math
+      </span>
+    ) : (
+      <span className="text-xs text-muted-foreground whitespace-nowrap">
+        = {formatTokenValue(resolvedInfo.value)}
+      </span>
+    )
+  )
+
+  const modifiedValue = modifier && resolvedInfo && !showResolved && (
+    <span className="flex items-center gap-1 text-xs whitespace-nowrap">
+      <Badge variant="outline" className="text-xs font-normal">+ {describeColorModifier(modifier)}</Badge>
+      {resolvedInfo.modifierErrors.length > 0 ? (
+        <span className="text-red-500" title={resolvedInfo.modifierErrors.join('\n')}>
+          invalid modifier
+        </span>
+      ) : (
+        <>
+          {showPreview && renderValuePreview(token, resolvedInfo.value)}
+          <span className="text-muted-foreground">= {formatTokenValue(resolvedInfo.value)}</span>
+        </>
+      )}
+    </span>
+  )
+
   // Render simple value without aliases
   if (!tokenHasAlias) {
     return (
       <div className="flex items-center gap-2">
-        {showPreview && renderValuePreview(token, displayValue)}
+        {showPreview && renderValuePreview(token, previewValue)}
         <code className="text-xs bg-muted px-1 rounded font-mono">
           {truncatedValue}
         </code>
+        {computedValue}
+        {modifiedValue}
       </div>
     )
   }
@@ -73,7 +136,7 @@ export function TokenValue({
   return (
     <TooltipProvider>
       <div className="flex items-center gap-2 max-w-full">
-        {showPreview && renderValuePreview(token, resolvedInfo?.value || token.value)}
+        {showPreview && renderValuePreview(token, previewValue)}
         
         <div className="flex items-center gap-1 min-w-0">
           <Badge 
@@ -94,7 +157,7 @@ export function TokenValue({
               <div className="space-y-2">
                 <div>
                   <div className="font-semibold text-xs mb-1">Original Value:</div>
-                  <code className="text-xs bg-muted px-1 rounded">{token.value}</code>
+                  <code className="text-xs bg-muted px-1 rounded">{formatTokenValue(value)}</code>
                 </div>
                 
                 {aliasInfo && (
@@ -102,7 +165,7 @@ export function TokenValue({
                     <div className="font-semibold text-xs mb-1">Aliases:</div>
                     <div className="space-y-1">
                       {aliasInfo.aliases.map((alias, index) => (
-                        <div key={index} className="flex items-center gap-1 text-xs">
+                        <div key={index} className="flex flex-wrap items-center gap-1 text-xs">
                           {alias.isValid ? (
                             <CheckCircle className="h-3 w-3 text-green-500" />
                           ) : (
@@ -115,6 +178,9 @@ export function TokenValue({
                               <code className="bg-muted px-1 rounded">{alias.resolved}</code>
                             </>
                           )}
+                          {alias.error && (
+                            <span className="text-red-500">{alias.error}</span>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -125,7 +191,7 @@ export function TokenValue({
                   <div>
                     <div className="font-semibold text-xs mb-1">Resolved Value:</div>
                     <code className="text-xs bg-muted px-1 rounded">
-                      {resolvedInfo.value}
+                      {formatTokenValue(resolvedInfo.value)}
                     </code>
                     {resolvedInfo.isCircular && (
                       <div className="text-red-500 text-xs mt-1 flex items-center gap-1">
@@ -141,9 +207,9 @@ export function TokenValue({
                     <div className="font-semibold text-xs mb-1">Dependencies:</div>
                     <div className="space-y-1">
                       {dependencies.map((dep) => (
-                        <div key={dep.path} className="text-xs flex items-center gap-1">
+                        <div key={getTokenKey(dep)} className="text-xs flex items-center gap-1">
                           <ExternalLink className="h-3 w-3" />
-                          <span>{dep.path}</span>
+                          <span>{getTokenKey(dep)}</span>
                         </div>
                       ))}
                     </div>
@@ -153,6 +219,9 @@ export function TokenValue({
             </TooltipContent>
           </Tooltip>
 
+          {computedValue}
+          {modifiedValue}
+
           {aliasInfo && (
             <Button
               variant="ghost"
@@ -191,8 +260,8 @@ export function TokenValue({
   )
 }
 
-function renderValuePreview(token: Token, value: string) {
-  if (token.type === 'COLOR' && value.startsWith('#')) {
+function renderValuePreview(token: Token, value: Token['value']) {
+  if (token.type === 'COLOR' && typeof value === 'string' && value.startsWith('#')) {
     return (
       <div 
         className="w-4 h-4 rounded border border-gray-200 flex-shrink-0"
@@ -200,6 +269,208 @@ function renderValuePreview(token: Token, value: string) {
       />
     )
   }
+
+  switch (token.type) {
+    case 'TYPOGRAPHY':
+      return isTypographyValue(value) ? <TypographySpecimen value={value} /> : null
+
+    case 'SHADOW': {
+      const layers = parseShadowValue(value)
+      return layers ? <ShadowPreview layers={layers} /> : null
+    }
+
+    case 'BOOLEAN':
+      return (
+        <Badge variant={String(value) === 'true' ? 'default' : 'outline'} className="text-xs flex-shrink-0">
+          {String(value)}
+        </Badge>
+      )
+
+    case 'FONT_FAMILY':
+    case 'FONT_WEIGHT':
+      return (
+        <span
+          className="text-sm leading-none flex-shrink-0"
+          style={token.type === 'FONT_FAMILY'
+            ? { fontFamily: toCssValue(token.type, value) }
+            : { fontWeight: toCssValue(token.type, value) }}
+        >
+          Aa
+        </span>
+      )
+
+    case 'DURATION':
+      return <MotionPreview duration={toCssValue('DURATION', value)} timingFunction="ease" />
+
+    case 'CUBIC_BEZIER': {
+      const points = getCubicBezierPoints(value)
+      return points ? (
+        <div className="flex items-center gap-1 flex-shrink-0">
+          <EasingCurve points={points} />
+          <MotionPreview duration="1s" timingFunction={toCssValue('CUBIC_BEZIER', points)} />
+        </div>
+      ) : null
+    }
+
+    case 'TRANSITION': {
+      const transition = parseTransitionValue(value)
+      const points = transition && getCubicBezierPoints(transition.timingFunction)
+      return transition ? (
+        <div className="flex items-center gap-1 flex-shrink-0">
+          {points && <EasingCurve points={points} />}
+          <MotionPreview
+            duration={toCssValue('DURATION', transition.duration)}
+            timingFunction={toCssValue('CUBIC_BEZIER', transition.timingFunction)}
+            delay={transition.delay !== undefined ? toCssValue('DURATION', transition.delay) : undefined}
+          />
+        </div>
+      ) : null
+    }
+
+    case 'STROKE_STYLE':
+      return (
+        <div
+          className="w-6 h-0 border-t-2 border-foreground flex-shrink-0"
+          style={{ borderTopStyle: getBorderStyle(value) }}
+        />
+      )
+
+    case 'BORDER': {
+      const border = parseBorderValue(value)
+      return border ? <BorderPreview value={border} /> : null
+    }
+
+    case 'GRADIENT': {
+      const stops = parseGradientValue(value)
+      return stops ? <GradientPreview stops={stops} /> : null
+    }
+
+    case 'UNKNOWN':
+      return (
+        <Badge variant="outline" className="text-xs flex-shrink-0" title="Type not known to the app, kept as is">
+          {token.sourceType ?? 'unknown'}
+        </Badge>
+      )
+  }
   
   return null
-}
\ No newline at end of file
+}
+
+// Sample text set in a resolved typography value; large sizes are capped to fit a row
+export function TypographySpecimen({ value, text = 'The quick brown fox', maxFontSize = '2rem' }: {
+  value: TypographyValue
+  text?: string
+  maxFontSize?: string
+}) {
+  const style: Record<string, string> = {}
+  toCssDeclarations('TYPOGRAPHY', value)
+    .filter(({ suffix }) => suffix !== 'paragraph-spacing')
+    .forEach(({ suffix, value: cssValue }) => {
+      style[suffix.replace(/-([a-z])/g, (_, letter: string) => letter.toUpperCase())] = cssValue
+    })
+  if (style.fontSize) {
+    style.fontSize = `min(${style.fontSize}, ${maxFontSize})`
+  }
+
+  return (
+    <span className="block max-w-[16rem] truncate flex-shrink-0" style={style as CSSProperties}>
+      {text}
+    </span>
+  )
+}
+
+// A swatch with all layers of a shadow, then one per layer when there are several
+export function ShadowPreview({ layers }: { layers: ShadowLayerValue[] }) {
+  return (
+    <div className="flex items-center gap-2 p-1 flex-shrink-0">
+      <div
+        className="w-5 h-5 rounded bg-background border border-gray-200"
+        style={{ boxShadow: toCssValue('SHADOW', layers) }}
+        title={`${layers.length} ${layers.length === 1 ? 'layer' : 'layers'}`}
+      />
+      {layers.length > 1 && layers.map((layer, index) => (
+        <div
+          key={index}
+          className="w-3 h-3 rounded-sm bg-background border border-gray-200"
+          style={{ boxShadow: toCssValue('SHADOW', [layer]) }}
+          title={`Layer ${index + 1}: ${formatTokenValue(layer)}`}
+        />
+      ))}
+    </div>
+  )
+}
+
+// The easing curve from (0, 0) to (1, 1); overshooting points stay visible
+export function EasingCurve({ points }: { points: [number, number, number, number] }) {
+  const [x1, y1, x2, y2] = points
+  return (
+    <svg
+      viewBox="-0.1 -0.1 1.2 1.2"
+      className="w-4 h-4 overflow-visible text-foreground flex-shrink-0"
+      aria-label={`cubic-bezier(${points.join(', ')})`}
+    >
+      <rect x="0" y="0" width="1" height="1" fill="none" stroke="currentColor" strokeOpacity="0.2" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      <path
+        d={`M0,1 C${x1},${1 - y1} ${x2},${1 - y2} 1,0`}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  )
+}
+
+// A dot that moves across a track with the motion; each click plays it again, back and forth
+export function MotionPreview({ duration, timingFunction, delay }: {
+  duration: string
+  timingFunction: string
+  delay?: string
+}) {
+  const [played, setPlayed] = useState(false)
+  const transition = [duration, timingFunction, delay].filter(Boolean).join(' ')
+
+  return (
+    <button
+      type="button"
+      className="relative w-10 h-4 rounded bg-muted flex-shrink-0"
+      title={`Play: ${transition}`}
+      onClick={() => setPlayed(!played)}
+    >
+      <span
+        className="absolute top-1 left-1 w-2 h-2 rounded-full bg-foreground"
+        style={{ transform: played ? 'translateX(1.5rem)' : 'none', transition: `transform ${transition}` }}
+      />
+    </button>
+  )
+}
+
+// A square drawn with the border
+export function BorderPreview({ value }: { value: BorderValue }) {
+  return (
+    <div
+      className="w-4 h-4 rounded-sm flex-shrink-0"
+      style={{ border: toCssValue('BORDER', value) }}
+      title={toCssValue('BORDER', value)}
+    />
+  )
+}
+
+// A strip filled with the gradient, left to right
+export function GradientPreview({ stops }: { stops: GradientStopValue[] }) {
+  return (
+    <div
+      className="w-8 h-4 rounded border border-gray-200 flex-shrink-0"
+      style={{ backgroundImage: toCssValue('GRADIENT', stops) }}
+      title={`${stops.length} ${stops.length === 1 ? 'stop' : 'stops'}`}
+    />
+  )
+}
+
+// CSS border style of a stroke style; dash patterns preview as dashed
+function getBorderStyle(value: unknown): CSSProperties['borderTopStyle'] {
+  if (typeof value === 'string' && STROKE_STYLES.includes(value)) {
+    return value as CSSProperties['borderTopStyle']
+  }
+  return isStrokeStyleValue(value) ? 'dashed' : 'solid'
+}
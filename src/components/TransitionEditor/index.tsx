@@ -0,0 +1,39 @@
+import { AliasInput } from '@/components/AliasInput'
+import { TRANSITION_FIELD_TYPES } from '@/lib/tokenValues'
+import { TransitionValue } from '@/types/token'
+
+// A transition as typed into the editor; every field may hold a reference
+export type TransitionFields = Record<keyof TransitionValue, string>
+
+interface TransitionEditorProps {
+  value: TransitionFields
+  onChange: (value: TransitionFields) => void
+  // Collection the token belongs to; references are looked up from it
+  collection?: string
+}
+
+const FIELDS: { field: keyof TransitionValue; label: string; placeholder: string }[] = [
+  { field: 'duration', label: 'duration', placeholder: '200ms' },
+  { field: 'timingFunction', label: 'easing', placeholder: 'ease-out, or [0.4, 0, 0.2, 1]' },
+  { field: 'delay', label: 'delay', placeholder: '0ms' }
+]
+
+// Duration, easing and delay side by side, in CSS shorthand order
+export function TransitionEditor({ value, onChange, collection }: TransitionEditorProps) {
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {FIELDS.map(({ field, label, placeholder }) => (
+        <div key={field} className="space-y-1">
+          <span className="text-xs text-muted-foreground">{label}</span>
+          <AliasInput
+            value={value[field]}
+            placeholder={placeholder}
+            onChange={(text) => onChange({ ...value, [field]: text })}
+            type={TRANSITION_FIELD_TYPES[field]}
+            collection={collection}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
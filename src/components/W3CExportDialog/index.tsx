@@ -31,15 +31,15 @@ export function W3CExportDialog({ trigger }: W3CExportDialogProps) {
   
   const [isOpen, setIsOpen] = useState(false)
   const [enableMultiMode, setEnableMultiMode] = useState(true)
-  const [extractModes, setExtractModes] = useState(true)
+  const [groupLevelTypes, setGroupLevelTypes] = useState(false)
   const [defaultMode, setDefaultMode] = useState('Default')
 
   const handleExport = async () => {
     try {
       const options = {
         enableMultiMode,
-        extractModes,
-        defaultMode
+        defaultMode,
+        groupLevelTypes
       }
       
       const result = await exportToW3C(options)
@@ -116,12 +116,12 @@ export function W3CExportDialog({ trigger }: W3CExportDialogProps) {
               
               <div className="flex items-center space-x-2">
                 <Checkbox
-                  id="extract-modes"
-                  checked={extractModes}
-                  onCheckedChange={(checked) => setExtractModes(!!checked)}
+                  id="group-level-types"
+                  checked={groupLevelTypes}
+                  onCheckedChange={(checked) => setGroupLevelTypes(!!checked)}
                 />
-                <label htmlFor="extract-modes" className="text-sm">
-                  Auto-detect modes from token structure
+                <label htmlFor="group-level-types" className="text-sm">
+                  Declare <code className="px-1 py-0.5 bg-muted rounded text-xs">$type</code> on groups when all their tokens share it
                 </label>
               </div>
             </div>
@@ -0,0 +1,172 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useTokenStore } from '@/store/tokenStore'
+import { ImportResult, runImportPipeline } from '@/lib/importPipeline'
+import { MergeChoice, MergeStrategy } from '@/lib/importMerge'
+import { DEFAULT_FILE_NAME_PATTERN, stripCommonRoot, TokenFile } from '@/lib/tokenFiles'
+
+interface PendingImport {
+  // File name, or a summary when several files are imported
+  name: string
+  // Kept for multi-file imports so a new file name pattern can be applied
+  files?: TokenFile[]
+  result: ImportResult
+}
+
+// A file together with its path inside the picked or dropped folder
+interface SelectedFile {
+  path: string
+  file: File
+}
+
+export function useTokenFileImport() {
+  const { commitImport } = useTokenStore()
+  const [pendingImport, setPendingImport] = useState<PendingImport | null>(null)
+  const [fileNamePattern, setFileNamePattern] = useState(DEFAULT_FILE_NAME_PATTERN)
+  const [isDragging, setIsDragging] = useState(false)
+  const dragDepth = useRef(0)
+
+  const startImport = useCallback(async (selected: SelectedFile[]) => {
+    const jsonFiles = selected
+      .filter(({ path }) => path.toLowerCase().endsWith('.json'))
+      .sort((a, b) => a.path.localeCompare(b.path))
+
+    if (jsonFiles.length === 0) {
+      console.warn('[Import] No .json files selected')
+      return
+    }
+
+    try {
+      const paths = stripCommonRoot(jsonFiles.map(({ path }) => path))
+      const files: TokenFile[] = await Promise.all(jsonFiles.map(async ({ file }, index) => ({
+        path: paths[index],
+        content: await file.text()
+      })))
+
+      // The pipeline parses the text so syntax errors show up in the report
+      if (files.length === 1) {
+        setPendingImport({ name: files[0].path, result: runImportPipeline(files[0].content) })
+      } else {
+        setPendingImport({
+          name: `${files.length} files`,
+          files,
+          result: runImportPipeline(files, { fileNamePattern })
+        })
+      }
+    } catch (error) {
+      console.error('[Import] Error reading files:', error)
+    }
+  }, [fileNamePattern])
+
+  const openFilePicker = (options: { directory?: boolean } = {}) => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = '.json'
+    input.multiple = true
+    input.webkitdirectory = !!options.directory
+    input.onchange = () => {
+      const files = Array.from(input.files ?? [])
+      startImport(files.map(file => ({ path: file.webkitRelativePath || file.name, file })))
+    }
+    input.click()
+  }
+
+  const changeFileNamePattern = (pattern: string) => {
+    setFileNamePattern(pattern)
+    setPendingImport(current => current?.files
+      ? { ...current, result: runImportPipeline(current.files, { fileNamePattern: pattern }) }
+      : current
+    )
+  }
+
+  const confirmImport = (strategy: MergeStrategy, overrides: Record<string, MergeChoice>) => {
+    if (pendingImport) {
+      commitImport(pendingImport.result, strategy, overrides)
+    }
+    setPendingImport(null)
+  }
+
+  const cancelImport = () => setPendingImport(null)
+
+  // Files and folders can be dropped anywhere in the window
+  useEffect(() => {
+    const hasFiles = (event: DragEvent) => event.dataTransfer?.types.includes('Files') ?? false
+
+    const handleDragEnter = (event: DragEvent) => {
+      if (!hasFiles(event)) return
+      dragDepth.current++
+      setIsDragging(true)
+    }
+
+    const handleDragOver = (event: DragEvent) => {
+      if (hasFiles(event)) event.preventDefault()
+    }
+
+    const handleDragLeave = (event: DragEvent) => {
+      if (!hasFiles(event)) return
+      dragDepth.current = Math.max(0, dragDepth.current - 1)
+      if (dragDepth.current === 0) setIsDragging(false)
+    }
+
+    const handleDrop = (event: DragEvent) => {
+      if (!hasFiles(event)) return
+      event.preventDefault()
+      dragDepth.current = 0
+      setIsDragging(false)
+
+      // Entries must be taken synchronously, before the drop event ends
+      const entries = Array.from(event.dataTransfer?.items ?? [])
+        .map(item => item.webkitGetAsEntry())
+        .filter((entry): entry is FileSystemEntry => entry !== null)
+
+      Promise.all(entries.map(readEntry))
+        .then(files => startImport(files.flat()))
+        .catch(error => console.error('[Import] Error reading dropped files:', error))
+    }
+
+    window.addEventListener('dragenter', handleDragEnter)
+    window.addEventListener('dragover', handleDragOver)
+    window.addEventListener('dragleave', handleDragLeave)
+    window.addEventListener('drop', handleDrop)
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter)
+      window.removeEventListener('dragover', handleDragOver)
+      window.removeEventListener('dragleave', handleDragLeave)
+      window.removeEventListener('drop', handleDrop)
+    }
+  }, [startImport])
+
+  return {
+    pendingImport,
+    fileNamePattern,
+    isDragging,
+    openFilePicker,
+    changeFileNamePattern,
+    confirmImport,
+    cancelImport
+  }
+}
+
+// Read a dropped file, or every file inside a dropped folder
+async function readEntry(entry: FileSystemEntry): Promise<SelectedFile[]> {
+  if (entry.isFile) {
+    const file = await new Promise<File>((resolve, reject) => (entry as FileSystemFileEntry).file(resolve, reject))
+    return [{ path: entry.fullPath, file }]
+  }
+
+  if (entry.isDirectory) {
+    const reader = (entry as FileSystemDirectoryEntry).createReader()
+    const children: FileSystemEntry[] = []
+
+    // readEntries returns the folder in batches until it returns none
+    for (;;) {
+      const batch = await new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject))
+      if (batch.length === 0) break
+      children.push(...batch)
+    }
+
+    const nested = await Promise.all(children.map(readEntry))
+    return nested.flat()
+  }
+
+  return []
+}
@@ -0,0 +1,262 @@
+import { Token } from '@/types/token'
+import {
+  describeAliasLookup,
+  extractAliases,
+  getAliasResolver,
+  getDependencyGraph,
+  getTokenReferenceValues
+} from '@/lib/aliasUtils'
+import { collectValueStrings, getValueFieldTypes } from '@/lib/tokenValues'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+import { getTokenKey } from '@/lib/importMerge'
+
+/**
+ * Alias diagnostics
+ * Finds the references that cannot resolve to a value: loops, references to
+ * missing or ambiguous tokens, and aliases to a token of another type.
+ * In strict mode any of these blocks exporting.
+ */
+
+export type AliasDiagnosticKind = 'cycle' | 'dangling' | 'ambiguous' | 'type-mismatch'
+
+export interface AliasDiagnostic {
+  kind: AliasDiagnosticKind
+  message: string
+  // Tokens involved, as `collection.path` keys; the first one holds the reference
+  tokenKeys: string[]
+  // For cycles, the loop path back to its first token
+  loop?: string[]
+}
+
+export const ALIAS_DIAGNOSTIC_LABELS: Record<AliasDiagnosticKind, string> = {
+  'cycle': 'Cycle',
+  'dangling': 'Dangling reference',
+  'ambiguous': 'Ambiguous reference',
+  'type-mismatch': 'Type mismatch'
+}
+
+// Types that hold the same kind of value and may alias each other
+const COMPATIBLE_TYPES: Token['type'][][] = [
+  ['DIMENSION', 'SPACING', 'BORDER_RADIUS']
+]
+
+const SINGLE_ALIAS_REGEX = /^\{([^}]+)\}$/
+
+const diagnosticsCache = new WeakMap<Token[], AliasDiagnostic[]>()
+
+/**
+ * Every alias problem in a token set, cycles first
+ */
+export function getAliasDiagnostics(tokens: Token[]): AliasDiagnostic[] {
+  let diagnostics = diagnosticsCache.get(tokens)
+  if (!diagnostics) {
+    diagnostics = [...findCycles(tokens), ...findBrokenReferences(tokens)]
+    diagnosticsCache.set(tokens, diagnostics)
+  }
+  return diagnostics
+}
+
+/**
+ * Why an export is blocked, or undefined when it may go ahead
+ */
+export function getStrictExportError(tokens: Token[], strict: boolean): string | undefined {
+  if (!strict) return undefined
+
+  const count = getAliasDiagnostics(tokens).length
+  return count > 0
+    ? `Export blocked by strict alias checks: ${count} alias ${count === 1 ? 'problem' : 'problems'} to fix first`
+    : undefined
+}
+
+// Each group of tokens that reference each other in a loop (a strongly
+// connected component of the dependency graph), with one loop through it
+function findCycles(tokens: Token[]): AliasDiagnostic[] {
+  const graph = getDependencyGraph(tokens)
+  const resolver = getAliasResolver(tokens)
+  const diagnostics: AliasDiagnostic[] = []
+
+  // The graph leaves out tokens that reference themselves
+  tokens.forEach(token => {
+    const key = getTokenKey(token)
+    const collection = getTokenCollectionName(token)
+    const referencesItself = extractAliases(getTokenReferenceValues(token))
+      .some(alias => {
+        const target = resolver.lookup(alias.reference, collection).target
+        return target !== undefined && getTokenKey(target) === key
+      })
+
+    if (referencesItself) {
+      diagnostics.push({
+        kind: 'cycle',
+        message: `${key} references itself`,
+        tokenKeys: [key],
+        loop: [key, key]
+      })
+    }
+  })
+
+  getStronglyConnectedComponents(graph.dependencies)
+    .filter(component => component.length > 1)
+    .forEach(component => {
+      const loop = findLoop(component, graph.dependencies)
+      diagnostics.push({
+        kind: 'cycle',
+        message: `Circular reference: ${loop.join(' → ')}`,
+        tokenKeys: component,
+        loop
+      })
+    })
+
+  return diagnostics
+}
+
+// Tarjan's algorithm
+function getStronglyConnectedComponents(edges: Record<string, string[]>): string[][] {
+  const indexes = new Map<string, number>()
+  const lowLinks = new Map<string, number>()
+  const stack: string[] = []
+  const onStack = new Set<string>()
+  const components: string[][] = []
+
+  const visit = (key: string) => {
+    indexes.set(key, indexes.size)
+    lowLinks.set(key, indexes.get(key)!)
+    stack.push(key)
+    onStack.add(key)
+
+    edges[key].forEach(next => {
+      if (!indexes.has(next)) {
+        visit(next)
+        lowLinks.set(key, Math.min(lowLinks.get(key)!, lowLinks.get(next)!))
+      } else if (onStack.has(next)) {
+        lowLinks.set(key, Math.min(lowLinks.get(key)!, indexes.get(next)!))
+      }
+    })
+
+    if (lowLinks.get(key) === indexes.get(key)) {
+      const component: string[] = []
+      let member: string
+      do {
+        member = stack.pop()!
+        onStack.delete(member)
+        component.push(member)
+      } while (member !== key)
+      components.push(component.sort())
+    }
+  }
+
+  Object.keys(edges).forEach(key => {
+    if (!indexes.has(key)) visit(key)
+  })
+
+  return components
+}
+
+// Shortest loop from the component's first token back to itself
+function findLoop(component: string[], edges: Record<string, string[]>): string[] {
+  const members = new Set(component)
+  const start = component[0]
+  const previous = new Map<string, string>()
+  const queue = [start]
+
+  while (queue.length > 0) {
+    const current = queue.shift()!
+    for (const next of edges[current]) {
+      if (next === start) {
+        const path = [current]
+        while (path[0] !== start) path.unshift(previous.get(path[0])!)
+        return [...path, start]
+      }
+      if (members.has(next) && !previous.has(next)) {
+        previous.set(next, current)
+        queue.push(next)
+      }
+    }
+  }
+
+  return [...component, start]
+}
+
+// References to missing or ambiguous tokens, and whole-value aliases to a
+// token of an incompatible type. Each reference is reported once per token.
+function findBrokenReferences(tokens: Token[]): AliasDiagnostic[] {
+  const resolver = getAliasResolver(tokens)
+  const diagnostics: AliasDiagnostic[] = []
+
+  tokens.forEach(token => {
+    const key = getTokenKey(token)
+    const collection = getTokenCollectionName(token)
+    const texts = collectValueStrings(getTokenReferenceValues(token))
+    const wholeValueTypes = getWholeValueReferenceTypes(token)
+    const seen = new Set<string>()
+
+    extractAliases(texts).forEach(({ reference }) => {
+      if (seen.has(reference)) return
+      seen.add(reference)
+
+      const lookup = resolver.lookup(reference, collection)
+      if (!lookup.target) {
+        diagnostics.push({
+          kind: lookup.status === 'ambiguous' ? 'ambiguous' : 'dangling',
+          message: `${key}: ${describeAliasLookup(reference, lookup)}`,
+          tokenKeys: [key, ...lookup.candidates.map(getTokenKey)]
+        })
+        return
+      }
+
+      const target = lookup.target
+      const types = wholeValueTypes.get(reference)
+      if (types && !types.some(type => areCompatibleTypes(type, target.type))) {
+        const targetKey = getTokenKey(target)
+        diagnostics.push({
+          kind: 'type-mismatch',
+          message: `${key} is a ${formatType(token.type)} but aliases ${targetKey}, a ${formatType(target.type)}`,
+          tokenKeys: [key, targetKey]
+        })
+      }
+    })
+  })
+
+  return diagnostics
+}
+
+// Types each whole-value reference of a token may point at: the token's own
+// type, or for a sub-field of a composite value (typography, shadow layers)
+// the types that field holds
+function getWholeValueReferenceTypes(token: Token): Map<string, Token['type'][]> {
+  const types = new Map<string, Token['type'][]>()
+  const add = (value: unknown, allowed: Token['type'][]) => {
+    collectValueStrings(value).forEach(text => {
+      const reference = text.match(SINGLE_ALIAS_REGEX)?.[1]
+      if (reference) types.set(reference, allowed)
+    })
+  }
+  const visit = (value: unknown) => {
+    if (Array.isArray(value) && value.some(isPlainObject)) {
+      value.forEach(visit)
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, field]) => add(field, getValueFieldTypes(token.type, key) ?? [token.type]))
+    } else {
+      add(value, [token.type])
+    }
+  }
+
+  const values = token.modeValues ? Object.values(token.modeValues) : [token.value]
+  values.forEach(visit)
+  return types
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Check if a token of one type may alias a token of the other
+ */
+export function areCompatibleTypes(a: Token['type'], b: Token['type']): boolean {
+  return a === b || COMPATIBLE_TYPES.some(group => group.includes(a) && group.includes(b))
+}
+
+function formatType(type: Token['type']): string {
+  return type.toLowerCase().replace('_', ' ')
+}
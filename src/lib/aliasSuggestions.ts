@@ -0,0 +1,110 @@
+import { AnyTokenValue, Token } from '@/types/token'
+import { AliasLookup, describeAliasLookup, getAliasResolver, getResolvedTokenValue } from '@/lib/aliasUtils'
+import { areCompatibleTypes } from '@/lib/aliasDiagnostics'
+import { formatHexColor, parseColor } from '@/lib/colorUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { ExpressionOptions } from '@/lib/tokenExpressions'
+
+/**
+ * Alias suggestions
+ * Autocomplete and hover info for `{reference}`s while a value is typed,
+ * shared by the token form and the JSON editor.
+ */
+
+export interface ReferenceSuggestion {
+  // Text to put between the braces: the bare path when it is unambiguous
+  reference: string
+  token: Token
+}
+
+export interface ReferenceInfo {
+  reference: string
+  lookup: AliasLookup
+  // Fully resolved value of the target
+  value?: AnyTokenValue
+  // Hex color of a color target, for swatches
+  color?: string
+  // Why the reference does not resolve
+  error?: string
+}
+
+export interface ReferenceMatch {
+  reference: string
+  // Offsets of the braces in the text; `end` is exclusive
+  start: number
+  end: number
+}
+
+// Longer suggestion lists are cut short
+const MAX_SUGGESTIONS = 50
+
+// A reference has no spaces, quotes or braces, so JSON objects never match
+const REFERENCE_REGEX = /\{([^{}\s"]+)\}/g
+const OPEN_REFERENCE_REGEX = /\{([^{}\s"]*)$/
+
+/**
+ * The reference being typed at the end of a text, e.g. `spacing.m` for
+ * `calc({spacing.m`; undefined when no brace is open
+ */
+export function getOpenReference(textBeforeCursor: string): string | undefined {
+  return textBeforeCursor.match(OPEN_REFERENCE_REGEX)?.[1]
+}
+
+/**
+ * Every `{reference}` in a text, with its position
+ */
+export function findReferences(text: string): ReferenceMatch[] {
+  return [...text.matchAll(REFERENCE_REGEX)].map(match => ({
+    reference: match[1],
+    start: match.index!,
+    end: match.index! + match[0].length
+  }))
+}
+
+/**
+ * Tokens a value of `type` (or of one of several types) may reference,
+ * matching what has been typed so far; paths starting with the query come first
+ */
+export function getReferenceSuggestions(
+  tokens: Token[],
+  query: string,
+  options: { collection?: string; type?: Token['type'] | Token['type'][] } = {}
+): ReferenceSuggestion[] {
+  const resolver = getAliasResolver(tokens)
+  const search = query.toLowerCase()
+  const types = options.type === undefined ? [] : [options.type].flat()
+
+  return tokens
+    .filter(token => types.length === 0 || types.some(type => areCompatibleTypes(type, token.type)))
+    .map(token => {
+      // Qualify the path when it would find another token (or none) from here
+      const target = resolver.lookup(token.path, options.collection).target
+      return { reference: target === token ? token.path : getTokenKey(token), token }
+    })
+    .filter(({ reference, token }) =>
+      reference.toLowerCase().includes(search) || getTokenKey(token).toLowerCase().includes(search)
+    )
+    .sort((a, b) =>
+      Number(!a.reference.toLowerCase().startsWith(search)) - Number(!b.reference.toLowerCase().startsWith(search)) ||
+      a.reference.localeCompare(b.reference)
+    )
+    .slice(0, MAX_SUGGESTIONS)
+}
+
+/**
+ * What a reference points at and resolves to, looked up from `collection`
+ */
+export function getReferenceInfo(
+  reference: string,
+  tokens: Token[],
+  options: ExpressionOptions & { collection?: string; mode?: string } = {}
+): ReferenceInfo {
+  const lookup = getAliasResolver(tokens).lookup(reference, options.collection)
+  if (!lookup.target) {
+    return { reference, lookup, error: describeAliasLookup(reference, lookup) }
+  }
+
+  const { value } = getResolvedTokenValue(lookup.target, tokens, options.mode, options)
+  const parsed = lookup.target.type === 'COLOR' && typeof value === 'string' ? parseColor(value) : undefined
+  return { reference, lookup, value, ...(parsed && { color: formatHexColor(parsed) }) }
+}
@@ -1,135 +1,208 @@
-import { Token } from '@/types/token'
+import { AnyTokenValue, Token } from '@/types/token'
+import { collectValueStrings, formatTokenValue, mapValueStrings } from '@/lib/tokenValues'
+import { getModeValue, getTokenCollectionName } from '@/lib/modeUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { evaluateValueExpressions, ExpressionOptions, hasExpression } from '@/lib/tokenExpressions'
+import { applyColorModifier, getColorModifier, getColorModifierStrings, withoutColorModifier } from '@/lib/colorModifiers'
 
-// Regex per identificare alias nella sintassi {token.path} o {token-path}
+// Regex per identificare alias nella sintassi {token.path} o {collection.token.path}
 const ALIAS_REGEX = /\{([^}]+)\}/g
+// Valore composto da un solo alias, es. "{global.spacing.md}"
+const SINGLE_ALIAS_REGEX = /^\{([^}]+)\}$/
 
 export interface TokenAlias {
   original: string
   reference: string
   resolved?: string
   isValid: boolean
+  // Motivo per cui l'alias non è risolto: token mancante, ambiguo o ciclo
+  error?: string
+}
+
+// Quanto serve di un token per poterlo referenziare
+type AliasTarget = Pick<Token, 'collection' | 'path'>
+
+export type AliasLookupStatus = 'resolved' | 'missing' | 'ambiguous'
+
+export interface AliasLookup<T extends AliasTarget = Token> {
+  status: AliasLookupStatus
+  target?: T
+  // Token che corrispondono a un riferimento ambiguo
+  candidates: T[]
+}
+
+export interface AliasResolver<T extends AliasTarget = Token> {
+  lookup: (reference: string, fromCollection?: string) => AliasLookup<T>
 }
 
 /**
- * Rileva se un valore contiene alias
+ * Rileva se un valore contiene alias (anche dentro valori compositi)
  */
-export function hasAlias(value: string): boolean {
-  return ALIAS_REGEX.test(value)
+export function hasAlias(value: AnyTokenValue | unknown): boolean {
+  return collectValueStrings(value).some(text => new RegExp(ALIAS_REGEX.source).test(text))
 }
 
 /**
  * Estrae tutti gli alias da un valore
  */
-export function extractAliases(value: string): TokenAlias[] {
+export function extractAliases(value: AnyTokenValue | unknown): TokenAlias[] {
   const aliases: TokenAlias[] = []
-  let match: RegExpExecArray | null
-
-  // Reset regex for multiple matches
-  ALIAS_REGEX.lastIndex = 0
   
-  while ((match = ALIAS_REGEX.exec(value)) !== null) {
-    aliases.push({
-      original: match[0], // {token.path}
-      reference: match[1], // token.path
-      isValid: false // Will be resolved later
-    })
-  }
+  collectValueStrings(value).forEach(text => {
+    let match: RegExpExecArray | null
+
+    // Reset regex for multiple matches
+    ALIAS_REGEX.lastIndex = 0
+    
+    while ((match = ALIAS_REGEX.exec(text)) !== null) {
+      aliases.push({
+        original: match[0], // {token.path}
+        reference: match[1], // token.path
+        isValid: false // Will be resolved later
+      })
+    }
+  })
   
   return aliases
 }
 
 /**
- * Risolve gli alias usando la mappa dei token disponibili
+ * Tutto ciò che in un token può contenere alias: i valori (in ogni modo) e
+ * la quantità e il colore di mix del modificatore colore
  */
-export function resolveAliases(value: string, tokens: Token[]): {
-  resolved: string
-  aliases: TokenAlias[]
-  hasUnresolved: boolean
-} {
-  const aliases = extractAliases(value)
-  const tokenMap = createTokenMap(tokens)
-  let resolved = value
-  let hasUnresolved = false
+export function getTokenReferenceValues(token: Token): unknown[] {
+  return [token.modeValues ?? token.value, getColorModifierStrings(token.extensions)]
+}
 
-  aliases.forEach(alias => {
-    const referencedToken = findTokenByPath(alias.reference, tokenMap)
-    
-    if (referencedToken) {
-      alias.resolved = referencedToken.value
-      alias.isValid = true
-      
-      // Replace in resolved value
-      resolved = resolved.replace(alias.original, referencedToken.value)
-    } else {
-      alias.isValid = false
-      hasUnresolved = true
-      
-      // Try alternative path formats
-      const alternativeToken = findTokenByAlternativePaths(alias.reference, tokenMap)
-      if (alternativeToken) {
-        alias.resolved = alternativeToken.value
-        alias.isValid = true
-        resolved = resolved.replace(alias.original, alternativeToken.value)
-        hasUnresolved = false
-      }
-    }
+/**
+ * Crea un resolver di riferimenti con un ordine di ricerca definito:
+ * 1. path esatto nella collection del token che referenzia
+ * 2. path qualificato con la collection (`collection.path`)
+ * 3. path in un'altra collection, solo se un'unica collection lo contiene
+ * Un riferimento che corrisponde a più token è ambiguo e non viene risolto.
+ */
+export function createAliasResolver<T extends AliasTarget>(tokens: T[]): AliasResolver<T> {
+  const byKey = new Map<string, T[]>()
+  const byPath = new Map<string, T[]>()
+
+  const add = (map: Map<string, T[]>, key: string, token: T) => {
+    const list = map.get(key)
+    if (list) list.push(token)
+    else map.set(key, [token])
+  }
+
+  tokens.forEach(token => {
+    add(byKey, getTokenKey(token), token)
+    add(byPath, token.path, token)
   })
 
+  const toLookup = (matches: T[]): AliasLookup<T> => matches.length === 1
+    ? { status: 'resolved', target: matches[0], candidates: matches }
+    : { status: 'ambiguous', candidates: matches }
+
   return {
-    resolved,
-    aliases,
-    hasUnresolved
+    lookup: (reference, fromCollection) => {
+      const local = fromCollection !== undefined ? byKey.get(`${fromCollection}.${reference}`) : undefined
+      if (local) return toLookup(local)
+
+      const qualified = byKey.get(reference)
+      if (qualified) return toLookup(qualified)
+
+      const crossCollection = byPath.get(reference)
+      if (crossCollection) return toLookup(crossCollection)
+
+      return { status: 'missing', candidates: [] }
+    }
   }
 }
 
+// Resolver per array di token, ricreato solo quando lo store cambia l'array
+const resolverCache = new WeakMap<Token[], AliasResolver>()
+
 /**
- * Crea una mappa dei token per accesso rapido
+ * Resolver condiviso per un set di token (tabella, editor ed exporter)
  */
-function createTokenMap(tokens: Token[]): Map<string, Token> {
-  const map = new Map<string, Token>()
-  
-  tokens.forEach(token => {
-    // Add by path
-    map.set(token.path, token)
-    
-    // Add alternative formats
-    map.set(token.path.replace(/\./g, '-'), token) // dot to dash
-    map.set(token.path.replace(/\./g, '_'), token) // dot to underscore
-    map.set(token.name, token) // by name only
-    
-    // Add collection.name format
-    map.set(`${token.collection}.${token.name}`, token)
-  })
-  
-  return map
+export function getAliasResolver(tokens: Token[]): AliasResolver {
+  let resolver = resolverCache.get(tokens)
+  if (!resolver) {
+    resolver = createAliasResolver(tokens)
+    resolverCache.set(tokens, resolver)
+  }
+  return resolver
 }
 
 /**
- * Trova un token per path
+ * Messaggio per un riferimento non risolto
  */
-function findTokenByPath(path: string, tokenMap: Map<string, Token>): Token | undefined {
-  return tokenMap.get(path)
+export function describeAliasLookup(reference: string, lookup: AliasLookup<AliasTarget>): string | undefined {
+  switch (lookup.status) {
+    case 'missing':
+      return `Reference {${reference}} does not match any token`
+    case 'ambiguous':
+      return `Reference {${reference}} is ambiguous: it matches ${lookup.candidates.map(getTokenKey).join(', ')}. Qualify it with a collection name`
+    default:
+      return undefined
+  }
+}
+
+// Sostituisce ogni alias di un valore; un alias che occupa l'intera stringa
+// prende il valore tipizzato, gli altri il testo del valore
+function substituteAliases(
+  value: AnyTokenValue,
+  replace: (alias: TokenAlias) => AnyTokenValue | undefined
+): AnyTokenValue {
+  return mapValueStrings(value, text => {
+    const singleMatch = text.match(SINGLE_ALIAS_REGEX)
+    if (singleMatch) {
+      return replace({ original: singleMatch[0], reference: singleMatch[1], isValid: false }) ?? text
+    }
+
+    return text.replace(ALIAS_REGEX, (original: string, reference: string) => {
+      const replaced = replace({ original, reference, isValid: false })
+      return replaced === undefined ? original : formatTokenValue(replaced)
+    })
+  })
 }
 
 /**
- * Trova un token provando percorsi alternativi
+ * Risolve gli alias di un valore di un livello.
+ * `collection` è la collection del token che contiene il valore, `mode` il
+ * modo di cui leggere il valore dei token referenziati.
  */
-function findTokenByAlternativePaths(reference: string, tokenMap: Map<string, Token>): Token | undefined {
-  // Try common variations
-  const variations = [
-    reference,
-    reference.replace(/-/g, '.'),
-    reference.replace(/_/g, '.'),
-    reference.replace(/\./g, '-'),
-    reference.replace(/\./g, '_')
-  ]
-  
-  for (const variation of variations) {
-    const token = tokenMap.get(variation)
-    if (token) return token
+export function resolveAliases(
+  value: AnyTokenValue,
+  tokens: Token[],
+  options: { collection?: string; mode?: string } = {}
+): {
+  resolved: AnyTokenValue
+  aliases: TokenAlias[]
+  hasUnresolved: boolean
+} {
+  const resolver = getAliasResolver(tokens)
+  const aliases: TokenAlias[] = []
+  let hasUnresolved = false
+
+  const resolved = substituteAliases(value, alias => {
+    const lookup = resolver.lookup(alias.reference, options.collection)
+    aliases.push(alias)
+
+    if (!lookup.target) {
+      alias.error = describeAliasLookup(alias.reference, lookup)
+      hasUnresolved = true
+      return undefined
+    }
+
+    const targetValue = getModeValue(lookup.target, options.mode) ?? lookup.target.value
+    alias.resolved = formatTokenValue(targetValue)
+    alias.isValid = true
+    return targetValue
+  })
+
+  return {
+    resolved,
+    aliases,
+    hasUnresolved
   }
-  
-  return undefined
 }
 
 /**
@@ -148,7 +221,9 @@ export function validateTokenAliases(tokens: Token[]): {
   
   tokens.forEach(token => {
     if (hasAlias(token.value)) {
-      const { aliases, hasUnresolved } = resolveAliases(token.value, tokens)
+      const { aliases, hasUnresolved } = resolveAliases(token.value, tokens, {
+        collection: getTokenCollectionName(token)
+      })
       results.push({
         token,
         aliases,
@@ -160,76 +235,328 @@ export function validateTokenAliases(tokens: Token[]): {
   return results
 }
 
+// Risolve valori seguendo le catene di alias di un set di token in un modo.
+// Il valore di ogni token referenziato viene calcolato prima di essere
+// inserito, così `{a} * 2` rispetta la precedenza anche se `a` è `4px + 4px`,
+// e i modificatori colore di ogni token della catena vengono applicati.
+function createChainResolver(allTokens: Token[], mode: string | undefined, options: ExpressionOptions) {
+  const resolver = getAliasResolver(allTokens)
+  const state = {
+    resolvedAliases: [] as TokenAlias[],
+    expressionErrors: [] as string[],
+    modifierErrors: [] as string[],
+    isCircular: false
+  }
+
+  const resolveValue = (value: AnyTokenValue, collection: string, chain: string[]): AnyTokenValue => {
+    const substituted = substituteAliases(value, alias => {
+      const lookup = resolver.lookup(alias.reference, collection)
+      state.resolvedAliases.push(alias)
+
+      if (!lookup.target) {
+        alias.error = describeAliasLookup(alias.reference, lookup)
+        return undefined
+      }
+
+      const targetKey = getTokenKey(lookup.target)
+      if (chain.includes(targetKey)) {
+        state.isCircular = true
+        alias.error = `Circular reference: ${[...chain, targetKey].join(' → ')}`
+        return undefined
+      }
+
+      const targetValue = resolveToken(lookup.target, [...chain, targetKey])
+      alias.resolved = formatTokenValue(targetValue)
+      alias.isValid = true
+      return targetValue
+    })
+
+    return evaluateValueExpressions(substituted, options, (text, message) => {
+      state.expressionErrors.push(`${text}: ${message}`)
+    })
+  }
+
+  // `chain` finisce con il token stesso
+  const resolveToken = (token: Token, chain: string[]): AnyTokenValue => {
+    const collection = getTokenCollectionName(token)
+    const value = resolveValue(getModeValue(token, mode) ?? token.value, collection, chain)
+    const modifier = getColorModifier(token)
+    if (!modifier) return value
+
+    // Un modificatore non applicabile lascia il colore di partenza
+    try {
+      const amount = resolveValue(modifier.value, collection, chain)
+      const mixColor = modifier.color !== undefined ? resolveValue(modifier.color, collection, chain) : undefined
+      return applyColorModifier(value, modifier, amount, mixColor)
+    } catch (error) {
+      state.modifierErrors.push(`${getTokenKey(token)}: ${modifier.type}: ${error instanceof Error ? error.message : String(error)}`)
+      return value
+    }
+  }
+
+  return { state, resolveValue, resolveToken }
+}
+
 /**
- * Ottieni il valore finale risolto di un token
+ * Ottieni il valore finale risolto di un token (in un modo, se indicato),
+ * con le espressioni matematiche calcolate e i modificatori colore applicati.
+ * Ogni riferimento è cercato dalla collection del token che lo contiene;
+ * un token già presente nella catena interrompe la risoluzione come ciclo.
  */
-export function getResolvedTokenValue(token: Token, allTokens: Token[], maxDepth = 10): {
-  value: string
+export function getResolvedTokenValue(
+  token: Token,
+  allTokens: Token[],
+  mode?: string,
+  options: ExpressionOptions = {}
+): {
+  value: AnyTokenValue
   isCircular: boolean
   resolvedAliases: TokenAlias[]
+  expressionErrors: string[]
+  modifierErrors: string[]
 } {
-  const seen = new Set<string>()
-  let currentValue = token.value
-  const resolvedAliases: TokenAlias[] = []
-  let depth = 0
-  
-  while (hasAlias(currentValue) && depth < maxDepth) {
-    if (seen.has(currentValue)) {
-      return { 
-        value: currentValue, 
-        isCircular: true, 
-        resolvedAliases 
-      }
-    }
-    
-    seen.add(currentValue)
-    const { resolved, aliases } = resolveAliases(currentValue, allTokens)
-    resolvedAliases.push(...aliases)
-    currentValue = resolved
-    depth++
-  }
-  
+  const { state, resolveToken } = createChainResolver(allTokens, mode, options)
+  const value = resolveToken(token, [getTokenKey(token)])
+
   return {
-    value: currentValue,
-    isCircular: false,
-    resolvedAliases
+    value,
+    ...state
   }
 }
 
 /**
- * Trova le dipendenze di un token (quali token referenzia)
+ * Calcola solo le espressioni di un token, lasciando gli altri alias come sono
+ * (per gli export che mantengono i riferimenti)
+ */
+export function getComputedTokenValue(
+  token: Token,
+  allTokens: Token[],
+  mode?: string,
+  options: ExpressionOptions = {}
+): AnyTokenValue {
+  const { resolveValue } = createChainResolver(allTokens, mode, options)
+  const collection = getTokenCollectionName(token)
+  const chain = [getTokenKey(token)]
+
+  return mapValueStrings(getModeValue(token, mode) ?? token.value, text =>
+    hasExpression(text) ? resolveValue(text, collection, chain) : text
+  )
+}
+
+/**
+ * Token con le espressioni calcolate in ogni modo
+ */
+export function withComputedExpressions(tokens: Token[], allTokens: Token[], options: ExpressionOptions = {}): Token[] {
+  return tokens.map(token => {
+    if (!hasExpression(token.modeValues ?? token.value)) return token
+
+    const modeValues = token.modeValues && Object.fromEntries(
+      Object.keys(token.modeValues).map(mode => [mode, getComputedTokenValue(token, allTokens, mode, options)])
+    )
+    return {
+      ...token,
+      value: getComputedTokenValue(token, allTokens, undefined, options),
+      ...(modeValues && { modeValues })
+    } as Token
+  })
+}
+
+/**
+ * Token con i modificatori colore applicati: il valore di ogni token
+ * modificato diventa il colore risolto in ogni modo, senza più il modificatore
+ * (per gli export che non possono conservarlo)
+ */
+export function withAppliedColorModifiers(tokens: Token[], allTokens: Token[], options: ExpressionOptions = {}): Token[] {
+  return tokens.map(token => getColorModifier(token) ? withResolvedValue(token, allTokens, options) : token)
+}
+
+/**
+ * Token con i valori finali in ogni modo: alias seguiti lungo tutta la
+ * catena, anche tra collection, espressioni calcolate e modificatori colore
+ * applicati (per gli export senza riferimenti)
+ */
+export function withResolvedAliases(tokens: Token[], allTokens: Token[], options: ExpressionOptions = {}): Token[] {
+  return tokens.map(token => {
+    const value = token.modeValues ?? token.value
+    return hasAlias(value) || hasExpression(value) || getColorModifier(token)
+      ? withResolvedValue(token, allTokens, options)
+      : token
+  })
+}
+
+// Il token con il valore risolto in ogni modo e senza modificatore colore
+function withResolvedValue(token: Token, allTokens: Token[], options: ExpressionOptions): Token {
+  const modeValues = token.modeValues && Object.fromEntries(
+    Object.keys(token.modeValues).map(mode => [mode, getResolvedTokenValue(token, allTokens, mode, options).value])
+  )
+  return {
+    ...token,
+    value: getResolvedTokenValue(token, allTokens, undefined, options).value,
+    ...(modeValues && { modeValues }),
+    extensions: withoutColorModifier(token.extensions)
+  } as Token
+}
+
+/**
+ * Trova le dipendenze di un token (quali token referenzia, in ogni modo)
  */
 export function getTokenDependencies(token: Token, allTokens: Token[]): Token[] {
-  const dependencies: Token[] = []
-  const aliases = extractAliases(token.value)
-  const tokenMap = createTokenMap(allTokens)
-  
-  aliases.forEach(alias => {
-    const referencedToken = findTokenByPath(alias.reference, tokenMap) ||
-                           findTokenByAlternativePaths(alias.reference, tokenMap)
-    
-    if (referencedToken && referencedToken.path !== token.path) {
-      dependencies.push(referencedToken)
+  const resolver = getAliasResolver(allTokens)
+  const collection = getTokenCollectionName(token)
+  const tokenKey = getTokenKey(token)
+  const dependencies = new Map<string, Token>()
+
+  extractAliases(getTokenReferenceValues(token)).forEach(alias => {
+    const referencedToken = resolver.lookup(alias.reference, collection).target
+    if (!referencedToken) return
+
+    const key = getTokenKey(referencedToken)
+    if (key !== tokenKey) {
+      dependencies.set(key, referencedToken)
     }
   })
   
-  return dependencies
+  return [...dependencies.values()]
 }
 
 /**
  * Trova i token che dipendono da un token specifico (reverse dependencies)
  */
 export function getTokenDependents(token: Token, allTokens: Token[]): Token[] {
-  const dependents: Token[] = []
-  
-  allTokens.forEach(candidateToken => {
-    if (candidateToken.path === token.path) return
-    
-    const dependencies = getTokenDependencies(candidateToken, allTokens)
-    if (dependencies.some(dep => dep.path === token.path)) {
-      dependents.push(candidateToken)
-    }
+  const graph = getDependencyGraph(allTokens)
+  return (graph.dependents[getTokenKey(token)] ?? []).map(key => graph.tokens[key])
+}
+
+export interface DependencyGraph {
+  // Token per chiave `collection.path`
+  tokens: Record<string, Token>
+  // Chiavi dei token referenziati da ogni token, in qualsiasi modo
+  dependencies: Record<string, string[]>
+  // Chiavi dei token che referenziano ogni token
+  dependents: Record<string, string[]>
+}
+
+// Grafo per array di token, come per il resolver
+const graphCache = new WeakMap<Token[], DependencyGraph>()
+
+/**
+ * Costruisce il grafo delle dipendenze tra alias in un solo passaggio
+ */
+export function buildDependencyGraph(tokens: Token[]): DependencyGraph {
+  const graph: DependencyGraph = { tokens: {}, dependencies: {}, dependents: {} }
+
+  tokens.forEach(token => {
+    const key = getTokenKey(token)
+    graph.tokens[key] = token
+    graph.dependencies[key] = []
+    graph.dependents[key] = []
   })
-  
-  return dependents
-}
\ No newline at end of file
+
+  tokens.forEach(token => {
+    const key = getTokenKey(token)
+    getTokenDependencies(token, tokens).forEach(dependency => {
+      const dependencyKey = getTokenKey(dependency)
+      graph.dependencies[key].push(dependencyKey)
+      graph.dependents[dependencyKey].push(key)
+    })
+  })
+
+  return graph
+}
+
+/**
+ * Grafo delle dipendenze condiviso per un set di token
+ */
+export function getDependencyGraph(tokens: Token[]): DependencyGraph {
+  let graph = graphCache.get(tokens)
+  if (!graph) {
+    graph = buildDependencyGraph(tokens)
+    graphCache.set(tokens, graph)
+  }
+  return graph
+}
+
+/**
+ * Tutti i token raggiungibili da un token, con la distanza minima:
+ * a monte (i token da cui dipende) o a valle (i token che cambiano con lui)
+ */
+export function getDependencyChain(
+  graph: DependencyGraph,
+  key: string,
+  direction: 'upstream' | 'downstream'
+): { key: string; depth: number }[] {
+  const edges = direction === 'upstream' ? graph.dependencies : graph.dependents
+  const visited = new Set([key])
+  const chain: { key: string; depth: number }[] = []
+  let frontier = [key]
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next: string[] = []
+    frontier.forEach(current => {
+      (edges[current] ?? []).forEach(neighbour => {
+        if (visited.has(neighbour)) return
+        visited.add(neighbour)
+        chain.push({ key: neighbour, depth })
+        next.push(neighbour)
+      })
+    })
+    frontier = next
+  }
+
+  return chain
+}
+
+/**
+ * Ordina i token in modo che ognuno venga dopo i token che referenzia, per i
+ * formati di codice che dichiarano una variabile prima di usarla.
+ * L'ordine originale resta dove possibile; i riferimenti sono seguiti anche
+ * attraverso token di `allTokens` non inclusi. Ogni ciclo trovato è
+ * restituito come percorso di chiavi che torna al primo token.
+ */
+export function sortTokensByDependencies(
+  tokens: Token[],
+  allTokens: Token[] = tokens
+): { tokens: Token[]; cycles: string[][] } {
+  const resolver = getAliasResolver(allTokens)
+  const included = new Map(tokens.map(token => [getTokenKey(token), token]))
+  const known = new Map(allTokens.map(token => [getTokenKey(token), token]))
+  included.forEach((token, key) => known.set(key, token))
+
+  const sorted: Token[] = []
+  const cycles: string[][] = []
+  const visited = new Set<string>()
+  const path: string[] = []
+
+  const visit = (key: string) => {
+    if (visited.has(key)) return
+    const loopStart = path.indexOf(key)
+    if (loopStart !== -1) {
+      cycles.push([...path.slice(loopStart), key])
+      return
+    }
+
+    const token = known.get(key)!
+    const collection = getTokenCollectionName(token)
+    path.push(key)
+    extractAliases(getTokenReferenceValues(token)).forEach(alias => {
+      const target = resolver.lookup(alias.reference, collection).target
+      if (target) visit(getTokenKey(target))
+    })
+    path.pop()
+
+    visited.add(key)
+    if (included.has(key)) sorted.push(token)
+  }
+
+  tokens.forEach(token => visit(getTokenKey(token)))
+  return { tokens: sorted, cycles }
+}
+
+/**
+ * Token primitivi (senza alias) che nessun token referenzia
+ */
+export function getOrphanTokens(graph: DependencyGraph): Token[] {
+  return Object.keys(graph.tokens)
+    .filter(key => graph.dependencies[key].length === 0 && graph.dependents[key].length === 0)
+    .map(key => graph.tokens[key])
+}
@@ -0,0 +1,226 @@
+import { Token } from '@/types/token'
+import {
+  formatHexColor,
+  hslToRgb,
+  lchToRgb,
+  parseColor,
+  RGBAColor,
+  rgbToHsl,
+  rgbToLch
+} from '@/lib/colorUtils'
+import { formatTokenValue } from '@/lib/tokenValues'
+
+/**
+ * Color modifiers
+ * Token Studio's `$extensions['studio.tokens'].modify`: a color token whose
+ * (usually aliased) value is lightened, darkened, given an alpha or mixed
+ * with another color, worked out in sRGB, HSL or LCH.
+ */
+
+export type ColorModifierType = 'lighten' | 'darken' | 'alpha' | 'mix'
+
+export type ColorModifierSpace = 'srgb' | 'hsl' | 'lch'
+
+export interface ColorModifier {
+  type: ColorModifierType
+  // Amount from 0 to 1; may be a `{reference}` or math
+  value: string | number
+  space: ColorModifierSpace
+  // Color mixed in by `mix`; may be a `{reference}`
+  color?: string
+}
+
+// $extensions key Token Studio keeps its own token properties under
+export const STUDIO_TOKENS_EXTENSION = 'studio.tokens'
+
+const MODIFIER_TYPES: ColorModifierType[] = ['lighten', 'darken', 'alpha', 'mix']
+const MODIFIER_SPACES: ColorModifierSpace[] = ['srgb', 'hsl', 'lch']
+
+const WHITE: RGBAColor = { r: 1, g: 1, b: 1, a: 1 }
+const BLACK: RGBAColor = { r: 0, g: 0, b: 0, a: 1 }
+
+/**
+ * Read the modifier in a token's $extensions, if it has one.
+ * A modifier that cannot be applied comes back as an error instead.
+ */
+export function readColorModifier(extensions: Record<string, unknown> | undefined): {
+  modifier?: ColorModifier
+  error?: string
+} {
+  const studio = extensions?.[STUDIO_TOKENS_EXTENSION]
+  const modify = isPlainObject(studio) ? studio.modify : undefined
+  if (modify === undefined) return {}
+  if (!isPlainObject(modify)) return { error: 'The color modifier is not an object' }
+
+  const { type, value, space = 'srgb', color } = modify
+  if (!MODIFIER_TYPES.includes(type as ColorModifierType)) {
+    return { error: `Unknown color modifier '${String(type)}', expected one of ${MODIFIER_TYPES.join(', ')}` }
+  }
+  if (!MODIFIER_SPACES.includes(space as ColorModifierSpace)) {
+    return { error: `Unsupported color space '${String(space)}', expected one of ${MODIFIER_SPACES.join(', ')}` }
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `The ${type} modifier has no amount` }
+  }
+  if (type === 'mix' && typeof color !== 'string') {
+    return { error: 'The mix modifier has no color to mix in' }
+  }
+
+  return {
+    modifier: {
+      type: type as ColorModifierType,
+      value,
+      space: space as ColorModifierSpace,
+      ...(type === 'mix' && { color: color as string })
+    }
+  }
+}
+
+/**
+ * The modifier of a color token; other token types are never modified
+ */
+export function getColorModifier(token: Token): ColorModifier | undefined {
+  return token.type === 'COLOR' ? readColorModifier(token.extensions).modifier : undefined
+}
+
+/**
+ * Short description, e.g. `lighten 0.2 in hsl` or `mix {white} 0.5 in srgb`
+ */
+export function describeColorModifier(modifier: ColorModifier): string {
+  const color = modifier.type === 'mix' ? ` ${modifier.color}` : ''
+  return `${modifier.type}${color} ${modifier.value} in ${modifier.space}`
+}
+
+/**
+ * $extensions without the modifier, for values that already have it applied
+ */
+export function withoutColorModifier(extensions: Record<string, unknown> | undefined): Record<string, unknown> | undefined {
+  const studio = extensions?.[STUDIO_TOKENS_EXTENSION]
+  if (!extensions || !isPlainObject(studio) || !('modify' in studio)) return extensions
+
+  const studioRest = { ...studio }
+  delete studioRest.modify
+  const remaining: Record<string, unknown> = { ...extensions, [STUDIO_TOKENS_EXTENSION]: studioRest }
+  if (Object.keys(studioRest).length === 0) delete remaining[STUDIO_TOKENS_EXTENSION]
+  return Object.keys(remaining).length > 0 ? remaining : undefined
+}
+
+/**
+ * The amount and mix color of the modifier in $extensions, as written; both
+ * may hold `{reference}`s
+ */
+export function getColorModifierStrings(extensions: Record<string, unknown> | undefined): string[] {
+  const studio = extensions?.[STUDIO_TOKENS_EXTENSION]
+  const modify = isPlainObject(studio) ? studio.modify : undefined
+  if (!isPlainObject(modify)) return []
+  return [modify.value, modify.color].filter((text): text is string => typeof text === 'string')
+}
+
+/**
+ * $extensions with the modifier's amount and mix color passed through `fn`,
+ * e.g. to rewrite references; unchanged when there is no modifier
+ */
+export function mapColorModifierStrings(
+  extensions: Record<string, unknown> | undefined,
+  fn: (text: string) => string
+): Record<string, unknown> | undefined {
+  const studio = extensions?.[STUDIO_TOKENS_EXTENSION]
+  const modify = isPlainObject(studio) ? studio.modify : undefined
+  if (!extensions || !isPlainObject(studio) || !isPlainObject(modify)) return extensions
+
+  const mapped = { ...modify }
+  if (typeof mapped.value === 'string') mapped.value = fn(mapped.value)
+  if (typeof mapped.color === 'string') mapped.color = fn(mapped.color)
+  return { ...extensions, [STUDIO_TOKENS_EXTENSION]: { ...studio, modify: mapped } }
+}
+
+/**
+ * Apply a modifier to a resolved color, with its amount and mix color
+ * already resolved. Throws when a value is not a color or the amount is not
+ * between 0 and 1. The result is a hex color.
+ */
+export function applyColorModifier(
+  color: unknown,
+  modifier: Pick<ColorModifier, 'type' | 'space'>,
+  amount: unknown,
+  mixColor?: unknown
+): string {
+  const base = toColor(color)
+  const t = toAmount(amount)
+
+  switch (modifier.type) {
+    case 'alpha':
+      return formatHexColor({ ...base, a: t })
+    case 'lighten':
+      return formatHexColor(modifier.space === 'srgb' ? mix(base, WHITE, t, 'srgb') : shiftLightness(base, t, modifier.space, 1))
+    case 'darken':
+      return formatHexColor(modifier.space === 'srgb' ? mix(base, BLACK, t, 'srgb') : shiftLightness(base, t, modifier.space, -1))
+    case 'mix':
+      return formatHexColor(mix(base, toColor(mixColor), t, modifier.space))
+  }
+}
+
+// Move lightness towards white (1) or black (-1) by a share of what is left;
+// in LCH chroma drops by the same share, as Token Studio does
+function shiftLightness(color: RGBAColor, t: number, space: 'hsl' | 'lch', direction: 1 | -1): RGBAColor {
+  if (space === 'hsl') {
+    const { h, s, l } = rgbToHsl(color)
+    const lightness = direction > 0 ? l + (1 - l) * t : l - l * t
+    return { ...hslToRgb(Number.isNaN(h) ? 0 : h, s, lightness), a: color.a }
+  }
+
+  const { l, c, h } = rgbToLch(color)
+  const lightness = direction > 0 ? l + (100 - l) * t : l - l * t
+  return { ...lchToRgb({ l: lightness, c: c - c * t, h }), a: color.a }
+}
+
+// `t` of the way from one color to the other; hues take the shorter way round
+function mix(from: RGBAColor, to: RGBAColor, t: number, space: ColorModifierSpace): RGBAColor {
+  const a = lerp(from.a, to.a, t)
+
+  if (space === 'srgb') {
+    return { r: lerp(from.r, to.r, t), g: lerp(from.g, to.g, t), b: lerp(from.b, to.b, t), a }
+  }
+
+  if (space === 'hsl') {
+    const x = rgbToHsl(from)
+    const y = rgbToHsl(to)
+    return { ...hslToRgb(lerpHue(x.h, y.h, t), lerp(x.s, y.s, t), lerp(x.l, y.l, t)), a }
+  }
+
+  const x = rgbToLch(from)
+  const y = rgbToLch(to)
+  return { ...lchToRgb({ l: lerp(x.l, y.l, t), c: lerp(x.c, y.c, t), h: lerpHue(x.h, y.h, t) }), a }
+}
+
+function lerp(a: number, b: number, t: number): number {
+  return a + (b - a) * t
+}
+
+// A gray has no hue and takes the other color's
+function lerpHue(a: number, b: number, t: number): number {
+  if (Number.isNaN(a)) return Number.isNaN(b) ? 0 : b
+  if (Number.isNaN(b)) return a
+  const difference = ((b - a + 540) % 360) - 180
+  return (a + difference * t + 360) % 360
+}
+
+function toColor(value: unknown): RGBAColor {
+  const color = typeof value === 'string' ? parseColor(value) : undefined
+  if (!color) throw new Error(`'${formatTokenValue(value)}' is not a color`)
+  return color
+}
+
+// 0.2 or '0.2' or '20%'
+function toAmount(value: unknown): number {
+  const text = String(value).trim()
+  const amount = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text)
+  if (text === '' || Number.isNaN(amount) || amount < 0 || amount > 1) {
+    throw new Error(`'${formatTokenValue(value)}' is not an amount between 0 and 1`)
+  }
+  return amount
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
@@ -0,0 +1,209 @@
+/**
+ * Color helpers
+ * Parses CSS color strings into RGBA channels as 0-1 floats, the form Figma
+ * Variables use for COLOR values, and converts them to and from HSL and LCH
+ * for color modifiers.
+ */
+
+export interface RGBAColor {
+  r: number
+  g: number
+  b: number
+  a: number
+}
+
+// Hue in degrees (NaN when the color has none, e.g. grays), saturation and
+// lightness as 0-1 floats
+export interface HSLColor {
+  h: number
+  s: number
+  l: number
+}
+
+// CIE LCH (D50, as in CSS lch()): lightness 0-100, chroma, hue in degrees
+// (NaN for grays)
+export interface LCHColor {
+  l: number
+  c: number
+  h: number
+}
+
+const HEX_REGEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+const FUNCTION_REGEX = /^(rgba?|hsla?)\(\s*([^)]+)\)$/i
+
+/**
+ * Parse a hex, rgb(a) or hsl(a) color. Returns undefined for anything else.
+ */
+export function parseColor(value: string): RGBAColor | undefined {
+  const color = value.trim()
+
+  if (color.toLowerCase() === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 }
+  }
+
+  const hexMatch = color.match(HEX_REGEX)
+  if (hexMatch) {
+    return parseHex(hexMatch[1])
+  }
+
+  const functionMatch = color.match(FUNCTION_REGEX)
+  if (functionMatch) {
+    // Both `rgb(0, 0, 0, 0.5)` and `rgb(0 0 0 / 50%)` syntaxes
+    const args = functionMatch[2].split(/[\s,/]+/).filter(Boolean)
+    if (args.length < 3 || args.length > 4) return undefined
+
+    const alpha = args[3] !== undefined ? parseChannel(args[3], 1) : 1
+    const isHsl = functionMatch[1].toLowerCase().startsWith('hsl')
+    const rgb = isHsl
+      ? hslToRgb(parseFloat(args[0]), parseChannel(args[1], 1), parseChannel(args[2], 1))
+      : { r: parseChannel(args[0], 255), g: parseChannel(args[1], 255), b: parseChannel(args[2], 255) }
+
+    const channels = [rgb.r, rgb.g, rgb.b, alpha]
+    if (channels.some(channel => Number.isNaN(channel))) return undefined
+
+    return { ...rgb, a: alpha }
+  }
+
+  return undefined
+}
+
+function parseHex(hex: string): RGBAColor {
+  // Expand the short #rgb / #rgba forms
+  const full = hex.length <= 4 ? hex.split('').map(char => char + char).join('') : hex
+  const channel = (index: number) => parseInt(full.slice(index * 2, index * 2 + 2), 16) / 255
+
+  return {
+    r: channel(0),
+    g: channel(1),
+    b: channel(2),
+    a: full.length === 8 ? channel(3) : 1
+  }
+}
+
+// Parse a channel as a 0-1 float; plain numbers are divided by `max`
+function parseChannel(text: string, max: number): number {
+  const number = parseFloat(text)
+  if (Number.isNaN(number)) return NaN
+  const fraction = text.trim().endsWith('%') ? number / 100 : number / max
+  return Math.min(1, Math.max(0, fraction))
+}
+
+export function hslToRgb(hue: number, saturation: number, lightness: number): Omit<RGBAColor, 'a'> {
+  const h = (((hue % 360) + 360) % 360) / 360
+  if (saturation === 0) {
+    return { r: lightness, g: lightness, b: lightness }
+  }
+
+  const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation
+  const p = 2 * lightness - q
+  const hueToChannel = (t: number) => {
+    const tt = t < 0 ? t + 1 : t > 1 ? t - 1 : t
+    if (tt < 1 / 6) return p + (q - p) * 6 * tt
+    if (tt < 1 / 2) return q
+    if (tt < 2 / 3) return p + (q - p) * (2 / 3 - tt) * 6
+    return p
+  }
+
+  return {
+    r: hueToChannel(h + 1 / 3),
+    g: hueToChannel(h),
+    b: hueToChannel(h - 1 / 3)
+  }
+}
+
+export function rgbToHsl({ r, g, b }: Omit<RGBAColor, 'a'>): HSLColor {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+  if (d === 0) {
+    return { h: NaN, s: 0, l }
+  }
+
+  const s = d / (1 - Math.abs(2 * l - 1))
+  const h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4
+  return { h: (h * 60 + 360) % 360, s, l }
+}
+
+// sRGB → linear light → XYZ D65 → XYZ D50 (Bradford) → Lab → LCH
+export function rgbToLch({ r, g, b }: Omit<RGBAColor, 'a'>): LCHColor {
+  const [x, y, z] = multiply(D65_TO_D50, multiply(LINEAR_SRGB_TO_XYZ, [r, g, b].map(toLinear)))
+  const [fx, fy, fz] = [x / D50_WHITE[0], y / D50_WHITE[1], z / D50_WHITE[2]]
+    .map(t => t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116)
+
+  const l = 116 * fy - 16
+  const a = 500 * (fx - fy)
+  const bb = 200 * (fy - fz)
+  const c = Math.hypot(a, bb)
+  // Near-gray colors have no meaningful hue
+  const h = c < 1e-4 ? NaN : (Math.atan2(bb, a) * 180 / Math.PI + 360) % 360
+  return { l, c, h }
+}
+
+// Out-of-gamut results are clipped to sRGB
+export function lchToRgb({ l, c, h }: LCHColor): Omit<RGBAColor, 'a'> {
+  const hue = Number.isNaN(h) ? 0 : h * Math.PI / 180
+  const a = c * Math.cos(hue)
+  const bb = c * Math.sin(hue)
+
+  const fy = (l + 16) / 116
+  const fx = a / 500 + fy
+  const fz = fy - bb / 200
+  const fromF = (f: number) => f ** 3 > LAB_EPSILON ? f ** 3 : (116 * f - 16) / LAB_KAPPA
+  const xyz = [
+    fromF(fx) * D50_WHITE[0],
+    (l > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : l / LAB_KAPPA) * D50_WHITE[1],
+    fromF(fz) * D50_WHITE[2]
+  ]
+
+  const [r, g, b] = multiply(XYZ_TO_LINEAR_SRGB, multiply(D50_TO_D65, xyz)).map(fromLinear).map(clamp)
+  return { r, g, b }
+}
+
+/**
+ * Write a color as #rrggbb, or #rrggbbaa when it is not opaque
+ */
+export function formatHexColor({ r, g, b, a }: RGBAColor): string {
+  const hex = (channel: number) => Math.round(clamp(channel) * 255).toString(16).padStart(2, '0')
+  return `#${hex(r)}${hex(g)}${hex(b)}${a < 1 ? hex(a) : ''}`
+}
+
+const LINEAR_SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+]
+const XYZ_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+]
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+]
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+]
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585]
+const LAB_EPSILON = 216 / 24389
+const LAB_KAPPA = 24389 / 27
+
+function multiply(matrix: number[][], vector: number[]): number[] {
+  return matrix.map(row => row.reduce((sum, value, index) => sum + value * vector[index], 0))
+}
+
+function toLinear(channel: number): number {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4
+}
+
+function fromLinear(channel: number): number {
+  return channel <= 0.0031308 ? channel * 12.92 : 1.055 * channel ** (1 / 2.4) - 0.055
+}
+
+function clamp(channel: number): number {
+  return Math.min(1, Math.max(0, channel))
+}
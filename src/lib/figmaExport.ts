@@ -1,15 +1,24 @@
-import { Token } from '@/types/token'
+import { ShadowLayerValue, Token } from '@/types/token'
+import { collectTokenModes, DEFAULT_MODE_NAME, getModeValue, getTokenCollectionName } from '@/lib/modeUtils'
+import { describeAliasLookup, getAliasResolver, getComputedTokenValue, getResolvedTokenValue } from '@/lib/aliasUtils'
+import { DEFAULT_REM_BASE, hasExpression } from '@/lib/tokenExpressions'
+import { getTokenKey } from '@/lib/importMerge'
+import { parseColor } from '@/lib/colorUtils'
+import { getColorModifier } from '@/lib/colorModifiers'
+import { formatTokenValue, parseShadowValue } from '@/lib/tokenValues'
 import { 
   FigmaVariable, 
   FigmaCollection, 
+  FigmaEffectStyle,
   FigmaMode, 
+  FigmaShadowEffect,
   FigmaExportResult, 
   FigmaExportConfig,
+  FigmaIdMap,
   FigmaScope,
   FigmaVariableType,
-  ThemeDetectionResult,
+  FigmaVariableValue,
   ScopeMapping,
-  AliasResolutionContext,
   FigmaExportStats
 } from '@/types/figma'
 
@@ -20,6 +29,14 @@ import {
  */
 export class FigmaExportEngine {
   private scopeMappings: ScopeMapping[] = []
+  // Ids supplied from a previous export, and the ids written by the current one
+  private previousIds: Partial<FigmaIdMap> = {}
+  private exportedIds: FigmaIdMap = createEmptyIdMap()
+  // Every token of the export, and the exported variables by token key
+  private tokens: Token[] = []
+  private variablesByToken = new Map<string, FigmaVariable>()
+  // Pixels per rem/em when computing math and flattening dimensions to floats
+  private remBase = DEFAULT_REM_BASE
   
   constructor() {
     this.initializeScopeMappings()
@@ -59,33 +76,35 @@ export class FigmaExportEngine {
         tokenType: 'OPACITY',
         figmaScopes: ['OPACITY'],
         priority: 6
-      },
-      {
-        tokenType: 'SHADOW',
-        figmaScopes: ['EFFECT_COLOR'],
-        priority: 7
       }
     ]
   }
 
   /**
-   * Main export function - transforms tokens to Figma format
+   * Main export function - transforms tokens to Figma format.
+   * `collectionModes` is the store's ordered mode list per collection; when a
+   * collection is missing from it, the modes found on its tokens are used.
    */
   async transformTokensForFigma(
     tokens: Token[], 
-    config: FigmaExportConfig = { collections: [], includeAliases: true, resolveAliases: true }
+    config: FigmaExportConfig = { collections: [], includeAliases: true, resolveAliases: true },
+    collectionModes: Record<string, string[]> = {}
   ): Promise<FigmaExportResult> {
     try {
       console.log('[FigmaExport] Starting transformation...', { tokensCount: tokens.length })
       
-      // 1. Detect themes and modes
-      const themeDetection = this.detectThemes(tokens)
+      this.previousIds = config.idMap ?? {}
+      this.exportedIds = createEmptyIdMap()
+      this.tokens = tokens
+      this.remBase = config.remBase ?? DEFAULT_REM_BASE
       
-      // 2. Group tokens by collection
+      // 1. Group tokens by collection
       const collectionGroups = this.groupTokensByCollection(tokens)
       
-      // 3. Transform each collection
+      // 2. Transform each collection
       const figmaCollections: FigmaCollection[] = []
+      // Shadows of the exported collections, written as effect styles
+      const shadowTokens: Token[] = []
       
       for (const [collectionName, collectionTokens] of collectionGroups.entries()) {
         // Skip if not in selected collections (when specified)
@@ -93,11 +112,19 @@ export class FigmaExportEngine {
           continue
         }
         
+        // Reference-only collections are not variables unless asked for by name;
+        // aliases into them get the referenced value inlined
+        if (config.collections.length === 0 && collectionTokens.every(token => token.referenceOnly)) {
+          continue
+        }
+        
+        shadowTokens.push(...collectionTokens.filter(token => token.type === 'SHADOW'))
+        const modeNames = collectionModes[collectionName] ?? collectTokenModes(collectionTokens)
+        
         const figmaCollection = await this.transformCollection(
           collectionName,
           collectionTokens,
-          themeDetection,
-          config
+          modeNames
         )
         
         if (figmaCollection) {
@@ -105,15 +132,37 @@ export class FigmaExportEngine {
         }
       }
       
-      // 4. Generate export statistics
+      // 3. Fill in each mode's values once every variable has an id,
+      //    so aliases can point at variables in other collections
+      const warnings: string[] = []
+      this.variablesByToken = new Map()
+      figmaCollections.forEach(collection => {
+        collection.variables.forEach(variable => {
+          if (variable.originalToken) {
+            this.variablesByToken.set(getTokenKey(variable.originalToken), variable)
+          }
+        })
+      })
+      
+      figmaCollections.forEach(collection => {
+        this.populateModeValues(collection, warnings)
+      })
+      
+      // 4. Shadows become effect styles, bound to the variables they reference
+      const effectStyles = shadowTokens.flatMap(token => this.createEffectStyle(token, warnings) ?? [])
+      
+      // 5. Generate export statistics
       const stats = this.generateExportStats(figmaCollections)
       
-      // 5. Validate and return result
+      // 6. Validate and return result
       const result: FigmaExportResult = {
         success: true,
         collections: figmaCollections,
+        ...(effectStyles.length > 0 && { effectStyles }),
         totalVariables: stats.totalTokens,
         totalModes: stats.totalModes,
+        ...(warnings.length > 0 && { warnings }),
+        idMap: this.exportedIds,
         metadata: {
           exportedAt: new Date().toISOString(),
           source: 'luckino-webapp',
@@ -124,7 +173,9 @@ export class FigmaExportEngine {
       console.log('[FigmaExport] Transformation completed:', {
         collections: figmaCollections.length,
         variables: stats.totalTokens,
-        modes: stats.totalModes
+        modes: stats.totalModes,
+        effectStyles: effectStyles.length,
+        warnings: warnings.length
       })
       
       return result
@@ -147,49 +198,6 @@ export class FigmaExportEngine {
     }
   }
 
-  /**
-   * Detect themes in token data for mode creation
-   */
-  private detectThemes(tokens: Token[]): ThemeDetectionResult {
-    const themes = new Set<string>()
-    const themeStructure: Record<string, string[]> = {}
-    
-    // Look for theme indicators in token paths or values
-    tokens.forEach(token => {
-      // Check for common theme patterns
-      const themeMatches = token.path.match(/\.(light|dark|theme-\w+)\./i)
-      if (themeMatches) {
-        const theme = themeMatches[1].toLowerCase()
-        themes.add(theme)
-        
-        if (!themeStructure[theme]) {
-          themeStructure[theme] = []
-        }
-        themeStructure[theme].push(token.path)
-      }
-      
-      // Check for alias references to themes
-      if (token.value.includes('{') && token.value.includes('}')) {
-        const aliasMatch = token.value.match(/\{([^}]+)\}/g)
-        if (aliasMatch) {
-          aliasMatch.forEach(alias => {
-            const cleanAlias = alias.slice(1, -1)
-            const themeMatch = cleanAlias.match(/\.(light|dark|theme-\w+)\./i)
-            if (themeMatch) {
-              themes.add(themeMatch[1].toLowerCase())
-            }
-          })
-        }
-      }
-    })
-    
-    return {
-      hasThemes: themes.size > 0,
-      themes: Array.from(themes),
-      themeStructure
-    }
-  }
-
   /**
    * Group tokens by collection
    */
@@ -197,7 +205,7 @@ export class FigmaExportEngine {
     const collections = new Map<string, Token[]>()
     
     tokens.forEach(token => {
-      const collectionName = token.collection || 'Default'
+      const collectionName = getTokenCollectionName(token)
       
       if (!collections.has(collectionName)) {
         collections.set(collectionName, [])
@@ -215,34 +223,33 @@ export class FigmaExportEngine {
   private async transformCollection(
     collectionName: string,
     tokens: Token[],
-    themeDetection: ThemeDetectionResult,
-    config: FigmaExportConfig
+    modeNames: string[]
   ): Promise<FigmaCollection | null> {
     
-    const collectionId = this.generateId(`collection-${collectionName}`)
+    const collectionId = this.getId('collections', 'collection', collectionName)
     
-    // Create modes based on theme detection
-    const modes = this.createModes(themeDetection, collectionId)
+    // Create one Figma mode per collection mode
+    const modes = this.createModes(collectionName, modeNames)
     const defaultMode = modes[0]
     
     // Transform tokens to Figma variables
     const figmaVariables: FigmaVariable[] = []
     
     for (const token of tokens) {
+      // Shadows are effect styles, not variables
+      if (token.type === 'SHADOW') continue
+      
       const figmaVariable = this.transformTokenToFigmaVariable(token, collectionName, collectionId)
       if (figmaVariable) {
         figmaVariables.push(figmaVariable)
       }
     }
     
-    // Resolve aliases if configured
-    if (config.resolveAliases) {
-      await this.resolveAliases(figmaVariables, tokens)
+    // A collection of only shadows has no variables to hold
+    if (figmaVariables.length === 0) {
+      return null
     }
     
-    // Populate mode values
-    this.populateModeValues(modes, figmaVariables, tokens)
-    
     return {
       id: collectionId,
       name: collectionName,
@@ -261,13 +268,13 @@ export class FigmaExportEngine {
     collectionId: string
   ): FigmaVariable | null {
     
-    const variableId = this.generateId(`var-${token.path}`)
+    const variableId = this.getId('variables', `var-${token.path}`, `${collectionName}/${token.path}`)
     const figmaType = this.mapToFigmaType(token.type)
     const figmaScopes = this.mapToFigmaScopes(token.type)
     
     // Detect if token is an alias
     const isAlias = this.isAliasToken(token.value)
-    const aliasTarget = isAlias ? this.extractAliasTarget(token.value) : undefined
+    const aliasTarget = this.isAliasToken(token.value) ? this.extractAliasTarget(token.value) : undefined
     
     return {
       id: variableId,
@@ -286,30 +293,16 @@ export class FigmaExportEngine {
   }
 
   /**
-   * Create modes based on theme detection
+   * Create Figma modes from the collection's mode names, keeping their order
    */
-  private createModes(themeDetection: ThemeDetectionResult, collectionId: string): FigmaMode[] {
-    const modes: FigmaMode[] = []
+  private createModes(collectionName: string, modeNames: string[]): FigmaMode[] {
+    const names = modeNames.length > 0 ? modeNames : [DEFAULT_MODE_NAME]
     
-    if (themeDetection.hasThemes && themeDetection.themes.length > 0) {
-      // Create a mode for each detected theme
-      themeDetection.themes.forEach(theme => {
-        modes.push({
-          id: this.generateId(`mode-${theme}`),
-          name: theme.charAt(0).toUpperCase() + theme.slice(1),
-          variables: {}
-        })
-      })
-    } else {
-      // Create default mode
-      modes.push({
-        id: this.generateId(`mode-default`),
-        name: 'Default',
-        variables: {}
-      })
-    }
-    
-    return modes
+    return names.map(name => ({
+      id: this.getId('modes', `mode-${name}`, `${collectionName}/${name}`),
+      name,
+      variables: {}
+    }))
   }
 
   /**
@@ -322,8 +315,10 @@ export class FigmaExportEngine {
       'SPACING': 'FLOAT',
       'BORDER_RADIUS': 'FLOAT',
       'OPACITY': 'FLOAT',
-      'TYPOGRAPHY': 'STRING',
-      'SHADOW': 'STRING'
+      'NUMBER': 'FLOAT',
+      'FONT_WEIGHT': 'FLOAT',
+      'BOOLEAN': 'BOOLEAN',
+      'TYPOGRAPHY': 'STRING'
     }
     
     return typeMap[tokenType] || 'STRING'
@@ -340,7 +335,7 @@ export class FigmaExportEngine {
   /**
    * Check if token value is an alias reference
    */
-  private isAliasToken(value: string): boolean {
+  private isAliasToken(value: unknown): value is string {
     return typeof value === 'string' && value.includes('{') && value.includes('}')
   }
 
@@ -353,75 +348,215 @@ export class FigmaExportEngine {
   }
 
   /**
-   * Resolve aliases in Figma variables
+   * Populate each mode with that mode's value for every variable
    */
-  private async resolveAliases(figmaVariables: FigmaVariable[], tokens: Token[]): Promise<void> {
-    const tokenMap = new Map<string, Token>()
-    tokens.forEach(token => tokenMap.set(token.path, token))
+  private populateModeValues(
+    collection: FigmaCollection,
+    warnings: string[]
+  ): void {
+    collection.modes.forEach(mode => {
+      collection.variables.forEach(variable => {
+        const token = variable.originalToken
+        if (!token) return
+        
+        if (getColorModifier(token)) {
+          mode.variables[variable.id] = this.toModifiedFigmaValue(token, variable, mode.name, warnings)
+          return
+        }
+        
+        const modeValue = getModeValue(token, mode.name) ?? token.value
+        // Variables cannot hold math, so expressions are always computed
+        const value = hasExpression(modeValue)
+          ? getComputedTokenValue(token, this.tokens, mode.name, { remBase: this.remBase })
+          : modeValue
+        mode.variables[variable.id] = this.toFigmaValue(value, variable, mode.name, warnings)
+      })
+    })
+  }
+
+  /**
+   * Variables cannot hold color modifiers either, so a modified color is
+   * always written as its resolved value instead of an alias
+   */
+  private toModifiedFigmaValue(
+    token: Token,
+    variable: FigmaVariable,
+    modeName: string,
+    warnings: string[]
+  ): FigmaVariableValue {
+    const { value, modifierErrors } = getResolvedTokenValue(token, this.tokens, modeName, { remBase: this.remBase })
+    modifierErrors.forEach(error => warnings.push(`${variable.collection}/${variable.name} (${modeName}): ${error}`))
+    return this.toFigmaValue(value, variable, modeName, warnings)
+  }
+  
+  /**
+   * Convert a token value to the value Figma stores for the variable's type.
+   * A value that is exactly one alias becomes a VARIABLE_ALIAS to the target
+   * variable; if the target is not part of the export its value is inlined.
+   * References are looked up from the collection of the variable's token.
+   */
+  private toFigmaValue(
+    value: unknown,
+    variable: FigmaVariable,
+    modeName: string,
+    warnings: string[]
+  ): FigmaVariableValue {
+    const context = `${variable.collection}/${variable.name} (${modeName})`
     
-    const context: AliasResolutionContext = {
-      tokenMap,
-      resolvedValues: new Map(),
-      resolutionStack: []
+    if (this.isAliasToken(value)) {
+      const reference = value.match(/^\{([^}]+)\}$/)?.[1]
+      
+      if (!reference) {
+        warnings.push(`${context}: '${value}' combines references with other text; Figma can only alias a whole value`)
+        return value
+      }
+      
+      const fromCollection = variable.originalToken ? getTokenCollectionName(variable.originalToken) : variable.collection
+      const lookup = getAliasResolver(this.tokens).lookup(reference, fromCollection)
+      if (!lookup.target) {
+        warnings.push(`${context}: ${describeAliasLookup(reference, lookup)}`)
+        return value
+      }
+      
+      const targetVariable = this.variablesByToken.get(getTokenKey(lookup.target))
+      if (targetVariable) {
+        return { type: 'VARIABLE_ALIAS', id: targetVariable.id }
+      }
+      
+      const { value: inlined, resolvedAliases } = getResolvedTokenValue(lookup.target, this.tokens, modeName, { remBase: this.remBase })
+      const failed = resolvedAliases.find(alias => !alias.isValid)
+      if (failed) {
+        warnings.push(`${context}: cannot inline '${reference}': ${failed.error}`)
+        return value
+      }
+      return this.toFigmaValue(inlined, variable, modeName, warnings)
     }
     
-    for (const variable of figmaVariables) {
-      if (variable.isAlias && variable.aliasTarget) {
-        const resolvedValue = this.resolveAlias(variable.aliasTarget, context)
-        if (resolvedValue !== undefined) {
-          context.resolvedValues.set(variable.id, resolvedValue)
+    switch (variable.type) {
+      case 'COLOR': {
+        const color = typeof value === 'string' ? parseColor(value) : undefined
+        if (!color) {
+          warnings.push(`${context}: '${formatTokenValue(value)}' is not a supported color`)
+          return formatTokenValue(value)
         }
+        return color
       }
+      
+      case 'FLOAT': {
+        const number = this.toFloat(value, variable.resolvedType)
+        if (number === undefined) {
+          warnings.push(`${context}: '${formatTokenValue(value)}' cannot be converted to a number`)
+          return formatTokenValue(value)
+        }
+        return number
+      }
+      
+      case 'BOOLEAN': {
+        if (typeof value === 'boolean') return value
+        if (value === 'true' || value === 'false') return value === 'true'
+        warnings.push(`${context}: '${formatTokenValue(value)}' is not a boolean`)
+        return formatTokenValue(value)
+      }
+      
+      default:
+        return formatTokenValue(value)
     }
   }
 
   /**
-   * Recursively resolve a single alias
+   * Build the effect style of a shadow token from its default value. Layer
+   * fields that are exactly one reference to an exported variable are bound
+   * to it; the style still carries the resolved values.
    */
-  private resolveAlias(aliasPath: string, context: AliasResolutionContext): any {
-    // Prevent circular references
-    if (context.resolutionStack.includes(aliasPath)) {
-      console.warn(`[FigmaExport] Circular alias detected: ${aliasPath}`)
+  private createEffectStyle(token: Token, warnings: string[]): FigmaEffectStyle | undefined {
+    const collectionName = getTokenCollectionName(token)
+    const context = `${collectionName}/${token.name}`
+    const { value } = getResolvedTokenValue(token, this.tokens, undefined, { remBase: this.remBase })
+    const layers = parseShadowValue(value)
+    if (!layers) {
+      warnings.push(`${context}: '${formatTokenValue(value)}' is not a shadow Figma can store`)
       return undefined
     }
     
-    context.resolutionStack.push(aliasPath)
+    // The token's own layers, with the references to bind
+    const sourceLayers = parseShadowValue(token.value)
+    const effects: FigmaShadowEffect[] = []
     
-    try {
-      const token = context.tokenMap.get(aliasPath)
-      if (!token) {
-        console.warn(`[FigmaExport] Alias target not found: ${aliasPath}`)
+    for (const [index, layer] of layers.entries()) {
+      const color = parseColor(layer.color)
+      const [x, y, radius, spread] = [layer.offsetX, layer.offsetY, layer.blur, layer.spread ?? 0]
+        .map(length => this.toFloat(length, 'DIMENSION'))
+      if (!color || x === undefined || y === undefined || radius === undefined || spread === undefined) {
+        warnings.push(`${context}: layer ${index + 1} '${formatTokenValue(layer)}' cannot be converted to a Figma shadow`)
         return undefined
       }
       
-      // If the target is also an alias, resolve recursively
-      if (this.isAliasToken(token.value)) {
-        const nestedTarget = this.extractAliasTarget(token.value)
-        if (nestedTarget) {
-          return this.resolveAlias(nestedTarget, context)
-        }
-      }
-      
-      return token.value
-      
-    } finally {
-      context.resolutionStack.pop()
+      const boundVariables = sourceLayers?.[index] && this.bindShadowFields(token, sourceLayers[index])
+      effects.push({
+        type: layer.inset === true || layer.inset === 'true' ? 'INNER_SHADOW' : 'DROP_SHADOW',
+        color,
+        offset: { x, y },
+        radius,
+        spread,
+        visible: true,
+        blendMode: 'NORMAL',
+        ...(boundVariables && { boundVariables })
+      })
+    }
+    
+    return {
+      id: this.getId('styles', `style-${token.path}`, `${collectionName}/${token.path}`),
+      name: token.path.replace(/\./g, '/'),
+      ...(token.description && { description: token.description }),
+      effects
     }
   }
 
   /**
-   * Populate mode values for variables
+   * Variable aliases for the fields of a shadow layer that reference an
+   * exported variable; undefined when there are none
    */
-  private populateModeValues(modes: FigmaMode[], variables: FigmaVariable[], tokens: Token[]): void {
-    modes.forEach(mode => {
-      variables.forEach(variable => {
-        if (variable.originalToken) {
-          // For now, use the same value for all modes
-          // TODO: Implement theme-specific value selection
-          mode.variables[variable.id] = variable.originalToken.value
-        }
-      })
+  private bindShadowFields(
+    token: Token,
+    layer: ShadowLayerValue
+  ): FigmaShadowEffect['boundVariables'] | undefined {
+    const resolver = getAliasResolver(this.tokens)
+    const fields = { color: layer.color, offsetX: layer.offsetX, offsetY: layer.offsetY, radius: layer.blur, spread: layer.spread }
+    const bound: NonNullable<FigmaShadowEffect['boundVariables']> = {}
+    
+    Object.entries(fields).forEach(([field, fieldValue]) => {
+      const reference = typeof fieldValue === 'string' ? fieldValue.match(/^\{([^}]+)\}$/)?.[1] : undefined
+      const target = reference ? resolver.lookup(reference, getTokenCollectionName(token)).target : undefined
+      const variable = target && this.variablesByToken.get(getTokenKey(target))
+      if (variable) {
+        bound[field as keyof typeof fields] = { type: 'VARIABLE_ALIAS', id: variable.id }
+      }
     })
+    
+    return Object.keys(bound).length > 0 ? bound : undefined
+  }
+
+  /**
+   * Flatten a dimension or number to a unitless float (px for lengths)
+   */
+  private toFloat(value: unknown, tokenType: string): number | undefined {
+    if (typeof value === 'number') return value
+    if (typeof value !== 'string') return undefined
+    
+    const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem|em|%)?$/)
+    if (!match) return undefined
+    
+    const number = parseFloat(match[1])
+    switch (match[2]) {
+      case 'rem':
+      case 'em':
+        return number * this.remBase
+      case '%':
+        // Opacity is a 0-1 fraction in Figma; other percentages stay as-is
+        return tokenType === 'OPACITY' ? number / 100 : number
+      default:
+        return number
+    }
   }
 
   /**
@@ -462,10 +597,66 @@ export class FigmaExportEngine {
     return stats
   }
 
+  /**
+   * Get the id for a collection, mode or variable: the one from the supplied
+   * id map when present, otherwise one derived from its key
+   */
+  private getId(kind: keyof FigmaIdMap, prefix: string, key: string): string {
+    const id = this.previousIds[kind]?.[key] ?? this.generateId(prefix, `${kind}:${key}`)
+    this.exportedIds[kind][key] = id
+    return id
+  }
+
   /**
    * Generate consistent IDs
+   * The same prefix and key always give the same id
    */
-  private generateId(prefix: string): string {
-    return `${prefix}-${Math.random().toString(36).substr(2, 9)}`
+  private generateId(prefix: string, key: string): string {
+    return `${prefix}-${hashString(key)}`
   }
+}
+
+function createEmptyIdMap(): FigmaIdMap {
+  return { collections: {}, modes: {}, variables: {}, styles: {} }
+}
+
+/**
+ * 53-bit string hash (cyrb53) rendered in base 36
+ */
+function hashString(text: string): string {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i)
+    h1 = Math.imul(h1 ^ char, 2654435761)
+    h2 = Math.imul(h2 ^ char, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
+
+/**
+ * Read the id map of a previous export file.
+ * Uses its `idMap` when present, otherwise rebuilds one from the collections
+ * (exports made before id maps were written).
+ */
+export function extractFigmaIdMap(previous: Partial<FigmaExportResult>): Partial<FigmaIdMap> {
+  if (previous.idMap) {
+    return previous.idMap
+  }
+  
+  const idMap = createEmptyIdMap()
+  previous.collections?.forEach(collection => {
+    idMap.collections[collection.name] = collection.id
+    collection.modes?.forEach(mode => {
+      idMap.modes[`${collection.name}/${mode.name}`] = mode.id
+    })
+    collection.variables?.forEach(variable => {
+      if (variable.originalToken) {
+        idMap.variables[`${collection.name}/${variable.originalToken.path}`] = variable.id
+      }
+    })
+  })
+  return idMap
 }
\ No newline at end of file
@@ -0,0 +1,180 @@
+import { Token } from '@/types/token'
+import { applyModes, getCollectionModes, getTokenCollectionName } from '@/lib/modeUtils'
+
+/**
+ * Import merging
+ * Diffs an imported token set against the current one and merges the two
+ * with a strategy, optionally overridden token by token.
+ */
+
+export type MergeStrategy = 'replace' | 'prefer-incoming' | 'prefer-existing' | 'add-new'
+
+export type ImportDiffStatus = 'added' | 'removed' | 'value-changed' | 'type-changed' | 'unchanged'
+
+// Which side wins for one token. For an added token 'existing' skips it,
+// for a removed token 'incoming' deletes it.
+export type MergeChoice = 'incoming' | 'existing'
+
+export interface ImportDiffEntry {
+  key: string
+  status: ImportDiffStatus
+  existing?: Token
+  incoming?: Token
+}
+
+export interface MergeResult {
+  tokens: Token[]
+  collectionModes: Record<string, string[]>
+}
+
+export const MERGE_STRATEGIES: { value: MergeStrategy; label: string; description: string }[] = [
+  {
+    value: 'replace',
+    label: 'Replace',
+    description: 'Use the imported file as is; tokens missing from it are removed'
+  },
+  {
+    value: 'prefer-incoming',
+    label: 'Merge, prefer incoming',
+    description: 'Keep every token; imported values win where both define a mode'
+  },
+  {
+    value: 'prefer-existing',
+    label: 'Merge, prefer existing',
+    description: 'Keep every token; current values win, imported modes fill the gaps'
+  },
+  {
+    value: 'add-new',
+    label: 'Only add new',
+    description: 'Add tokens that do not exist yet and leave the rest untouched'
+  }
+]
+
+/**
+ * Identity of a token across imports: `collection.path`
+ */
+export function getTokenKey(token: Pick<Token, 'collection' | 'path'>): string {
+  return `${getTokenCollectionName(token)}.${token.path}`
+}
+
+/**
+ * Compare an imported token set with the current one.
+ * Entries follow the current order, with added tokens at the end.
+ */
+export function diffImport(existing: Token[], incoming: Token[]): ImportDiffEntry[] {
+  const incomingByKey = new Map(incoming.map(token => [getTokenKey(token), token]))
+  const existingKeys = new Set<string>()
+
+  const entries: ImportDiffEntry[] = existing.map(token => {
+    const key = getTokenKey(token)
+    existingKeys.add(key)
+    const match = incomingByKey.get(key)
+
+    if (!match) return { key, status: 'removed', existing: token }
+    if (match.type !== token.type) return { key, status: 'type-changed', existing: token, incoming: match }
+    if (!haveSameValues(token, match)) return { key, status: 'value-changed', existing: token, incoming: match }
+    return { key, status: 'unchanged', existing: token, incoming: match }
+  })
+
+  incoming.forEach(token => {
+    const key = getTokenKey(token)
+    if (!existingKeys.has(key)) {
+      entries.push({ key, status: 'added', incoming: token })
+    }
+  })
+
+  return entries
+}
+
+/**
+ * The side a strategy picks for a diff entry before any override
+ */
+export function getDefaultChoice(entry: ImportDiffEntry, strategy: MergeStrategy): MergeChoice {
+  switch (entry.status) {
+    case 'added':
+      return 'incoming'
+    case 'removed':
+      return strategy === 'replace' ? 'incoming' : 'existing'
+    default:
+      return strategy === 'replace' || strategy === 'prefer-incoming' ? 'incoming' : 'existing'
+  }
+}
+
+/**
+ * Merge an imported token set into the current one.
+ * The merge strategies combine the modes of a token defined on both sides,
+ * with the winning side's values where both define a mode; 'replace' and
+ * 'add-new' take the winning token as is.
+ */
+export function mergeImport(
+  current: MergeResult,
+  incoming: MergeResult,
+  strategy: MergeStrategy,
+  overrides: Record<string, MergeChoice> = {}
+): MergeResult {
+  const entries = diffImport(current.tokens, incoming.tokens)
+  const combinesModes = strategy === 'prefer-incoming' || strategy === 'prefer-existing'
+  const tokens: Token[] = []
+
+  entries.forEach(entry => {
+    const choice = overrides[entry.key] ?? getDefaultChoice(entry, strategy)
+    const winner = choice === 'incoming' ? entry.incoming : entry.existing
+    const loser = choice === 'incoming' ? entry.existing : entry.incoming
+
+    if (!winner) return
+    tokens.push(combinesModes && loser && loser.type === winner.type ? combineModes(winner, loser) : winner)
+  })
+
+  if (strategy === 'replace') {
+    return { tokens, collectionModes: getCollectionModes(tokens, pickModes(incoming.collectionModes, tokens)) }
+  }
+
+  // Current collections keep their modes; only the merge strategies add imported ones
+  const baseModes = combinesModes
+    ? mergeModeLists(current.collectionModes, incoming.collectionModes)
+    : { ...incoming.collectionModes, ...current.collectionModes }
+  const collectionModes = pickModes(baseModes, tokens)
+
+  const syncedTokens = tokens.map(token => {
+    const modes = collectionModes[getTokenCollectionName(token)]
+    return modes ? applyModes(token, modes) : token
+  })
+
+  return { tokens: syncedTokens, collectionModes: getCollectionModes(syncedTokens, collectionModes) }
+}
+
+// Compare the per-mode values of two tokens, ignoring mode order
+function haveSameValues(a: Token, b: Token): boolean {
+  const aValues: Record<string, unknown> = a.modeValues ?? { '': a.value }
+  const bValues: Record<string, unknown> = b.modeValues ?? { '': b.value }
+  const modes = new Set([...Object.keys(aValues), ...Object.keys(bValues)])
+
+  return [...modes].every(mode => JSON.stringify(aValues[mode]) === JSON.stringify(bValues[mode]))
+}
+
+// Winner's metadata and values, plus the modes only the other token has
+function combineModes(winner: Token, other: Token): Token {
+  const modeValues = { ...(other.modeValues ?? {}), ...(winner.modeValues ?? {}) }
+  return {
+    ...other,
+    ...winner,
+    description: winner.description ?? other.description,
+    modeValues
+  } as Token
+}
+
+// Modes of both sides, current order first
+function mergeModeLists(current: Record<string, string[]>, incoming: Record<string, string[]>): Record<string, string[]> {
+  const merged: Record<string, string[]> = { ...incoming }
+  Object.entries(current).forEach(([collection, modes]) => {
+    const extra = (incoming[collection] ?? []).filter(mode => !modes.includes(mode))
+    merged[collection] = [...modes, ...extra]
+  })
+  return merged
+}
+
+// Drop collections that no longer have tokens
+function pickModes(collectionModes: Record<string, string[]>, tokens: Token[]): Record<string, string[]> {
+  const collections = new Set(tokens.map(getTokenCollectionName))
+  return Object.fromEntries(Object.entries(collectionModes).filter(([collection]) => collections.has(collection)))
+}
@@ -0,0 +1,780 @@
+import { Token } from '@/types/token'
+import { getIntelligentScope } from '@/lib/scopeUtils'
+import { TokenStudioThemeSetup, TokenUtils } from '@/lib/tokenUtils'
+import { convertStyleDictionaryToW3C, isStyleDictionaryToken } from '@/lib/styleDictionary'
+import {
+  collectValueStrings,
+  createToken,
+  FONT_WEIGHT_VALUES,
+  getTypographyField,
+  isCubicBezierValue,
+  isModeValues,
+  isStrokeStyleValue,
+  parseBorderValue,
+  parseGradientValue,
+  parseShadowValue,
+  parseTransitionValue,
+  parseTypographyValue,
+  STROKE_STYLES
+} from '@/lib/tokenValues'
+import { applyModes, DEFAULT_MODE_NAME, getCollectionModes, getTokenCollectionName } from '@/lib/modeUtils'
+import { combineTokenFiles, FileMapping, isTokenFileList, TokenFile } from '@/lib/tokenFiles'
+import { createAliasResolver, describeAliasLookup } from '@/lib/aliasUtils'
+import { hasExpression } from '@/lib/tokenExpressions'
+import { readColorModifier } from '@/lib/colorModifiers'
+import { mapTokenType } from '@/lib/tokenTypes'
+
+/**
+ * Import pipeline
+ * Turns imported JSON into tokens in named stages, collecting timings,
+ * warnings and errors into a report the UI can show before anything is
+ * committed to the store. A failing critical stage aborts the import; other
+ * stages are skipped with a warning.
+ */
+
+export type ImportFormat = 'w3c' | 'token-studio' | 'style-dictionary' | 'unknown'
+
+export type ImportStageName =
+  | 'validateInput'
+  | 'detectFormat'
+  | 'preprocessTokens'
+  | 'resolveAliases'
+  | 'processTypes'
+  | 'createStructure'
+  | 'postProcess'
+
+export interface FormatDetection {
+  format: ImportFormat
+  // 0-100, share of the token nodes that match the detected format
+  confidence: number
+  // Human readable evidence behind the guess
+  details: string[]
+}
+
+export interface ImportOptions {
+  // How file paths map to collections and modes when importing several files
+  fileNamePattern?: string
+}
+
+export interface ImportIssue {
+  stage: ImportStageName
+  message: string
+  // `collection.path` of the token the issue is about
+  path?: string
+}
+
+export interface ImportStageTiming {
+  stage: ImportStageName
+  status: 'completed' | 'failed' | 'skipped'
+  // Milliseconds
+  duration: number
+}
+
+export interface ImportReport {
+  success: boolean
+  format: ImportFormat
+  confidence: number
+  formatDetails: string[]
+  stages: ImportStageTiming[]
+  warnings: ImportIssue[]
+  errors: ImportIssue[]
+  // Stage that aborted the import, if any
+  abortedAt?: ImportStageName
+  // Collection and mode of every imported file (multi-file imports only)
+  files?: (FileMapping & { path: string })[]
+  tokenCount: number
+  collectionCount: number
+  aliasCount: number
+  duration: number
+}
+
+export interface ImportResult {
+  report: ImportReport
+  // Tokens with one value per mode, ready for the store
+  tokens: Token[]
+  collectionModes: Record<string, string[]>
+}
+
+// Below this confidence the format guess is reported as a warning
+const LOW_CONFIDENCE = 50
+
+// Token node read from the source tree, before its value is typed
+interface RawTokenEntry {
+  collection: string
+  path: string
+  name: string
+  type: string
+  value: unknown
+  description?: string
+  extensions?: Record<string, unknown>
+  inheritedType: boolean
+}
+
+interface ImportContext {
+  input: unknown
+  options: ImportOptions
+  data: Record<string, unknown>
+  files?: (FileMapping & { path: string })[]
+  // Mode order known before parsing, e.g. from file names
+  knownModes: Record<string, string[]>
+  detection: FormatDetection
+  themeSetup: TokenStudioThemeSetup | null
+  entries: RawTokenEntry[]
+  tokens: Token[]
+  collectionModes: Record<string, string[]>
+  aliasCount: number
+  warnings: ImportIssue[]
+  errors: ImportIssue[]
+}
+
+interface ImportStage {
+  name: ImportStageName
+  // Critical stages abort the import when they throw
+  critical: boolean
+  run: (context: ImportContext) => void
+}
+
+// Properties a W3C group hands down to the tokens nested inside it.
+// Per the spec only $type is inherited; group $description and $extensions
+// describe the group itself and are not copied onto its tokens.
+interface InheritedGroupProperties {
+  $type?: string
+}
+
+const IMPORT_STAGES: ImportStage[] = [
+  { name: 'validateInput', critical: true, run: validateInput },
+  { name: 'detectFormat', critical: false, run: detectFormat },
+  { name: 'preprocessTokens', critical: true, run: preprocessTokens },
+  { name: 'resolveAliases', critical: false, run: resolveAliases },
+  { name: 'processTypes', critical: true, run: processTypes },
+  { name: 'createStructure', critical: true, run: createStructure },
+  { name: 'postProcess', critical: false, run: postProcess }
+]
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Run every import stage on parsed JSON, raw JSON text or a list of token
+ * files. Never throws: failures end up in `report.errors` with `success: false`.
+ */
+export function runImportPipeline(input: unknown, options: ImportOptions = {}): ImportResult {
+  const startTime = performance.now()
+  const context: ImportContext = {
+    input,
+    options,
+    data: {},
+    knownModes: {},
+    detection: { format: 'unknown', confidence: 0, details: [] },
+    themeSetup: null,
+    entries: [],
+    tokens: [],
+    collectionModes: {},
+    aliasCount: 0,
+    warnings: [],
+    errors: []
+  }
+  const stages: ImportStageTiming[] = []
+  let abortedAt: ImportStageName | undefined
+
+  for (const stage of IMPORT_STAGES) {
+    if (abortedAt) {
+      stages.push({ stage: stage.name, status: 'skipped', duration: 0 })
+      continue
+    }
+
+    const stageStart = performance.now()
+    try {
+      stage.run(context)
+      stages.push({ stage: stage.name, status: 'completed', duration: performance.now() - stageStart })
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error)
+      stages.push({ stage: stage.name, status: 'failed', duration: performance.now() - stageStart })
+      context.errors.push({ stage: stage.name, message })
+
+      if (stage.critical) {
+        abortedAt = stage.name
+      } else {
+        context.warnings.push({ stage: stage.name, message: `Stage ${stage.name} failed, continuing without it` })
+      }
+    }
+  }
+
+  const succeeded = !abortedAt
+  return {
+    report: {
+      success: succeeded,
+      format: context.detection.format,
+      confidence: context.detection.confidence,
+      formatDetails: context.detection.details,
+      stages,
+      warnings: context.warnings,
+      errors: context.errors,
+      abortedAt,
+      files: context.files,
+      tokenCount: succeeded ? context.tokens.length : 0,
+      collectionCount: succeeded ? Object.keys(context.collectionModes).length : 0,
+      aliasCount: context.aliasCount,
+      duration: performance.now() - startTime
+    },
+    tokens: succeeded ? context.tokens : [],
+    collectionModes: succeeded ? context.collectionModes : {}
+  }
+}
+
+/**
+ * Guess the format of a token file with a confidence score.
+ * Every token node votes for one format: `$value` for W3C, `value` without
+ * `type` or with `comment`/`attributes` for Style Dictionary, `type` + `value`
+ * for Token Studio. `$themes`/`$metadata` settle it for Token Studio.
+ */
+export function detectTokenFormat(jsonData: unknown): FormatDetection {
+  if (!isPlainObject(jsonData)) {
+    return { format: 'unknown', confidence: 0, details: ['Input is not a JSON object'] }
+  }
+
+  const counts: Record<Exclude<ImportFormat, 'unknown'>, number> = {
+    'w3c': 0,
+    'token-studio': 0,
+    'style-dictionary': 0
+  }
+
+  const walk = (node: unknown, depth: number) => {
+    if (depth > 20 || !isPlainObject(node)) return
+    if ('$value' in node) {
+      counts.w3c++
+      return
+    }
+    if (isStyleDictionaryToken(node)) {
+      const looksLikeStyleDictionary = !('type' in node) || 'comment' in node || 'attributes' in node
+      counts[looksLikeStyleDictionary ? 'style-dictionary' : 'token-studio']++
+      return
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (!key.startsWith('$')) walk(child, depth + 1)
+    })
+  }
+  walk(jsonData, 0)
+
+  const details: string[] = []
+  if (counts.w3c > 0) details.push(`${counts.w3c} W3C tokens ($value)`)
+  if (counts['token-studio'] > 0) details.push(`${counts['token-studio']} Token Studio tokens (type + value)`)
+  if (counts['style-dictionary'] > 0) details.push(`${counts['style-dictionary']} Style Dictionary tokens (value, comment, attributes)`)
+
+  const hasThemeMetadata = '$themes' in jsonData || '$metadata' in jsonData
+  if (hasThemeMetadata) {
+    details.push('Token Studio $themes/$metadata present')
+    return { format: 'token-studio', confidence: 100, details }
+  }
+
+  const total = counts.w3c + counts['token-studio'] + counts['style-dictionary']
+  if (total === 0) {
+    return { format: 'unknown', confidence: 0, details: ['No token nodes found'] }
+  }
+
+  const [format, count] = (Object.entries(counts) as [Exclude<ImportFormat, 'unknown'>, number][])
+    .reduce((best, entry) => entry[1] > best[1] ? entry : best)
+
+  return { format, confidence: Math.round((count / total) * 100), details }
+}
+
+// Stage 1: accept a JSON object (JSON text, or token files to combine) with
+// at least one collection
+function validateInput(context: ImportContext): void {
+  let input = context.input
+
+  if (isTokenFileList(input)) {
+    input = readTokenFiles(input, context)
+  }
+
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input)
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error instanceof Error ? error.message : String(error)}`)
+    }
+  }
+
+  if (!isPlainObject(input)) {
+    throw new Error(`Expected a JSON object, got ${Array.isArray(input) ? 'an array' : typeof input}`)
+  }
+
+  if (!Object.keys(input).some(key => !key.startsWith('$'))) {
+    throw new Error('The file has no token collections')
+  }
+
+  context.data = input
+}
+
+// Stage 2: score the candidate formats
+function detectFormat(context: ImportContext): void {
+  context.detection = detectTokenFormat(context.data)
+  const { format, confidence } = context.detection
+
+  if (format !== 'unknown' && confidence < LOW_CONFIDENCE) {
+    context.warnings.push({
+      stage: 'detectFormat',
+      message: `Low confidence (${confidence}%) in the detected format, importing as ${format}`
+    })
+  }
+}
+
+// Stage 3: convert to W3C where needed and flatten the tree into token entries
+function preprocessTokens(context: ImportContext): void {
+  if (context.detection.format === 'style-dictionary') {
+    const { data, skipped } = convertStyleDictionaryToW3C(context.data)
+    skipped.forEach(path => context.warnings.push({
+      stage: 'preprocessTokens',
+      message: 'Skipped Style Dictionary token with no supported type',
+      path
+    }))
+    context.data = data
+  }
+
+  context.themeSetup = TokenUtils.readTokenStudioThemes(context.data)
+
+  Object.entries(context.data).forEach(([collectionKey, collectionData]) => {
+    if (collectionKey.startsWith('$')) return
+
+    if (isPlainObject(collectionData)) {
+      collectEntries(collectionData, '', collectionKey, context, readGroupProperties(collectionData, {}))
+    } else {
+      context.errors.push({
+        stage: 'preprocessTokens',
+        message: `Collection '${collectionKey}' is not a valid object`,
+        path: collectionKey
+      })
+    }
+  })
+
+  if (context.entries.length === 0) {
+    throw new Error('No tokens found in the file')
+  }
+}
+
+// Stage 4: check that every `{reference}` points at exactly one imported token,
+// looked up the same way the editor and exporters resolve it.
+// Values keep their references; they are resolved when exporting.
+// Token Studio sets are checked in the collections createStructure puts them
+// in, where alternative sets such as `light`/`dark` hold a single target.
+function resolveAliases(context: ImportContext): void {
+  const collections = context.themeSetup && context.themeSetup.themes.length > 0
+    ? TokenUtils.getThemeCollections(context.themeSetup, context.entries)
+    : {}
+  const collectionOf = (entry: RawTokenEntry) => collections[entry.collection] ?? entry.collection
+
+  const targets = new Map<string, { collection: string; path: string }>()
+  context.entries.forEach(entry => {
+    const collection = collectionOf(entry)
+    targets.set(`${collection}.${entry.path}`, { collection, path: entry.path })
+  })
+  const resolver = createAliasResolver([...targets.values()])
+
+  context.entries.forEach(entry => {
+    collectValueStrings(entry.value).forEach(text => {
+      for (const match of text.matchAll(/\{([^}]+)\}/g)) {
+        context.aliasCount++
+        const lookup = resolver.lookup(match[1], collectionOf(entry))
+        if (lookup.target) continue
+
+        // A guessed target could silently point at the wrong token
+        const issues = lookup.status === 'ambiguous' ? context.errors : context.warnings
+        issues.push({
+          stage: 'resolveAliases',
+          message: describeAliasLookup(match[1], lookup) ?? `Reference {${match[1]}} cannot be resolved`,
+          path: `${entry.collection}.${entry.path}`
+        })
+      }
+    })
+  })
+}
+
+// Stage 5: validate values and build typed tokens
+function processTypes(context: ImportContext): void {
+  context.entries.forEach(entry => {
+    const path = `${entry.collection}.${entry.path}`
+
+    if (!isValidTokenValue(entry.type, entry.value)) {
+      context.errors.push({
+        stage: 'processTypes',
+        message: `Invalid value for type '${entry.type}': ${JSON.stringify(entry.value)}`,
+        path
+      })
+      return
+    }
+
+    const tokenType = mapTokenType(entry.type)
+    if (tokenType === 'UNKNOWN') {
+      context.warnings.push({
+        stage: 'processTypes',
+        message: `Unknown type '${entry.type}', imported with its value as is`,
+        path
+      })
+    }
+
+    const ignoredKeys = tokenType === 'TYPOGRAPHY' ? getIgnoredTypographyKeys(entry.value) : []
+    if (ignoredKeys.length > 0) {
+      context.warnings.push({
+        stage: 'processTypes',
+        message: `Left out ${ignoredKeys.map(key => `'${key}'`).join(', ')}: not a typography property`,
+        path
+      })
+    }
+
+    // Color modifiers stay in $extensions and are applied when resolving
+    const { modifier, error: modifierError } = readColorModifier(entry.extensions)
+    if (modifierError) {
+      context.warnings.push({ stage: 'processTypes', message: `${modifierError}; the color is used unmodified`, path })
+    } else if (modifier && tokenType !== 'COLOR') {
+      context.warnings.push({ stage: 'processTypes', message: `Ignoring the ${modifier.type} modifier of a ${tokenType} token`, path })
+    }
+
+    try {
+      const token = createToken({
+        name: entry.name,
+        path: entry.path,
+        type: tokenType,
+        value: entry.value,
+        collection: entry.collection,
+        description: entry.description,
+        scope: getIntelligentScope({
+          type: tokenType,
+          path: entry.path,
+          value: entry.value,
+          name: entry.name
+        })
+      })
+      if (entry.extensions) {
+        token.extensions = entry.extensions
+      }
+      if (entry.inheritedType) {
+        token.inheritedType = true
+      }
+      if (tokenType === 'UNKNOWN') {
+        token.sourceType = entry.type
+      }
+      context.tokens.push(token)
+    } catch (error) {
+      context.errors.push({ stage: 'processTypes', message: `Could not create token: ${error}`, path })
+    }
+  })
+
+  if (context.tokens.length === 0) {
+    throw new Error('None of the tokens in the file could be imported')
+  }
+}
+
+// Stage 6: work out collections and modes. Token Studio files with
+// $themes/$metadata get one collection per token set (alternative sets share
+// one) and one mode per theme.
+function createStructure(context: ImportContext): void {
+  let tokens = context.tokens
+  let collectionModes: Record<string, string[]> = {}
+
+  if (context.themeSetup) {
+    const themed = TokenUtils.applyTokenStudioThemes(tokens, context.themeSetup)
+    tokens = themed.tokens
+    collectionModes = themed.collectionModes
+  }
+
+  context.collectionModes = getCollectionModes(tokens, { ...context.knownModes, ...collectionModes })
+  context.tokens = tokens.map(token =>
+    applyModes(token, context.collectionModes[getTokenCollectionName(token)] ?? [DEFAULT_MODE_NAME])
+  )
+}
+
+// Stage 7: report what the file relies on that the user may not expect
+function postProcess(context: ImportContext): void {
+  const referenceOnly = context.tokens.filter(token => token.referenceOnly).length
+  if (referenceOnly > 0) {
+    context.warnings.push({
+      stage: 'postProcess',
+      message: `${referenceOnly} tokens come from token sets no theme enables and are kept as reference-only`
+    })
+  }
+
+  if (context.themeSetup && context.themeSetup.themes.length > 0) {
+    const setsByCollection = new Map<string, string[]>()
+    Object.entries(TokenUtils.getThemeCollections(context.themeSetup, context.entries)).forEach(([set, collection]) => {
+      setsByCollection.set(collection, [...setsByCollection.get(collection) ?? [], set])
+    })
+    setsByCollection.forEach((sets, collection) => {
+      if (sets.length < 2) return
+      context.warnings.push({
+        stage: 'postProcess',
+        message: `Token sets ${sets.join(', ')} are alternatives of one another and are merged into collection '${collection}' with one mode per theme`,
+        path: collection
+      })
+    })
+  }
+
+  if (context.themeSetup && context.themeSetup.themes.length === 0) {
+    context.warnings.push({
+      stage: 'postProcess',
+      message: 'The file has Token Studio metadata but no themes; every token set is imported with a single mode'
+    })
+  }
+}
+
+// Parse every file and combine them into one token tree
+function readTokenFiles(files: TokenFile[], context: ImportContext): Record<string, unknown> {
+  const parsed: { path: string; data: unknown }[] = []
+
+  files.forEach(file => {
+    try {
+      parsed.push({ path: file.path, data: JSON.parse(file.content) })
+    } catch (error) {
+      context.errors.push({
+        stage: 'validateInput',
+        message: `Invalid JSON: ${error instanceof Error ? error.message : String(error)}`,
+        path: file.path
+      })
+    }
+  })
+
+  if (parsed.length === 0) {
+    throw new Error('None of the files contain valid JSON')
+  }
+
+  const combined = combineTokenFiles(parsed, context.options.fileNamePattern)
+  combined.issues.forEach(issue => context.warnings.push({ stage: 'validateInput', ...issue }))
+  context.files = combined.mappings
+  context.knownModes = combined.collectionModes
+  return combined.data
+}
+
+// Walk a collection, collecting token entries and handing down group $type
+function collectEntries(
+  node: Record<string, unknown>,
+  path: string,
+  collection: string,
+  context: ImportContext,
+  inherited: InheritedGroupProperties
+): void {
+  Object.entries(node).forEach(([key, value]) => {
+    // $type, $description, $extensions... are group metadata, not children
+    if (key.startsWith('$') || !isPlainObject(value)) return
+
+    const currentPath = path ? `${path}.${key}` : key
+
+    if ('$value' in value) {
+      // W3C Design Token format - $type may come from an ancestor group
+      const w3cType = value.$type ?? inherited.$type
+      if (typeof w3cType !== 'string' || w3cType.trim() === '') {
+        context.errors.push({
+          stage: 'preprocessTokens',
+          message: 'W3C token has no $type and no parent group declares one',
+          path: `${collection}.${currentPath}`
+        })
+        return
+      }
+
+      context.entries.push({
+        collection,
+        path: currentPath,
+        name: key,
+        type: w3cType,
+        value: value.$value,
+        description: typeof value.$description === 'string' ? value.$description : undefined,
+        extensions: isPlainObject(value.$extensions) ? value.$extensions : undefined,
+        inheritedType: value.$type == null
+      })
+    } else if ('type' in value && 'value' in value) {
+      // Token Studio format
+      context.entries.push({
+        collection,
+        path: currentPath,
+        name: key,
+        type: String(value.type),
+        value: value.value,
+        description: typeof value.description === 'string' ? value.description : undefined,
+        extensions: isPlainObject(value.$extensions) ? value.$extensions : undefined,
+        inheritedType: false
+      })
+    } else {
+      // Nested group, handing down inherited properties
+      collectEntries(value, currentPath, collection, context, readGroupProperties(value, inherited))
+    }
+  })
+}
+
+// Merge a group's own properties over the ones it inherited
+function readGroupProperties(group: Record<string, unknown>, inherited: InheritedGroupProperties): InheritedGroupProperties {
+  if (typeof group.$type === 'string' && group.$type.trim() !== '') {
+    return { ...inherited, $type: group.$type }
+  }
+  return inherited
+}
+
+// Validate token type and value
+function isValidTokenValue(type: string, value: unknown): boolean {
+  if (value == null || type.trim() === '') return false
+
+  // Value can be string, number, boolean or object (for complex values)
+  if (!['string', 'number', 'boolean', 'object'].includes(typeof value)) {
+    return false
+  }
+
+  const tokenType = mapTokenType(type)
+
+  // Multi-mode values ({ light: ..., dark: ... }) are valid when every mode value is
+  if (isModeValues(tokenType, value)) {
+    return Object.values(value).every(modeValue => isValidTokenValue(type, modeValue))
+  }
+
+  // A whole-value reference is checked once it resolves
+  if (isReference(value)) return true
+
+  switch (tokenType) {
+    case 'COLOR':
+      return isValidColorValue(value)
+    case 'DIMENSION':
+    case 'SPACING':
+      return isValidDimensionValue(value)
+    case 'NUMBER':
+      return isValidNumberValue(value)
+    case 'FONT_FAMILY':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+    case 'FONT_WEIGHT':
+      return isValidFontWeightValue(value)
+    case 'DURATION':
+      return isValidDurationValue(value)
+    case 'CUBIC_BEZIER':
+      return isValidCubicBezierValue(value)
+    case 'TRANSITION': {
+      const transition = parseTransitionValue(value)
+      return transition !== undefined &&
+        isValidDurationValue(transition.duration) &&
+        (transition.delay === undefined || isValidDurationValue(transition.delay)) &&
+        isValidCubicBezierValue(transition.timingFunction)
+    }
+    case 'STROKE_STYLE':
+      return isValidStrokeStyleValue(value)
+    case 'BORDER': {
+      // W3C borders need all three fields
+      const border = parseBorderValue(value)
+      return border !== undefined &&
+        isPlainObject(value) && value.style !== undefined &&
+        isValidColorValue(border.color) &&
+        isValidDimensionValue(border.width) &&
+        isValidStrokeStyleValue(border.style)
+    }
+    case 'GRADIENT': {
+      // CSS gradients stay strings; stops without a position are spread evenly
+      if (typeof value === 'string') return /gradient\(/.test(value)
+      const stops = parseGradientValue(value)
+      return stops !== undefined && stops.every(stop =>
+        isValidColorValue(stop.color) && isValidNumberValue(stop.position)
+      )
+    }
+    case 'TYPOGRAPHY': {
+      if (!isPlainObject(value)) return true
+      // A composite value needs at least one typography property
+      const typography = parseTypographyValue(value)
+      return typography !== undefined &&
+        (typography.fontWeight === undefined || isValidFontWeightValue(typography.fontWeight)) &&
+        (typography.fontFamily === undefined || typeof typography.fontFamily === 'string' ||
+          (Array.isArray(typography.fontFamily) && typography.fontFamily.every(item => typeof item === 'string')))
+    }
+    case 'SHADOW': {
+      // References and CSS text that is no plain box-shadow stay strings
+      if (typeof value === 'string') return true
+      const layers = parseShadowValue(value)
+      return layers !== undefined && layers.every(layer =>
+        isValidColorValue(layer.color) &&
+        [layer.offsetX, layer.offsetY, layer.blur, layer.spread].every(length =>
+          // Offsets may be negative
+          isValidDimensionValue(typeof length === 'string' ? length.trim().replace(/^-/, '') : length)
+        )
+      )
+    }
+    case 'BOOLEAN':
+      return typeof value === 'boolean' || value === 'true' || value === 'false'
+    case 'STRING':
+      return typeof value === 'string'
+    default:
+      // Radius, opacity and unknown types accept any value
+      return true
+  }
+}
+
+// Keys of composite typography values (in any mode) that are no typography property
+function getIgnoredTypographyKeys(value: unknown): string[] {
+  const values = isModeValues('TYPOGRAPHY', value) ? Object.values(value) : [value]
+  const keys = values.flatMap(item =>
+    isPlainObject(item) && parseTypographyValue(item) ? Object.keys(item).filter(key => !getTypographyField(key)) : []
+  )
+  return [...new Set(keys)]
+}
+
+function isReference(value: unknown): boolean {
+  return typeof value === 'string' && value.trim().startsWith('{')
+}
+
+function isValidNumberValue(value: unknown): boolean {
+  if (typeof value === 'number') return true
+  if (typeof value !== 'string') return false
+  return /^-?\d*\.?\d+$/.test(value.trim()) || isReference(value) || hasExpression(value)
+}
+
+function isValidFontWeightValue(value: unknown): boolean {
+  if (typeof value === 'number') return value >= 1 && value <= 1000
+  if (typeof value !== 'string') return false
+  const weight = value.trim().toLowerCase()
+  // Token Studio also writes style names such as 'Bold Italic'
+  const name = weight.replace(/\s*italic$/, '').replace(/\s+/g, '-') || 'regular'
+  return isValidNumberValue(weight) || Object.hasOwn(FONT_WEIGHT_VALUES, name)
+}
+
+function isValidDurationValue(value: unknown): boolean {
+  if (typeof value === 'number') return value >= 0
+  // W3C duration object: { value: 200, unit: 'ms' }
+  if (isPlainObject(value)) return typeof value.value === 'number' && (value.unit === 'ms' || value.unit === 's')
+  if (typeof value !== 'string') return false
+  return /^\d*\.?\d+(ms|s)$/.test(value.trim()) || isReference(value) || hasExpression(value)
+}
+
+function isValidCubicBezierValue(value: unknown): boolean {
+  if (isReference(value)) return true
+  if (typeof value === 'string') return /^(ease|ease-in|ease-out|ease-in-out|linear|cubic-bezier\(.*\))$/.test(value.trim())
+  // The x coordinates (P1x, P2x) must lie between 0 and 1
+  return isCubicBezierValue(value) && value.every((point, index) =>
+    typeof point === 'string' ? isReference(point) : index % 2 === 1 || (point >= 0 && point <= 1)
+  )
+}
+
+function isValidStrokeStyleValue(value: unknown): boolean {
+  if (typeof value === 'string') return STROKE_STYLES.includes(value.trim()) || isReference(value)
+  return isStrokeStyleValue(value)
+}
+
+function isValidColorValue(value: unknown): boolean {
+  if (typeof value !== 'string') return false
+  const colorStr = value.trim()
+
+  return (
+    colorStr.startsWith('#') || // Hex colors
+    colorStr.startsWith('rgb') || // RGB/RGBA
+    colorStr.startsWith('hsl') || // HSL/HSLA
+    colorStr.startsWith('{') || // Token references
+    /^[a-zA-Z]+$/.test(colorStr) // Named colors
+  )
+}
+
+function isValidDimensionValue(value: unknown): boolean {
+  if (typeof value === 'number') return true
+  // W3C dimension object: { value: 16, unit: 'px' }
+  if (isPlainObject(value) && typeof value.value === 'number' && typeof value.unit === 'string') return true
+  if (typeof value !== 'string') return false
+
+  const dimStr = value.trim()
+
+  return (
+    /^\d+(\.\d+)?(px|rem|em|%|vh|vw|pt|pc|in|cm|mm|ex|ch|lh|vmin|vmax)$/i.test(dimStr) || // CSS units
+    /^\d+(\.\d+)?$/.test(dimStr) || // Plain numbers
+    dimStr.startsWith('{') || // Token references
+    dimStr.includes('calc(') || // CSS calc functions
+    hasExpression(dimStr) // Math such as `4px * 2`
+  )
+}
@@ -0,0 +1,113 @@
+import { ModeValues, Token, TokenType, TokenValueByType } from '@/types/token'
+
+/**
+ * Mode helpers
+ * Every collection has an ordered list of modes (the first is the default).
+ * These helpers keep each token's `modeValues` in line with that list so the
+ * table and the exporters can all read the same per-mode values.
+ */
+
+export const DEFAULT_MODE_NAME = 'Default'
+
+type ModeValue = TokenValueByType[TokenType]
+
+/**
+ * Collection name of a token, matching how the store groups collections
+ */
+export function getTokenCollectionName(token: Pick<Token, 'collection'>): string {
+  return token.collection || 'global'
+}
+
+/**
+ * Ordered union of the mode names used by a set of tokens
+ */
+export function collectTokenModes(tokens: Token[]): string[] {
+  const modes: string[] = []
+  tokens.forEach(token => {
+    Object.keys(token.modeValues ?? {}).forEach(mode => {
+      if (!modes.includes(mode)) modes.push(mode)
+    })
+  })
+  return modes
+}
+
+/**
+ * Work out the modes of every collection in a token list.
+ * Collections already listed in `existing` keep their order; modes found
+ * in the tokens are appended. Collections without modes get the default one.
+ */
+export function getCollectionModes(tokens: Token[], existing: Record<string, string[]> = {}): Record<string, string[]> {
+  const collectionModes: Record<string, string[]> = { ...existing }
+  const tokensByCollection = new Map<string, Token[]>()
+
+  tokens.forEach(token => {
+    const collection = getTokenCollectionName(token)
+    if (!tokensByCollection.has(collection)) {
+      tokensByCollection.set(collection, [])
+    }
+    tokensByCollection.get(collection)!.push(token)
+  })
+
+  tokensByCollection.forEach((collectionTokens, collection) => {
+    const modes = [...(collectionModes[collection] ?? [])]
+    collectTokenModes(collectionTokens).forEach(mode => {
+      if (!modes.includes(mode)) modes.push(mode)
+    })
+    collectionModes[collection] = modes.length > 0 ? modes : [DEFAULT_MODE_NAME]
+  })
+
+  return collectionModes
+}
+
+/**
+ * Give a token exactly one value per mode, in mode order.
+ * `sourceMode` maps a target mode to the mode whose value it takes (used for
+ * renames and copies); modes without a source value take the default value.
+ */
+export function applyModes(
+  token: Token,
+  modes: string[],
+  sourceMode: (mode: string) => string | undefined = mode => mode
+): Token {
+  const currentValues: ModeValues<ModeValue> = token.modeValues ?? {}
+  const modeValues: ModeValues<ModeValue> = {}
+
+  modes.forEach(mode => {
+    const source = sourceMode(mode)
+    const sourceValue = source !== undefined ? currentValues[source] : undefined
+    modeValues[mode] = sourceValue !== undefined ? sourceValue : token.value
+  })
+
+  return {
+    ...token,
+    value: modeValues[modes[0]],
+    modeValues
+  } as Token
+}
+
+/**
+ * Get a token's value for one mode.
+ * Without a mode the default value is returned; a mode the token's collection
+ * does not have returns undefined.
+ */
+export function getModeValue(token: Token, mode?: string): ModeValue | undefined {
+  if (mode === undefined || !token.modeValues) {
+    return token.value
+  }
+  return token.modeValues[mode]
+}
+
+/**
+ * Check if a token has different modes to write out
+ */
+export function hasMultipleModes(token: Token): boolean {
+  return Object.keys(token.modeValues ?? {}).length > 1
+}
+
+/**
+ * Value as written to token files: the mode map ({ light: …, dark: … }) for
+ * multi-mode tokens, the plain value otherwise
+ */
+export function getPortableValue(token: Token): ModeValue | ModeValues<ModeValue> {
+  return hasMultipleModes(token) && token.modeValues ? token.modeValues : token.value
+}
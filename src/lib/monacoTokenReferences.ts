@@ -0,0 +1,176 @@
+import type { Monaco } from '@monaco-editor/react'
+import type { editor, IDisposable } from 'monaco-editor'
+import { Token } from '@/types/token'
+import { describeAliasLookup, getAliasResolver } from '@/lib/aliasUtils'
+import { findReferences, getOpenReference, getReferenceInfo, getReferenceSuggestions } from '@/lib/aliasSuggestions'
+import { getTokenKey } from '@/lib/importMerge'
+import { formatTokenValue, getValueFieldTypes } from '@/lib/tokenValues'
+import { ExpressionOptions } from '@/lib/tokenExpressions'
+import { mapTokenType } from '@/lib/tokenTypes'
+
+/**
+ * Token references in Monaco
+ * Completion after `{`, hover info and markers for unknown references in a
+ * JSON editor, resolved against the store's tokens.
+ */
+
+export interface TokenReferenceContext {
+  tokens: Token[]
+  options: ExpressionOptions
+}
+
+const MARKER_OWNER = 'token-references'
+
+/**
+ * Add completion and hover for references to one editor. `getContext` is
+ * read on every request so the providers follow the store.
+ */
+export function registerTokenReferenceSupport(
+  monaco: Monaco,
+  codeEditor: editor.IStandaloneCodeEditor,
+  getContext: () => TokenReferenceContext
+): IDisposable {
+  // Providers are per language; only answer for this editor's model
+  const isOwnModel = (model: editor.ITextModel) => model === codeEditor.getModel()
+
+  const completion = monaco.languages.registerCompletionItemProvider('json', {
+    triggerCharacters: ['{'],
+    provideCompletionItems(model, position) {
+      const line = model.getLineContent(position.lineNumber)
+      const query = isOwnModel(model) ? getOpenReference(line.slice(0, position.column - 1)) : undefined
+      if (query === undefined) return { suggestions: [] }
+
+      const { tokens } = getContext()
+      const tokenType = getEnclosingTokenType(model.getValue(), model.getOffsetAt(position))
+      // A sub-field of a composite value takes the types of that field
+      const key = line.slice(0, position.column - 1).match(/"([^"]+)"\s*:\s*"[^"]*$/)?.[1]
+      const type = (tokenType && key && getValueFieldTypes(tokenType, key)) || tokenType
+      const range = new monaco.Range(position.lineNumber, position.column - query.length, position.lineNumber, position.column)
+      const closing = line.slice(position.column - 1).startsWith('}') ? '' : '}'
+
+      return {
+        suggestions: getReferenceSuggestions(tokens, query, { type }).map((suggestion, index) => ({
+          label: suggestion.reference,
+          kind: monaco.languages.CompletionItemKind.Reference,
+          detail: `${suggestion.token.type.toLowerCase()} · ${formatTokenValue(suggestion.token.value)}`,
+          insertText: suggestion.reference + closing,
+          // Keep our order: matches at the start of the path first
+          sortText: String(index).padStart(4, '0'),
+          range
+        }))
+      }
+    }
+  })
+
+  const hover = monaco.languages.registerHoverProvider('json', {
+    provideHover(model, position) {
+      if (!isOwnModel(model)) return null
+
+      const column = position.column - 1
+      const match = findReferences(model.getLineContent(position.lineNumber))
+        .find(reference => column >= reference.start && column < reference.end)
+      if (!match) return null
+
+      const { tokens, options } = getContext()
+      const info = getReferenceInfo(match.reference, tokens, options)
+      const range = new monaco.Range(position.lineNumber, match.start + 1, position.lineNumber, match.end + 1)
+
+      if (!info.lookup.target) {
+        return { range, contents: [{ value: `**{${match.reference}}**: ${info.error}` }] }
+      }
+
+      const swatch = info.color ? `<span style="color:${info.color};">&#9632;</span> ` : ''
+      return {
+        range,
+        contents: [
+          { value: `${swatch}**${getTokenKey(info.lookup.target)}** (${info.lookup.target.type.toLowerCase()})`, supportHtml: true },
+          { value: `Resolves to \`${formatTokenValue(info.value)}\`` }
+        ]
+      }
+    }
+  })
+
+  return {
+    dispose: () => {
+      completion.dispose()
+      hover.dispose()
+    }
+  }
+}
+
+/**
+ * Mark every reference that does not resolve to exactly one token
+ */
+export function setTokenReferenceMarkers(monaco: Monaco, model: editor.ITextModel, tokens: Token[]): void {
+  const resolver = getAliasResolver(tokens)
+  const markers: editor.IMarkerData[] = []
+
+  model.getLinesContent().forEach((line, index) => {
+    findReferences(line).forEach(match => {
+      const lookup = resolver.lookup(match.reference)
+      if (lookup.target) return
+
+      markers.push({
+        severity: monaco.MarkerSeverity.Error,
+        message: describeAliasLookup(match.reference, lookup) ?? `Reference {${match.reference}} cannot be resolved`,
+        startLineNumber: index + 1,
+        startColumn: match.start + 1,
+        endLineNumber: index + 1,
+        endColumn: match.end + 1
+      })
+    })
+  })
+
+  monaco.editor.setModelMarkers(model, MARKER_OWNER, markers)
+}
+
+// The $type of the token object around an offset; composite values look
+// further out, to the token holding them
+function getEnclosingTokenType(text: string, offset: number): Token['type'] | undefined {
+  const starts: number[] = []
+  scanJson(text, 0, offset, (char, index) => {
+    if (char === '{') starts.push(index)
+    if (char === '}') starts.pop()
+  })
+
+  for (const start of starts.reverse()) {
+    let depth = 0
+    let end = text.length
+    scanJson(text, start, text.length, (char, index) => {
+      if (char === '{') depth++
+      if (char === '}' && --depth === 0) {
+        end = index
+        return true
+      }
+    })
+
+    const declared = text.slice(start, end).match(/"\$type"\s*:\s*"([^"]+)"/)?.[1]
+    if (declared) {
+      const type = mapTokenType(declared.replace(/[-_]/g, ''))
+      return type === 'UNKNOWN' ? undefined : type
+    }
+  }
+
+  return undefined
+}
+
+// Call `visit` with each brace outside strings; returning true stops
+function scanJson(
+  text: string,
+  from: number,
+  to: number,
+  visit: (char: string, index: number) => boolean | void
+): void {
+  let inString = false
+  for (let i = from; i < to; i++) {
+    const char = text[i]
+    if (inString) {
+      if (char === '\\') i++
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if ((char === '{' || char === '}') && visit(char, i)) {
+      return
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import { Token } from '@/types/token'
+import { getAliasResolver, getResolvedTokenValue } from '@/lib/aliasUtils'
+import { getTokenKey } from '@/lib/importMerge'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+import { ExpressionOptions, hasExpression } from '@/lib/tokenExpressions'
+import { mapValueStrings, toCssDeclarations, toCssValue } from '@/lib/tokenValues'
+
+/**
+ * References in code exports
+ * Writes `{reference}` values as the target language's own references
+ * (`var(--name)`, `$name`, `theme('…')`) for tokens written to the same file,
+ * and as resolved values for tokens that are not.
+ */
+
+export interface ReferenceWriterContext {
+  // Every token, to follow references through
+  allTokens: Token[]
+  // Tokens written to the same file; only these can be referenced by name
+  exportedTokens: Token[]
+  options?: ExpressionOptions
+}
+
+// How a reference to a token (or one of its sub-properties) is written;
+// undefined writes the resolved value instead
+export type ReferenceFormatter = (target: Token, suffix: string) => string | undefined
+
+export interface CodeDeclaration {
+  suffix: string
+  value: string
+}
+
+const ALIAS_REGEX = /\{([^}]+)\}/g
+const SINGLE_ALIAS_REGEX = /^\{([^}]+)\}$/
+
+/**
+ * Create a function that splits a token into declarations like
+ * toCssDeclarations, with references written by `formatReference`.
+ * Math around references is wrapped by `wrapExpression`, e.g. in calc().
+ */
+export function createReferenceWriter(
+  context: ReferenceWriterContext,
+  formatReference: ReferenceFormatter,
+  wrapExpression: (text: string) => string = text => text
+): (token: Token) => CodeDeclaration[] {
+  const { allTokens, options = {} } = context
+  const resolver = getAliasResolver(allTokens)
+  const exportedKeys = new Set(context.exportedTokens.map(getTokenKey))
+  const resolvedValues = new Map<string, unknown>()
+
+  const resolve = (token: Token) => {
+    const key = getTokenKey(token)
+    if (!resolvedValues.has(key)) {
+      resolvedValues.set(key, getResolvedTokenValue(token, allTokens, undefined, options).value)
+    }
+    return resolvedValues.get(key)
+  }
+
+  const lookup = (reference: string, collection: string) => resolver.lookup(reference, collection).target
+
+  // A reference to each declaration of the target, when all can be written
+  const referenceDeclarations = (target: Token): CodeDeclaration[] | undefined => {
+    if (!exportedKeys.has(getTokenKey(target))) return undefined
+
+    const declarations = toCssDeclarations(target.type, resolve(target)).map(({ suffix }) => ({
+      suffix,
+      value: formatReference(target, suffix)
+    }))
+    return declarations.every(declaration => declaration.value !== undefined)
+      ? declarations as CodeDeclaration[]
+      : undefined
+  }
+
+  return token => {
+    const collection = getTokenCollectionName(token)
+
+    // A token that is only a reference takes over every declaration of its target
+    const single = typeof token.value === 'string' ? token.value.match(SINGLE_ALIAS_REGEX) : null
+    const singleTarget = single ? lookup(single[1], collection) : undefined
+    if (singleTarget) {
+      return referenceDeclarations(singleTarget) ?? toCssDeclarations(token.type, resolve(token))
+    }
+
+    const value = mapValueStrings(token.value, text => {
+      if (!new RegExp(ALIAS_REGEX.source).test(text)) return text
+
+      const written = text.replace(ALIAS_REGEX, (original: string, reference: string) => {
+        const target = lookup(reference, collection)
+        if (!target) return original
+
+        const declarations = referenceDeclarations(target)
+        return declarations?.length === 1 && declarations[0].suffix === ''
+          ? declarations[0].value
+          : toCssValue(target.type, resolve(target))
+      })
+      return hasExpression(text) && !/^calc\(/i.test(text.trim()) ? wrapExpression(written) : written
+    })
+
+    return toCssDeclarations(token.type, value)
+  }
+}
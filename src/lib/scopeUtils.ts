@@ -1,4 +1,4 @@
-import { Token } from '@/types/token'
+import { TokenType } from '@/types/token'
 
 // Scope mapping based on JSON token types - extracted from plugin/code.js
 export const scopeMapping: Record<string, string[]> = {
@@ -82,7 +82,7 @@ export const scopeCompatibility: Record<string, string[]> = {
  * This function replicates the applyScopeBasedOnType logic from the plugin
  */
 export function getScopeForTokenType(
-  tokenType: Token['type'], 
+  tokenType: TokenType, 
   jsonType?: string,
   tokenName?: string
 ): string[] {
@@ -124,7 +124,7 @@ export function getScopeForTokenType(
 /**
  * Enhanced function that considers token path and value for smarter scope detection
  */
-export function getIntelligentScope(token: Partial<Token>): string[] {
+export function getIntelligentScope(token: { type?: TokenType; path?: string; value?: unknown; name?: string }): string[] {
   const { type, path, value, name } = token
   
   if (!type) return ['ALL_SCOPES']
@@ -155,7 +155,7 @@ export function getIntelligentScope(token: Partial<Token>): string[] {
   
   // Analyze value for additional hints
   let valueType: string | undefined
-  if (value) {
+  if (typeof value === 'string') {
     if (value.startsWith('#') || value.startsWith('rgb') || value.startsWith('hsl')) {
       valueType = 'color'
     } else if (value.includes('px') || value.includes('rem') || value.includes('em')) {
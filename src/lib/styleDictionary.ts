@@ -0,0 +1,291 @@
+import { Token, TokenType } from '@/types/token'
+import { formatTokenValue, mapValueStrings } from '@/lib/tokenValues'
+import { getTokenTypeName } from '@/lib/tokenTypes'
+import { getAliasResolver, getResolvedTokenValue } from '@/lib/aliasUtils'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+import { getTokenKey } from '@/lib/importMerge'
+
+/**
+ * Style Dictionary support
+ * Reads Style Dictionary source trees ({ value, type, comment, attributes })
+ * into W3C token JSON for the store parser, and writes tokens back out as
+ * Style Dictionary source files.
+ */
+
+export interface StyleDictionaryToken {
+  value: unknown
+  type?: string
+  comment?: string
+  attributes?: Record<string, unknown>
+}
+
+export interface StyleDictionaryConversion {
+  // W3C token tree, one top-level key per collection
+  data: Record<string, unknown>
+  // Paths of tokens whose type could not be inferred
+  skipped: string[]
+}
+
+// $extensions key the original Style Dictionary attributes are kept under
+export const STYLE_DICTIONARY_EXTENSION = 'style-dictionary'
+
+const ALIAS_REGEX = /\{([^}]+)\}/g
+const SINGLE_ALIAS_REGEX = /^\{([^}]+)\}$/
+
+// Type written to Style Dictionary output for each token type
+const STYLE_DICTIONARY_TYPES: Record<Exclude<TokenType, 'UNKNOWN'>, string> = {
+  COLOR: 'color',
+  DIMENSION: 'dimension',
+  SPACING: 'dimension',
+  BORDER_RADIUS: 'dimension',
+  OPACITY: 'opacity',
+  NUMBER: 'number',
+  TYPOGRAPHY: 'typography',
+  FONT_FAMILY: 'fontFamily',
+  FONT_WEIGHT: 'fontWeight',
+  SHADOW: 'shadow',
+  BORDER: 'border',
+  STROKE_STYLE: 'strokeStyle',
+  GRADIENT: 'gradient',
+  DURATION: 'duration',
+  CUBIC_BEZIER: 'cubicBezier',
+  TRANSITION: 'transition',
+  BOOLEAN: 'boolean',
+  STRING: 'string'
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Check if a node is a Style Dictionary token (has `value`, no W3C `$value`)
+ */
+export function isStyleDictionaryToken(node: unknown): node is StyleDictionaryToken {
+  return isPlainObject(node) && 'value' in node && !('$value' in node)
+}
+
+/**
+ * Detect a Style Dictionary source tree.
+ * Token Studio also uses `value`, but always with `type` and never with
+ * `comment`/`attributes`, so most tokens must look like Style Dictionary ones.
+ */
+export function isStyleDictionaryFormat(jsonData: unknown): boolean {
+  if (!isPlainObject(jsonData) || '$themes' in jsonData || '$metadata' in jsonData) {
+    return false
+  }
+
+  let tokenCount = 0
+  let styleDictionaryCount = 0
+  let hasW3CTokens = false
+
+  const walk = (node: unknown, depth: number) => {
+    if (depth > 20 || !isPlainObject(node)) return
+    if ('$value' in node) {
+      hasW3CTokens = true
+      return
+    }
+    if (isStyleDictionaryToken(node)) {
+      tokenCount++
+      if (!('type' in node) || 'comment' in node || 'attributes' in node) {
+        styleDictionaryCount++
+      }
+      return
+    }
+    Object.values(node).forEach(child => walk(child, depth + 1))
+  }
+  walk(jsonData, 0)
+
+  return !hasW3CTokens && tokenCount > 0 && styleDictionaryCount * 2 >= tokenCount
+}
+
+/**
+ * Infer a token type from the explicit `type`, then the Category/Type/Item
+ * (CTI) structure of the path or `attributes`, then the value itself.
+ * Returns undefined when nothing fits a supported type.
+ */
+export function inferStyleDictionaryType(path: string[], token: StyleDictionaryToken): string | undefined {
+  if (typeof token.type === 'string' && token.type.trim() !== '') {
+    return token.type
+  }
+
+  const category = String(token.attributes?.category ?? path[0] ?? '').toLowerCase()
+  const type = String(token.attributes?.type ?? path[1] ?? '').toLowerCase()
+
+  switch (category) {
+    case 'color':
+    case 'colors':
+      return 'color'
+    case 'size':
+    case 'sizing':
+      if (type === 'font') return 'fontSize'
+      if (['spacing', 'space', 'padding', 'margin', 'gap'].includes(type)) return 'spacing'
+      if (['radius', 'border-radius', 'borderradius'].includes(type)) return 'borderRadius'
+      return 'dimension'
+    case 'font':
+    case 'typography':
+      if (type === 'family') return 'fontFamily'
+      if (type === 'weight') return 'fontWeight'
+      if (type === 'size') return 'fontSize'
+      return 'typography'
+    case 'spacing':
+    case 'space':
+      return 'spacing'
+    case 'radius':
+    case 'border-radius':
+    case 'borderradius':
+      return 'borderRadius'
+    case 'opacity':
+      return 'opacity'
+    case 'shadow':
+    case 'elevation':
+      return 'shadow'
+    case 'time':
+    case 'duration':
+      return 'duration'
+  }
+
+  if (typeof token.value === 'string') {
+    const value = token.value.trim()
+    if (/^(#|rgba?\(|hsla?\()/i.test(value)) return 'color'
+    if (/^-?\d*\.?\d+(px|rem|em)$/.test(value)) return 'dimension'
+  }
+
+  return undefined
+}
+
+/**
+ * Convert a Style Dictionary source tree to W3C token JSON.
+ * `comment` becomes `$description`, `attributes` are kept in `$extensions`
+ * and old-style `{path.value}` references become `{path}`.
+ */
+export function convertStyleDictionaryToW3C(jsonData: Record<string, unknown>): StyleDictionaryConversion {
+  const skipped: string[] = []
+
+  const convertNode = (node: Record<string, unknown>, path: string[]): Record<string, unknown> => {
+    const converted: Record<string, unknown> = {}
+
+    Object.entries(node).forEach(([key, child]) => {
+      const childPath = [...path, key]
+
+      if (isStyleDictionaryToken(child)) {
+        const type = inferStyleDictionaryType(childPath, child)
+        if (!type) {
+          skipped.push(childPath.join('.'))
+          return
+        }
+
+        const description = child.comment ?? (child as unknown as Record<string, unknown>).description
+        converted[key] = {
+          $type: type,
+          $value: mapValueStrings(child.value, text => text.replace(/\{([^}]+)\.value\}/g, '{$1}')),
+          ...(typeof description === 'string' && { $description: description }),
+          ...(isPlainObject(child.attributes) && {
+            $extensions: { [STYLE_DICTIONARY_EXTENSION]: { attributes: child.attributes } }
+          })
+        }
+      } else if (isPlainObject(child)) {
+        converted[key] = convertNode(child, childPath)
+      }
+    })
+
+    return converted
+  }
+
+  return { data: convertNode(jsonData, []), skipped }
+}
+
+/**
+ * Build a Style Dictionary source tree from tokens.
+ * Each collection is the top-level key, so references are rewritten to the
+ * full `{collection.path}` of their target and the CTI attributes line up
+ * with the file structure. References to tokens left out of the tree are
+ * written as the resolved value. Multi-mode tokens are written with their
+ * default mode value; Style Dictionary has no modes.
+ */
+export function buildStyleDictionary(tokens: Token[], options: {
+  includeComments?: boolean
+  includeAttributes?: boolean
+  // Every token, to follow references through; defaults to `tokens`
+  allTokens?: Token[]
+} = {}): Record<string, unknown> {
+  const { includeComments = true, includeAttributes = true, allTokens = tokens } = options
+  const result: Record<string, unknown> = {}
+  const resolver = getAliasResolver(allTokens)
+  const writtenKeys = new Set(tokens.map(getTokenKey))
+
+  // References as Style Dictionary finds them in the tree
+  const writeValue = (token: Token): unknown => {
+    const collection = getTokenCollectionName(token)
+    return mapValueStrings(token.value, text => {
+      const whole = text.match(SINGLE_ALIAS_REGEX)
+      const wholeTarget = whole ? resolver.lookup(whole[1], collection).target : undefined
+      if (wholeTarget && !writtenKeys.has(getTokenKey(wholeTarget))) {
+        return getResolvedTokenValue(wholeTarget, allTokens).value
+      }
+
+      return text.replace(ALIAS_REGEX, (original: string, reference: string) => {
+        const target = resolver.lookup(reference, collection).target
+        if (!target) return original
+        return writtenKeys.has(getTokenKey(target))
+          ? `{${getTokenKey(target)}}`
+          : formatTokenValue(getResolvedTokenValue(target, allTokens).value)
+      })
+    })
+  }
+
+  tokens.forEach(token => {
+    const segments = [getTokenCollectionName(token), ...token.path.split('.')].filter(segment => segment.length > 0)
+    let current = result
+
+    for (let i = 0; i < segments.length - 1; i++) {
+      const segment = segments[i]
+      if (!isPlainObject(current[segment])) current[segment] = {}
+      current = current[segment] as Record<string, unknown>
+    }
+
+    const sdToken: StyleDictionaryToken = {
+      value: writeValue(token),
+      type: getStyleDictionaryType(token)
+    }
+
+    if (includeComments && token.description) {
+      sdToken.comment = token.description
+    }
+
+    if (includeAttributes) {
+      const imported = token.extensions?.[STYLE_DICTIONARY_EXTENSION]
+      const importedAttributes = isPlainObject(imported) && isPlainObject(imported.attributes) ? imported.attributes : {}
+      const [category, type, item, subitem, state] = segments
+      sdToken.attributes = {
+        category,
+        ...(type !== undefined && { type }),
+        ...(item !== undefined && { item }),
+        ...(subitem !== undefined && { subitem }),
+        ...(state !== undefined && { state }),
+        ...importedAttributes
+      }
+    }
+
+    current[segments[segments.length - 1]] = sdToken
+  })
+
+  return result
+}
+
+// TYPOGRAPHY also holds single font properties; name those more precisely
+function getStyleDictionaryType(token: Token): string {
+  if (token.type === 'UNKNOWN') return getTokenTypeName(token)
+  if (token.type !== 'TYPOGRAPHY' || isPlainObject(token.value)) {
+    return STYLE_DICTIONARY_TYPES[token.type]
+  }
+
+  const value: unknown = token.value
+  if (typeof value === 'number') return 'fontWeight'
+  if (typeof value !== 'string' || value.startsWith('{')) {
+    return Array.isArray(value) ? 'fontFamily' : STYLE_DICTIONARY_TYPES.TYPOGRAPHY
+  }
+  if (/^\d+$/.test(value)) return 'fontWeight'
+  if (/^-?\d*\.?\d+(px|rem|em|%)$/.test(value)) return 'dimension'
+  return 'fontFamily'
+}
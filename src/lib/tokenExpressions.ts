@@ -0,0 +1,292 @@
+import { collectValueStrings, mapValueStrings } from '@/lib/tokenValues'
+
+/**
+ * Token value expressions
+ * Evaluates math in resolved token values: `calc(24px + 8px)`, Token Studio
+ * style `16px * 2`, parentheses and a few functions. Lengths in px and rem
+ * can be mixed; rem converts with a configurable base.
+ */
+
+export interface ExpressionOptions {
+  // Pixels per rem
+  remBase?: number
+}
+
+export const DEFAULT_REM_BASE = 16
+
+interface Quantity {
+  value: number
+  unit: string
+}
+
+type ExpressionNode =
+  | { kind: 'number'; quantity: Quantity }
+  | { kind: 'unary'; operand: ExpressionNode }
+  | { kind: 'binary'; operator: '+' | '-' | '*' | '/'; left: ExpressionNode; right: ExpressionNode }
+  | { kind: 'call'; name: string; args: ExpressionNode[] }
+
+type Lexeme =
+  | { kind: 'number'; value: number; unit: string }
+  | { kind: 'name'; value: string }
+  | { kind: 'symbol'; value: string }
+
+const LEXEME_REGEX = /\s*(?:(\d*\.?\d+(?:e[+-]?\d+)?)([a-z%]*)|([a-z_][\w-]*)|([-+*/(),]))/giy
+
+// calc() only groups; the others take one or more quantities of the same kind
+const FUNCTIONS: Record<string, (args: Quantity[], options: Required<ExpressionOptions>) => Quantity> = {
+  calc: ([value, ...rest]) => {
+    if (!value || rest.length > 0) throw new Error('calc() takes one expression')
+    return value
+  },
+  min: (args, options) => pick(args, options, (a, b) => a < b),
+  max: (args, options) => pick(args, options, (a, b) => a > b),
+  // round(value) or round(value, interval)
+  round: ([value, interval, ...rest], options) => {
+    if (!value || rest.length > 0) throw new Error('round() takes a value and an optional interval')
+    if (!interval) return { value: Math.round(value.value), unit: value.unit }
+    const step = convert(interval, value.unit, options)
+    if (step === 0) throw new Error('round() interval cannot be 0')
+    return { value: Math.round(value.value / step) * step, unit: value.unit }
+  },
+  floor: ([value, ...rest]) => {
+    if (!value || rest.length > 0) throw new Error('floor() takes one value')
+    return { value: Math.floor(value.value), unit: value.unit }
+  },
+  ceil: ([value, ...rest]) => {
+    if (!value || rest.length > 0) throw new Error('ceil() takes one value')
+    return { value: Math.ceil(value.value), unit: value.unit }
+  },
+  abs: ([value, ...rest]) => {
+    if (!value || rest.length > 0) throw new Error('abs() takes one value')
+    return { value: Math.abs(value.value), unit: value.unit }
+  }
+}
+
+/**
+ * Check if a text is a math expression (and not just a single value)
+ */
+export function isExpression(text: string): boolean {
+  const node = parseExpression(text)
+  return node !== undefined && node.kind !== 'number'
+}
+
+/**
+ * Check if a value has math in it, counting each `{reference}` as a number:
+ * `{spacing.md} * 2` and `calc({a} + {b})` do, `{a}` and `1px solid {c}` do not
+ */
+export function hasExpression(value: unknown): boolean {
+  return collectValueStrings(value).some(text => isExpression(text.replace(/\{[^}]+\}/g, '1')))
+}
+
+/**
+ * Evaluate a math expression. Returns undefined for text that is not an
+ * expression (a plain value, a color, a font name...) and throws when the
+ * expression is invalid, e.g. adding px to %.
+ * Unitless results are numbers, the others strings with their unit.
+ */
+export function evaluateExpression(text: string, options: ExpressionOptions = {}): string | number | undefined {
+  const node = parseExpression(text)
+  if (!node || node.kind === 'number') return undefined
+
+  const result = evaluate(node, { remBase: options.remBase ?? DEFAULT_REM_BASE })
+  return formatQuantity(result)
+}
+
+/**
+ * Evaluate every expression inside a (possibly composite) value.
+ * Invalid expressions are left as they are and reported to `onError`.
+ */
+export function evaluateValueExpressions<V>(
+  value: V,
+  options: ExpressionOptions = {},
+  onError?: (text: string, message: string) => void
+): V {
+  return mapValueStrings(value, text => {
+    try {
+      return evaluateExpression(text, options) ?? text
+    } catch (error) {
+      onError?.(text, error instanceof Error ? error.message : String(error))
+      return text
+    }
+  })
+}
+
+// Parse a whole text; undefined when it is not made of expression syntax only
+function parseExpression(text: string): ExpressionNode | undefined {
+  const lexemes = tokenize(text)
+  if (!lexemes || lexemes.length === 0) return undefined
+
+  let position = 0
+  const peek = () => lexemes[position]
+  const isSymbol = (value: string) => {
+    const lexeme = peek()
+    return lexeme?.kind === 'symbol' && lexeme.value === value
+  }
+  const expect = (value: string) => {
+    if (!isSymbol(value)) throw new SyntaxError(`Expected '${value}'`)
+    position++
+  }
+
+  const parseSum = (): ExpressionNode => {
+    let node = parseProduct()
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = (lexemes[position++] as { value: '+' | '-' }).value
+      node = { kind: 'binary', operator, left: node, right: parseProduct() }
+    }
+    return node
+  }
+
+  const parseProduct = (): ExpressionNode => {
+    let node = parseUnary()
+    while (isSymbol('*') || isSymbol('/')) {
+      const operator = (lexemes[position++] as { value: '*' | '/' }).value
+      node = { kind: 'binary', operator, left: node, right: parseUnary() }
+    }
+    return node
+  }
+
+  const parseUnary = (): ExpressionNode => {
+    if (isSymbol('-')) {
+      position++
+      return { kind: 'unary', operand: parseUnary() }
+    }
+    if (isSymbol('+')) {
+      position++
+      return parseUnary()
+    }
+    return parsePrimary()
+  }
+
+  const parsePrimary = (): ExpressionNode => {
+    const lexeme = lexemes[position++]
+    if (!lexeme) throw new SyntaxError('Unexpected end of expression')
+
+    if (lexeme.kind === 'number') {
+      return { kind: 'number', quantity: { value: lexeme.value, unit: lexeme.unit } }
+    }
+
+    if (lexeme.kind === 'name') {
+      const name = lexeme.value.toLowerCase()
+      if (!(name in FUNCTIONS)) throw new SyntaxError(`Unknown function ${lexeme.value}`)
+      expect('(')
+      const args = [parseSum()]
+      while (isSymbol(',')) {
+        position++
+        args.push(parseSum())
+      }
+      expect(')')
+      return { kind: 'call', name, args }
+    }
+
+    if (lexeme.value === '(') {
+      const node = parseSum()
+      expect(')')
+      return node
+    }
+
+    throw new SyntaxError(`Unexpected '${lexeme.value}'`)
+  }
+
+  try {
+    const node = parseSum()
+    return position === lexemes.length ? node : undefined
+  } catch {
+    return undefined
+  }
+}
+
+function tokenize(text: string): Lexeme[] | undefined {
+  const lexemes: Lexeme[] = []
+  const source = text.trim()
+  LEXEME_REGEX.lastIndex = 0
+
+  while (LEXEME_REGEX.lastIndex < source.length) {
+    const match = LEXEME_REGEX.exec(source)
+    if (!match) return undefined
+
+    const [, number, unit, name, symbol] = match
+    if (number !== undefined) {
+      lexemes.push({ kind: 'number', value: parseFloat(number), unit: unit.toLowerCase() })
+    } else if (name !== undefined) {
+      lexemes.push({ kind: 'name', value: name })
+    } else {
+      lexemes.push({ kind: 'symbol', value: symbol })
+    }
+  }
+
+  return lexemes
+}
+
+function evaluate(node: ExpressionNode, options: Required<ExpressionOptions>): Quantity {
+  switch (node.kind) {
+    case 'number':
+      return node.quantity
+    case 'unary': {
+      const operand = evaluate(node.operand, options)
+      return { value: -operand.value, unit: operand.unit }
+    }
+    case 'call':
+      return FUNCTIONS[node.name](node.args.map(arg => evaluate(arg, options)), options)
+    case 'binary': {
+      const left = evaluate(node.left, options)
+      const right = evaluate(node.right, options)
+      return applyOperator(node.operator, left, right, options)
+    }
+  }
+}
+
+function applyOperator(
+  operator: '+' | '-' | '*' | '/',
+  left: Quantity,
+  right: Quantity,
+  options: Required<ExpressionOptions>
+): Quantity {
+  switch (operator) {
+    case '+':
+    case '-': {
+      // The result keeps the left operand's unit
+      const unit = left.unit || right.unit
+      const a = left.unit ? left.value : convert(left, unit, options)
+      const b = convert(right, unit, options)
+      return { value: operator === '+' ? a + b : a - b, unit }
+    }
+    case '*':
+      if (left.unit && right.unit) {
+        throw new Error(`Cannot multiply ${formatQuantity(left)} by ${formatQuantity(right)}`)
+      }
+      return { value: left.value * right.value, unit: left.unit || right.unit }
+    case '/': {
+      if (right.value === 0) throw new Error('Division by zero')
+      if (!right.unit) return { value: left.value / right.value, unit: left.unit }
+      // Dividing two lengths gives a ratio
+      return { value: left.value / convert(right, left.unit, options), unit: '' }
+    }
+  }
+}
+
+// Express a quantity in another unit; only px and rem convert into each other.
+// A unitless number is taken to be in the wanted unit.
+function convert(quantity: Quantity, unit: string, options: Required<ExpressionOptions>): number {
+  if (quantity.unit === unit || !quantity.unit) return quantity.value
+  if (quantity.unit === 'rem' && unit === 'px') return quantity.value * options.remBase
+  if (quantity.unit === 'px' && unit === 'rem') return quantity.value / options.remBase
+  throw new Error(`Cannot combine ${quantity.unit} with ${unit || 'a unitless number'}`)
+}
+
+function pick(
+  args: Quantity[],
+  options: Required<ExpressionOptions>,
+  isBetter: (a: number, b: number) => boolean
+): Quantity {
+  // Compare in the first unit given, so min(1rem, 12px) works
+  const unit = args.find(arg => arg.unit)?.unit ?? ''
+  return args.reduce((best, candidate) =>
+    isBetter(convert(candidate, unit, options), convert(best, unit, options)) ? candidate : best
+  )
+}
+
+function formatQuantity({ value, unit }: Quantity): string | number {
+  // Drop floating point noise such as 0.30000000000000004
+  const rounded = Number(value.toFixed(4))
+  return unit ? `${rounded}${unit}` : rounded
+}
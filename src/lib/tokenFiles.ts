@@ -0,0 +1,224 @@
+/**
+ * Multi-file token import
+ * Maps the files of a token repository to collections (and modes, when file
+ * names follow a pattern such as `{collection}.{mode}.json`) and combines
+ * them into one token tree, so references resolve across files.
+ */
+
+export interface TokenFile {
+  // Path relative to the imported folder, e.g. `core/colors.json`
+  path: string
+  content: string
+}
+
+export interface FileMapping {
+  collection: string
+  mode?: string
+}
+
+export interface CombinedTokenFiles {
+  data: Record<string, unknown>
+  // Mode order per collection, following the file order
+  collectionModes: Record<string, string[]>
+  mappings: (FileMapping & { path: string })[]
+  issues: { message: string; path: string }[]
+}
+
+export const DEFAULT_FILE_NAME_PATTERN = '{collection}.{mode}.json'
+
+// Token Studio multi-file exports keep their theme setup in these files
+const TOKEN_STUDIO_META_FILES: Record<string, string> = {
+  '$themes.json': '$themes',
+  '$metadata.json': '$metadata'
+}
+
+const PLACEHOLDER_REGEX = /\{(collection|mode)\}/g
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Check if an import input is a list of token files
+ */
+export function isTokenFileList(input: unknown): input is TokenFile[] {
+  return Array.isArray(input) && input.length > 0 && input.every(file =>
+    isPlainObject(file) && typeof file.path === 'string' && typeof file.content === 'string'
+  )
+}
+
+/**
+ * Remove the folder every path starts with (the folder the user picked)
+ */
+export function stripCommonRoot(paths: string[]): string[] {
+  const normalized = paths.map(path => path.replace(/\\/g, '/').replace(/^\/+/, ''))
+  const roots = new Set(normalized.map(path => path.includes('/') ? path.split('/')[0] : ''))
+  const [root] = roots
+
+  if (roots.size !== 1 || !root) return normalized
+  return normalized.map(path => path.slice(root.length + 1))
+}
+
+/**
+ * Work out the collection and mode of a file from its path.
+ * The pattern is matched against the end of the path; folders before the
+ * match prefix the collection. Files that do not match become a collection
+ * named after their path without the extension.
+ */
+export function mapFileToCollection(path: string, pattern: string = DEFAULT_FILE_NAME_PATTERN): FileMapping {
+  const match = compilePattern(pattern).exec(path)
+  const withoutExtension = path.replace(/\.json$/i, '')
+
+  if (match?.groups) {
+    const prefix = path.slice(0, match.index).replace(/\/+$/, '')
+    const collection = [prefix, match.groups.collection].filter(Boolean).join('/')
+    if (collection) {
+      return { collection: toCollectionName(collection), mode: match.groups.mode }
+    }
+  }
+
+  return { collection: toCollectionName(withoutExtension) }
+}
+
+/**
+ * Combine parsed token files into one tree keyed by collection.
+ * Files mapped to a mode turn each token value into a `{ mode: value }` map;
+ * tokens defined twice for the same collection and mode keep the later file.
+ */
+export function combineTokenFiles(files: { path: string; data: unknown }[], pattern: string = DEFAULT_FILE_NAME_PATTERN): CombinedTokenFiles {
+  const data: Record<string, unknown> = {}
+  const collectionModes: Record<string, string[]> = {}
+  const mappings: CombinedTokenFiles['mappings'] = []
+  const issues: CombinedTokenFiles['issues'] = []
+  // Mode maps created here (as opposed to mode maps written in the files),
+  // with the collection and path of their token
+  const createdModeMaps = new Map<object, { collection: string; path: string }>()
+
+  files.forEach(({ path, data: fileData }) => {
+    const metaKey = TOKEN_STUDIO_META_FILES[path.split('/').pop() ?? '']
+    if (metaKey) {
+      data[metaKey] = fileData
+      return
+    }
+
+    if (!isPlainObject(fileData)) {
+      issues.push({ message: 'File does not contain a JSON object', path })
+      return
+    }
+
+    const mapping = mapFileToCollection(path, pattern)
+    mappings.push({ path, ...mapping })
+
+    if (mapping.mode) {
+      const modes = collectionModes[mapping.collection] ?? []
+      if (!modes.includes(mapping.mode)) modes.push(mapping.mode)
+      collectionModes[mapping.collection] = modes
+    }
+
+    if (!isPlainObject(data[mapping.collection])) {
+      data[mapping.collection] = {}
+    }
+
+    mergeTree(data[mapping.collection] as Record<string, unknown>, fileData, {
+      mode: mapping.mode,
+      file: path,
+      collection: mapping.collection,
+      path: mapping.collection,
+      issues,
+      createdModeMaps
+    })
+  })
+
+  // Missing modes take the default mode value once imported
+  createdModeMaps.forEach(({ collection, path }, modeMap) => {
+    const missing = (collectionModes[collection] ?? []).filter(mode => !(mode in modeMap))
+    if (missing.length > 0) {
+      issues.push({ message: `Token ${path} has no value for mode ${missing.join(', ')}`, path: collection })
+    }
+  })
+
+  return { data, collectionModes, mappings, issues }
+}
+
+// Pattern to a regex anchored at the end of the path (or at a folder boundary)
+function compilePattern(pattern: string): RegExp {
+  let source = ''
+  let lastIndex = 0
+
+  for (const match of pattern.matchAll(PLACEHOLDER_REGEX)) {
+    source += escapeRegex(pattern.slice(lastIndex, match.index))
+    source += match[1] === 'collection' ? '(?<collection>[^/]+?)' : '(?<mode>[^/.]+)'
+    lastIndex = match.index + match[0].length
+  }
+  source += escapeRegex(pattern.slice(lastIndex))
+
+  return new RegExp(`(?:^|/)${source}$`, 'i')
+}
+
+function escapeRegex(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Dots separate token path segments, so they cannot be part of a collection name
+function toCollectionName(name: string): string {
+  return name.replace(/\./g, '-')
+}
+
+function isTokenNode(node: Record<string, unknown>): boolean {
+  return '$value' in node || 'value' in node
+}
+
+interface MergeContext {
+  mode?: string
+  file: string
+  collection: string
+  path: string
+  issues: CombinedTokenFiles['issues']
+  createdModeMaps: Map<object, { collection: string; path: string }>
+}
+
+function mergeTree(target: Record<string, unknown>, source: Record<string, unknown>, context: MergeContext): void {
+  Object.entries(source).forEach(([key, node]) => {
+    const path = `${context.path}.${key}`
+
+    if (!isPlainObject(node)) {
+      // Group metadata ($type, $description...) - the first file sets it
+      if (!(key in target)) target[key] = node
+      return
+    }
+
+    if (!isTokenNode(node)) {
+      if (!isPlainObject(target[key])) target[key] = {}
+      mergeTree(target[key] as Record<string, unknown>, node, { ...context, path })
+      return
+    }
+
+    const valueKey = '$value' in node ? '$value' : 'value'
+    const existing = target[key]
+    const existingValue = isPlainObject(existing) ? existing[valueKey] : undefined
+
+    if (context.mode === undefined) {
+      if (existing !== undefined) {
+        context.issues.push({ message: `Token ${path} is defined in more than one file; using this one`, path: context.file })
+      }
+      target[key] = node
+      return
+    }
+
+    if (isPlainObject(existingValue) && context.createdModeMaps.has(existingValue)) {
+      if (context.mode in existingValue) {
+        context.issues.push({ message: `Token ${path} is defined twice for mode ${context.mode}; using this one`, path: context.file })
+      }
+      existingValue[context.mode] = node[valueKey]
+      return
+    }
+
+    if (existing !== undefined) {
+      context.issues.push({ message: `Token ${path} also has a value for every mode in another file; using the ${context.mode} file`, path: context.file })
+    }
+
+    const modeMap = { [context.mode]: node[valueKey] }
+    context.createdModeMaps.set(modeMap, { collection: context.collection, path })
+    target[key] = { ...node, [valueKey]: modeMap }
+  })
+}
@@ -0,0 +1,291 @@
+import { Token } from '@/types/token'
+import { AliasResolver, createAliasResolver, getAliasResolver, getDependencyChain, getDependencyGraph } from '@/lib/aliasUtils'
+import { mapColorModifierStrings, withoutColorModifier } from '@/lib/colorModifiers'
+import { getTokenKey } from '@/lib/importMerge'
+import { getTokenCollectionName } from '@/lib/modeUtils'
+import { mapValueStrings } from '@/lib/tokenValues'
+
+/**
+ * Token renaming
+ * Moves a token, or a whole group, to a new path and/or collection and
+ * rewrites every reference to the moved tokens so aliases keep pointing at
+ * them. Renames are remembered so exports can keep the old paths as
+ * deprecated aliases. References can also be re-pointed to another token.
+ */
+
+export interface TokenLocation {
+  collection: string
+  // Token path, or a group path when moving every token below it
+  path: string
+}
+
+export interface RenamedToken {
+  from: TokenLocation
+  to: TokenLocation
+}
+
+export interface ReferenceRewrite {
+  // Token holding the references, after the rename
+  token: Token
+  references: { before: string; after: string }[]
+}
+
+export interface RenamePlan {
+  moves: { from: Token; to: Token }[]
+  rewrites: ReferenceRewrite[]
+  // Reasons the rename cannot be applied
+  conflicts: string[]
+  // Every token after the rename, in the original order
+  tokens: Token[]
+}
+
+export interface RepointPlan {
+  rewrites: ReferenceRewrite[]
+  // Reasons the references cannot be re-pointed
+  conflicts: string[]
+  // Every token afterwards, in the original order
+  tokens: Token[]
+}
+
+const ALIAS_REGEX = /\{([^}]+)\}/g
+
+/**
+ * Tokens a location covers: the token at that path, or every token in the group
+ */
+export function getTokensAtLocation(tokens: Token[], location: TokenLocation): Token[] {
+  return tokens.filter(token =>
+    getTokenCollectionName(token) === location.collection &&
+    (token.path === location.path || token.path.startsWith(`${location.path}.`))
+  )
+}
+
+/**
+ * Work out a rename without applying it, for previewing
+ */
+export function planRename(tokens: Token[], source: TokenLocation, target: TokenLocation): RenamePlan {
+  const targetCollection = target.collection.trim()
+  const targetPath = target.path.trim()
+  const conflicts: string[] = []
+
+  const sourceTokens = new Set(getTokensAtLocation(tokens, source))
+  if (sourceTokens.size === 0) {
+    conflicts.push(`Nothing to move at ${source.collection}.${source.path}`)
+  }
+  if (!targetCollection || targetCollection.includes('.')) {
+    conflicts.push('The collection name must not be empty or contain dots')
+  }
+  if (!targetPath || targetPath.split('.').some(segment => !segment.trim()) || /[{}]/.test(targetPath)) {
+    conflicts.push('The path must be dot-separated names without braces')
+  }
+  if (targetCollection === source.collection && targetPath === source.path) {
+    conflicts.push('The new location is the same as the current one')
+  }
+  if (conflicts.length > 0) {
+    return { moves: [], rewrites: [], conflicts, tokens }
+  }
+
+  // Old key → new key of every moved token
+  const aliasMap = new Map<string, string>()
+  const moved = tokens.map(token => {
+    if (!sourceTokens.has(token)) return token
+
+    const path = targetPath + token.path.slice(source.path.length)
+    const renamed = { ...token, path, name: path.split('.').pop()!, collection: targetCollection } as Token
+    aliasMap.set(getTokenKey(token), getTokenKey(renamed))
+    return renamed
+  })
+
+  const stayingKeys = new Set(tokens.filter(token => !sourceTokens.has(token)).map(getTokenKey))
+  aliasMap.forEach(newKey => {
+    if (stayingKeys.has(newKey)) conflicts.push(`${newKey} already exists`)
+  })
+  if (conflicts.length > 0) {
+    return { moves: [], rewrites: [], conflicts, tokens }
+  }
+
+  const oldResolver = getAliasResolver(tokens)
+  const newResolver = createAliasResolver(moved)
+  const newTokensByKey = new Map(moved.map(token => [getTokenKey(token), token]))
+  const rewrites: ReferenceRewrite[] = []
+
+  const renamedTokens = moved.map((token, index) => {
+    const oldCollection = getTokenCollectionName(tokens[index])
+    const newCollection = getTokenCollectionName(token)
+
+    const rewritten = rewriteReferences(token, reference => {
+      const oldTarget = oldResolver.lookup(reference, oldCollection).target
+      // Broken references stay broken; diagnostics report them
+      if (!oldTarget) return undefined
+
+      const oldTargetKey = getTokenKey(oldTarget)
+      const wantedKey = aliasMap.get(oldTargetKey) ?? oldTargetKey
+      const current = newResolver.lookup(reference, newCollection).target
+      if (current && getTokenKey(current) === wantedKey) return undefined
+
+      // Keep the reference style: a bare path while it is unambiguous
+      const wanted = newTokensByKey.get(wantedKey)!
+      const next = reference === oldTargetKey
+        ? (newResolver.lookup(wantedKey, newCollection).target === wanted ? wantedKey : undefined)
+        : referenceFrom(newResolver, wanted, newCollection)
+
+      if (!next) {
+        conflicts.push(`${getTokenKey(token)} cannot reference ${wantedKey} unambiguously after the move`)
+      }
+      return next
+    })
+
+    if (!rewritten) return token
+    rewrites.push(rewritten)
+    return rewritten.token
+  })
+
+  return {
+    moves: tokens
+      .map((token, index) => ({ from: token, to: renamedTokens[index] }))
+      .filter(({ from }) => sourceTokens.has(from)),
+    rewrites,
+    conflicts,
+    tokens: renamedTokens
+  }
+}
+
+/**
+ * Work out pointing the references to one token in some of its dependents at
+ * another token instead, without applying it
+ */
+export function planRepoint(tokens: Token[], fromKey: string, toKey: string, tokenKeys: string[]): RepointPlan {
+  const graph = getDependencyGraph(tokens)
+  const from = graph.tokens[fromKey]
+  const to = graph.tokens[toKey]
+  const selected = new Set(tokenKeys)
+  const conflicts: string[] = []
+
+  if (!from) conflicts.push(`${fromKey} does not exist`)
+  if (!to) conflicts.push(`${toKey} does not exist`)
+  if (from && from === to) conflicts.push('The new target is the token already referenced')
+  if (selected.size === 0) conflicts.push('No tokens selected')
+  if (to && selected.has(toKey)) conflicts.push(`${toKey} cannot reference itself`)
+  if (to) {
+    // The new target must not depend on a token that will reference it
+    getDependencyChain(graph, toKey, 'upstream')
+      .filter(({ key }) => selected.has(key))
+      .forEach(({ key }) => conflicts.push(`${toKey} depends on ${key}, so ${key} cannot reference it`))
+  }
+  if (conflicts.length > 0) {
+    return { rewrites: [], conflicts, tokens }
+  }
+
+  const resolver = getAliasResolver(tokens)
+  const rewrites: ReferenceRewrite[] = []
+
+  const repointed = tokens.map(token => {
+    if (!selected.has(getTokenKey(token))) return token
+
+    const collection = getTokenCollectionName(token)
+    const rewritten = rewriteReferences(token, reference => {
+      const target = resolver.lookup(reference, collection).target
+      return target === from ? referenceFrom(resolver, to, collection) : undefined
+    })
+
+    if (!rewritten) return token
+    rewrites.push(rewritten)
+    return rewritten.token
+  })
+
+  return { rewrites, conflicts, tokens: repointed }
+}
+
+/**
+ * Add a plan's moves to the renames made so far. Earlier renames of a moved
+ * token now lead to its new location, so a chain of renames keeps only its
+ * first location; renaming a token back drops the entry.
+ */
+export function recordRenames(renamed: RenamedToken[], plan: RenamePlan): RenamedToken[] {
+  const moves = new Map(plan.moves.map(({ from, to }) => [
+    getTokenKey(from),
+    { collection: getTokenCollectionName(to), path: to.path }
+  ]))
+
+  const renamedTo = new Set(renamed.map(entry => toKey(entry.to)))
+  const updated = renamed.map(entry => ({ ...entry, to: moves.get(toKey(entry.to)) ?? entry.to }))
+  plan.moves.forEach(({ from }) => {
+    const key = getTokenKey(from)
+    if (!renamedTo.has(key)) {
+      updated.push({ from: { collection: getTokenCollectionName(from), path: from.path }, to: moves.get(key)! })
+    }
+  })
+
+  // One entry per old location, the latest winning
+  const byOldKey = new Map(updated.map(entry => [toKey(entry.from), entry]))
+  return [...byOldKey.values()].filter(entry => toKey(entry.from) !== toKey(entry.to))
+}
+
+/**
+ * Tokens plus a deprecated alias at the old location of every renamed token
+ * in the set, unless another token took that location since
+ */
+export function withDeprecatedAliases(tokens: Token[], renamed: RenamedToken[]): Token[] {
+  const tokensByKey = new Map(tokens.map(token => [getTokenKey(token), token]))
+
+  const aliases = renamed.flatMap(({ from, to }): Token[] => {
+    const target = tokensByKey.get(toKey(to))
+    if (!target || tokensByKey.has(toKey(from))) return []
+
+    const reference = `{${toKey(to)}}`
+    const modeValues = target.modeValues && Object.fromEntries(Object.keys(target.modeValues).map(mode => [mode, reference]))
+    // The alias takes the target's value with its color modifier already applied
+    return [{
+      ...target,
+      extensions: withoutColorModifier(target.extensions),
+      collection: from.collection,
+      path: from.path,
+      name: from.path.split('.').pop()!,
+      value: reference,
+      ...(modeValues && { modeValues }),
+      description: `Deprecated: renamed to ${toKey(to)}`,
+      deprecated: `Use ${toKey(to)} instead`
+    } as Token]
+  })
+
+  return [...tokens, ...aliases]
+}
+
+// Rewrite the references in every value of a token. `replace` gives the new
+// reference, or undefined to keep it; undefined when nothing changed.
+function rewriteReferences(token: Token, replace: (reference: string) => string | undefined): ReferenceRewrite | undefined {
+  const references: ReferenceRewrite['references'] = []
+
+  const rewrite = (text: string) => text.replace(ALIAS_REGEX, (original, reference: string) => {
+    const next = replace(reference)
+    if (next === undefined) return original
+
+    const after = `{${next}}`
+    if (!references.some(entry => entry.before === original && entry.after === after)) {
+      references.push({ before: original, after })
+    }
+    return after
+  })
+
+  const value = mapValueStrings(token.value, rewrite)
+  const modeValues = token.modeValues && mapValueStrings(token.modeValues, rewrite)
+  // A color modifier's amount and mix color may reference tokens too
+  const extensions = mapColorModifierStrings(token.extensions, rewrite)
+  if (references.length === 0) return undefined
+
+  return {
+    token: { ...token, value, ...(modeValues && { modeValues }), ...(extensions && { extensions }) } as Token,
+    references
+  }
+}
+
+// How a token in `collection` refers to a target: by its bare path while that
+// finds it, otherwise by its `collection.path` key
+function referenceFrom(resolver: AliasResolver, target: Token, collection: string): string | undefined {
+  if (resolver.lookup(target.path, collection).target === target) return target.path
+  const key = getTokenKey(target)
+  return resolver.lookup(key, collection).target === target ? key : undefined
+}
+
+function toKey(location: TokenLocation): string {
+  return `${location.collection}.${location.path}`
+}
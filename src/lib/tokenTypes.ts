@@ -0,0 +1,120 @@
+import { Token, TokenType } from '@/types/token'
+
+/**
+ * Token types
+ * Every type a token can have, the W3C / Token Studio `$type` each one is
+ * read from and written as, and how the UI labels it.
+ */
+
+export const TOKEN_TYPES: TokenType[] = [
+  'COLOR',
+  'DIMENSION',
+  'SPACING',
+  'BORDER_RADIUS',
+  'OPACITY',
+  'NUMBER',
+  'TYPOGRAPHY',
+  'FONT_FAMILY',
+  'FONT_WEIGHT',
+  'SHADOW',
+  'BORDER',
+  'STROKE_STYLE',
+  'GRADIENT',
+  'DURATION',
+  'CUBIC_BEZIER',
+  'TRANSITION',
+  'BOOLEAN',
+  'STRING',
+  'UNKNOWN'
+]
+
+// `$type` written for each type; UNKNOWN tokens keep their own
+const TYPE_NAMES: Record<Exclude<TokenType, 'UNKNOWN'>, string> = {
+  COLOR: 'color',
+  DIMENSION: 'dimension',
+  SPACING: 'spacing',
+  BORDER_RADIUS: 'borderRadius',
+  OPACITY: 'opacity',
+  NUMBER: 'number',
+  TYPOGRAPHY: 'typography',
+  FONT_FAMILY: 'fontFamily',
+  FONT_WEIGHT: 'fontWeight',
+  SHADOW: 'shadow',
+  BORDER: 'border',
+  STROKE_STYLE: 'strokeStyle',
+  GRADIENT: 'gradient',
+  DURATION: 'duration',
+  CUBIC_BEZIER: 'cubicBezier',
+  TRANSITION: 'transition',
+  BOOLEAN: 'boolean',
+  STRING: 'string'
+}
+
+// Lowercase `$type` (W3C, Token Studio and older spellings) → type
+const TYPES_BY_NAME: Record<string, TokenType> = {
+  ...Object.fromEntries(Object.entries(TYPE_NAMES).map(([type, name]) => [name.toLowerCase(), type as TokenType])),
+  sizing: 'DIMENSION',
+  boxshadow: 'SHADOW',
+  // Token Studio's single typography properties
+  fontsize: 'TYPOGRAPHY',
+  fontsizes: 'TYPOGRAPHY',
+  lineheight: 'TYPOGRAPHY',
+  lineheights: 'TYPOGRAPHY',
+  letterspacing: 'TYPOGRAPHY',
+  paragraphspacing: 'TYPOGRAPHY',
+  textcase: 'TYPOGRAPHY',
+  textdecoration: 'TYPOGRAPHY',
+  fontfamilies: 'FONT_FAMILY',
+  fontweights: 'FONT_WEIGHT',
+  text: 'STRING'
+}
+
+const TYPE_COLORS: Record<TokenType, string> = {
+  COLOR: '#3b82f6',
+  DIMENSION: '#10b981',
+  SPACING: '#f59e0b',
+  BORDER_RADIUS: '#06b6d4',
+  OPACITY: '#64748b',
+  NUMBER: '#14b8a6',
+  TYPOGRAPHY: '#8b5cf6',
+  FONT_FAMILY: '#a855f7',
+  FONT_WEIGHT: '#c084fc',
+  SHADOW: '#6366f1',
+  BORDER: '#0ea5e9',
+  STROKE_STYLE: '#0284c7',
+  GRADIENT: '#ec4899',
+  DURATION: '#ef4444',
+  CUBIC_BEZIER: '#f97316',
+  TRANSITION: '#e11d48',
+  BOOLEAN: '#84cc16',
+  STRING: '#78716c',
+  UNKNOWN: '#64748b'
+}
+
+/**
+ * Type of a `$type` name; names the app does not know are UNKNOWN
+ */
+export function mapTokenType(name: string): TokenType {
+  return TYPES_BY_NAME[name.trim().toLowerCase()] ?? 'UNKNOWN'
+}
+
+/**
+ * `$type` to write for a token
+ */
+export function getTokenTypeName(token: Pick<Token, 'type' | 'sourceType'>): string {
+  return token.type === 'UNKNOWN' ? token.sourceType ?? 'string' : TYPE_NAMES[token.type]
+}
+
+/**
+ * Label shown for a token's type, e.g. `border radius`
+ */
+export function getTokenTypeLabel(token: Pick<Token, 'type' | 'sourceType'>): string {
+  return token.type === 'UNKNOWN' ? token.sourceType ?? 'unknown' : token.type.toLowerCase().replace('_', ' ')
+}
+
+/**
+ * Badge color of a type
+ */
+export function getTokenTypeColor(type: string): string {
+  return TYPE_COLORS[type as TokenType] ?? TYPE_COLORS.UNKNOWN
+}
@@ -1,4 +1,6 @@
 import { Token } from '@/types/token'
+import { createToken, parseTypographyValue } from '@/lib/tokenValues'
+import { mapTokenType } from '@/lib/tokenTypes'
 
 export interface TokenAnalysis {
   isTokenStudio: boolean
@@ -11,6 +13,22 @@ export interface TokenAnalysis {
   structure: Record<string, any>
 }
 
+// How a Token Studio theme uses a token set
+export type TokenSetStatus = 'enabled' | 'source' | 'disabled'
+
+export interface TokenStudioTheme {
+  id?: string
+  name: string
+  group?: string
+  selectedTokenSets: Record<string, TokenSetStatus>
+}
+
+// Theme configuration read from `$themes` and `$metadata.tokenSetOrder`
+export interface TokenStudioThemeSetup {
+  tokenSetOrder: string[]
+  themes: TokenStudioTheme[]
+}
+
 export class TokenUtils {
   /**
    * Detect if JSON data is in Token Studio format
@@ -61,8 +79,13 @@ export class TokenUtils {
     
     // Process each top-level key (excluding special Token Studio keys)
     Object.keys(tokenStudioData).forEach(key => {
+      if (key === '$themes' || key === '$metadata') {
+        // Preserve Token Studio theme and set order metadata as-is
+        converted[key] = tokenStudioData[key]
+        return
+      }
+      
       if (key.startsWith('$')) {
-        // Preserve Token Studio metadata but don't convert
         return
       }
       
@@ -72,6 +95,191 @@ export class TokenUtils {
     return converted
   }
 
+  /**
+   * Read the theme setup of a multi-set Token Studio file.
+   * Returns null when the file has no `$themes` or `$metadata`.
+   * Sets missing from `tokenSetOrder` are appended in file order.
+   */
+  static readTokenStudioThemes(jsonData: unknown): TokenStudioThemeSetup | null {
+    if (!jsonData || typeof jsonData !== 'object') {
+      return null
+    }
+    
+    const data = jsonData as { $themes?: unknown; $metadata?: { tokenSetOrder?: unknown } }
+    if (!data.$themes && !data.$metadata) {
+      return null
+    }
+    
+    const fileSets = Object.keys(data).filter(key => !key.startsWith('$'))
+    const declaredOrder: unknown[] = Array.isArray(data.$metadata?.tokenSetOrder) ? data.$metadata.tokenSetOrder : []
+    const tokenSetOrder = declaredOrder.filter((set): set is string => typeof set === 'string' && fileSets.includes(set))
+    fileSets.forEach(set => {
+      if (!tokenSetOrder.includes(set)) tokenSetOrder.push(set)
+    })
+    
+    const rawThemes: unknown[] = Array.isArray(data.$themes) ? data.$themes : []
+    const themes: TokenStudioTheme[] = rawThemes
+      .filter(isTokenStudioTheme)
+      .map(theme => ({
+        id: theme.id,
+        name: theme.name,
+        group: theme.group,
+        selectedTokenSets: theme.selectedTokenSets
+      }))
+    
+    return { tokenSetOrder, themes }
+  }
+
+  /**
+   * Work out the collection of every token set. Sets that define the same
+   * paths but are never used (enabled or source) by the same theme, like
+   * `light` and `dark`, are alternatives of one another: they share a
+   * collection, so a reference such as `{bg.default}` has a single target
+   * whose value changes with the theme. Other sets keep their own name.
+   */
+  static getThemeCollections(
+    setup: TokenStudioThemeSetup,
+    tokens: { collection: string; path: string }[]
+  ): Record<string, string> {
+    const pathsBySet = new Map<string, Set<string>>()
+    tokens.forEach(token => {
+      const paths = pathsBySet.get(token.collection)
+      if (paths) paths.add(token.path)
+      else pathsBySet.set(token.collection, new Set([token.path]))
+    })
+    const sharesPath = (a: string, b: string) => {
+      const paths = pathsBySet.get(b)
+      return [...pathsBySet.get(a) ?? []].some(path => paths?.has(path))
+    }
+    
+    const usedSets = (theme: TokenStudioTheme) =>
+      setup.tokenSetOrder.filter(set => theme.selectedTokenSets[set] === 'enabled' || theme.selectedTokenSets[set] === 'source')
+    const themeSets = setup.themes.map(usedSets)
+    const sets = setup.tokenSetOrder.filter(set => pathsBySet.has(set) && themeSets.some(used => used.includes(set)))
+    
+    // Grow groups in set order; a set joins the first group it overlaps
+    // with as long as no theme would end up using two of its members
+    const groups: string[][] = []
+    sets.forEach(set => {
+      const group = groups.find(members =>
+        members.some(member => sharesPath(set, member)) &&
+        !themeSets.some(used => used.includes(set) && members.some(member => used.includes(member)))
+      )
+      if (group) group.push(set)
+      else groups.push([set])
+    })
+    
+    const collections: Record<string, string> = {}
+    pathsBySet.forEach((_, set) => {
+      collections[set] = set
+    })
+    groups.filter(members => members.length > 1).forEach(members => {
+      // `theme/light` + `theme/dark` -> `theme`, otherwise `light-dark`
+      const folders = members.map(member => member.split('/'))
+      const shared: string[] = []
+      for (const segment of folders[0]) {
+        if (!folders.every(folder => folder[shared.length] === segment)) break
+        shared.push(segment)
+      }
+      let name = shared.length > 0 ? shared.join('/') : members.join('-')
+      while (pathsBySet.has(name) && !members.includes(name)) {
+        name = `${name}-themes`
+      }
+      members.forEach(member => {
+        collections[member] = name
+      })
+    })
+    
+    return collections
+  }
+
+  /**
+   * Apply a Token Studio theme setup to tokens parsed with one collection per token set.
+   *
+   * - Token sets are grouped into collections by `getThemeCollections`;
+   *   a path defined by several sets of a group becomes a single token.
+   * - Each theme becomes a mode of every collection it uses. A token's value
+   *   in that mode comes from the last enabled set (in `tokenSetOrder`)
+   *   defining the same path, which is how Token Studio layers sets, or else
+   *   from the set of its collection the theme uses as source.
+   * - Collections no theme enables (only used as `source`, or never used) are
+   *   kept as reference-only so aliases into them still resolve.
+   */
+  static applyTokenStudioThemes(tokens: Token[], setup: TokenStudioThemeSetup): {
+    tokens: Token[]
+    collectionModes: Record<string, string[]>
+  } {
+    const setIndex = (set: string) => {
+      const index = setup.tokenSetOrder.indexOf(set)
+      return index === -1 ? setup.tokenSetOrder.length : index
+    }
+    const orderedTokens = [...tokens].sort((a, b) => setIndex(a.collection) - setIndex(b.collection))
+    
+    if (setup.themes.length === 0) {
+      return { tokens: orderedTokens, collectionModes: {} }
+    }
+    
+    // Theme names can repeat across theme groups; prefix the group only then
+    const modeName = (theme: TokenStudioTheme) =>
+      theme.group && setup.themes.filter(other => other.name === theme.name).length > 1
+        ? `${theme.group}/${theme.name}`
+        : theme.name
+    
+    const tokensBySet = new Map<string, Map<string, Token>>()
+    orderedTokens.forEach(token => {
+      if (!tokensBySet.has(token.collection)) {
+        tokensBySet.set(token.collection, new Map())
+      }
+      tokensBySet.get(token.collection)!.set(token.path, token)
+    })
+    
+    const collections = TokenUtils.getThemeCollections(setup, orderedTokens)
+    const setsWithStatus = (theme: TokenStudioTheme, status: TokenSetStatus) =>
+      setup.tokenSetOrder.filter(set => theme.selectedTokenSets[set] === status)
+    const inCollection = (collection: string) => (set: string) => collections[set] === collection
+    
+    const collectionModes: Record<string, string[]> = {}
+    const seen = new Set<string>()
+    const themedTokens: Token[] = []
+    orderedTokens.forEach(token => {
+      const collection = collections[token.collection] ?? token.collection
+      const key = `${collection}.${token.path}`
+      if (seen.has(key)) return
+      seen.add(key)
+      
+      const enabledThemes = setup.themes.filter(theme => setsWithStatus(theme, 'enabled').some(inCollection(collection)))
+      if (enabledThemes.length === 0 && collection === token.collection) {
+        themedTokens.push({ ...token, referenceOnly: true })
+        return
+      }
+      
+      const themes = setup.themes.filter(theme =>
+        setsWithStatus(theme, 'enabled').some(inCollection(collection)) ||
+        setsWithStatus(theme, 'source').some(inCollection(collection))
+      )
+      collectionModes[collection] = themes.map(modeName)
+      
+      const definesPath = (set: string) => tokensBySet.get(set)?.get(token.path)?.type === token.type
+      const modeValues: Record<string, unknown> = {}
+      themes.forEach(theme => {
+        const winningSet = setsWithStatus(theme, 'enabled').reverse().find(definesPath) ??
+          setsWithStatus(theme, 'source').filter(inCollection(collection)).find(definesPath)
+        const winner = winningSet ? tokensBySet.get(winningSet)!.get(token.path)! : token
+        modeValues[modeName(theme)] = winner.value
+      })
+      
+      themedTokens.push(createToken({
+        ...token,
+        collection,
+        value: token.value,
+        modeValues,
+        ...(enabledThemes.length === 0 && { referenceOnly: true })
+      }))
+    })
+    
+    return { tokens: themedTokens, collectionModes }
+  }
+
   /**
    * Convert a Token Studio group/token recursively
    */
@@ -142,17 +350,8 @@ export class TokenUtils {
         return value
         
       case 'typography':
-        // Typography objects should be converted to proper structure
-        if (typeof value === 'object') {
-          const converted: any = {}
-          if (value.fontFamily) converted.fontFamily = value.fontFamily
-          if (value.fontWeight) converted.fontWeight = value.fontWeight
-          if (value.fontSize) converted.fontSize = `${value.fontSize}px`
-          if (value.lineHeight) converted.lineHeight = value.lineHeight
-          if (value.letterSpacing) converted.letterSpacing = `${value.letterSpacing}px`
-          return converted
-        }
-        return value
+        // Same composite reading as the import pipeline
+        return parseTypographyValue(value) ?? value
         
       default:
         return value
@@ -253,24 +452,24 @@ export class TokenUtils {
       if (value && typeof value === 'object') {
         if ('$type' in value && '$value' in value) {
           // W3C Design Token format
-          tokens.push({
+          tokens.push(createToken({
             name: key,
             path: currentPath,
             type: this.mapTokenType(String(value.$type)),
-            value: String(value.$value),
+            value: value.$value,
             collection,
             description: (value as any).$description
-          })
+          }))
         } else if ('type' in value && 'value' in value) {
           // Token Studio format (shouldn't happen after conversion, but handle it)
-          tokens.push({
+          tokens.push(createToken({
             name: key,
             path: currentPath,
             type: this.mapTokenType(String(value.type)),
-            value: String(value.value),
+            value: value.value,
             collection,
             description: (value as any).description
-          })
+          }))
         } else {
           // Continue recursion
           this.parseObjectRecursive(value, currentPath, collection, tokens)
@@ -283,29 +482,7 @@ export class TokenUtils {
    * Map token type strings to our Token type enum
    */
   static mapTokenType(type: string): Token['type'] {
-    switch (type?.toLowerCase()) {
-      case 'color':
-        return 'COLOR'
-      case 'dimension':
-      case 'sizing':
-        return 'DIMENSION'
-      case 'fontfamily':
-      case 'fontweight':
-      case 'fontsize':
-      case 'typography':
-        return 'TYPOGRAPHY'
-      case 'spacing':
-        return 'SPACING'
-      case 'borderradius':
-        return 'BORDER_RADIUS'
-      case 'opacity':
-        return 'OPACITY'
-      case 'boxshadow':
-      case 'shadow':
-        return 'SHADOW'
-      default:
-        return 'COLOR'
-    }
+    return mapTokenType(type ?? '')
   }
 
   /**
@@ -334,4 +511,10 @@ export class TokenUtils {
     }
     return value
   }
-}
\ No newline at end of file
+}
+
+function isTokenStudioTheme(value: unknown): value is TokenStudioTheme {
+  if (!value || typeof value !== 'object') return false
+  const theme = value as Record<string, unknown>
+  return typeof theme.name === 'string' && typeof theme.selectedTokenSets === 'object' && theme.selectedTokenSets !== null
+}
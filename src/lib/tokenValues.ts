@@ -0,0 +1,735 @@
+import {
+  AnyTokenValue,
+  BorderValue,
+  CubicBezierValue,
+  GradientStopValue,
+  ModeValues,
+  ShadowLayerValue,
+  StrokeStyleValue,
+  Token,
+  TokenType,
+  TokenValueByType,
+  TransitionValue,
+  TypographyValue
+} from '@/types/token'
+
+/**
+ * Typed token value helpers
+ * Normalizes raw JSON values into the per-type value model and renders them
+ * back to display strings or CSS without losing their structure.
+ */
+
+export const TYPOGRAPHY_FIELDS: (keyof TypographyValue)[] = [
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'lineHeight',
+  'letterSpacing',
+  'paragraphSpacing',
+  'paragraphIndent',
+  'textCase',
+  'textDecoration'
+]
+
+// Token types a typography sub-field may reference. Token Studio's single
+// typography properties (fontSizes, lineHeights…) are TYPOGRAPHY tokens.
+export const TYPOGRAPHY_FIELD_TYPES: Record<keyof TypographyValue, TokenType[]> = {
+  fontFamily: ['FONT_FAMILY', 'TYPOGRAPHY', 'STRING'],
+  fontSize: ['DIMENSION', 'TYPOGRAPHY', 'NUMBER'],
+  fontWeight: ['FONT_WEIGHT', 'TYPOGRAPHY', 'NUMBER'],
+  lineHeight: ['DIMENSION', 'TYPOGRAPHY', 'NUMBER'],
+  letterSpacing: ['DIMENSION', 'TYPOGRAPHY', 'NUMBER'],
+  paragraphSpacing: ['DIMENSION', 'TYPOGRAPHY', 'NUMBER'],
+  paragraphIndent: ['DIMENSION', 'TYPOGRAPHY', 'NUMBER'],
+  textCase: ['TYPOGRAPHY', 'STRING'],
+  textDecoration: ['TYPOGRAPHY', 'STRING']
+}
+
+// Numeric weight of each named font weight (W3C and Token Studio names)
+export const FONT_WEIGHT_VALUES: Record<string, number> = {
+  'thin': 100,
+  'hairline': 100,
+  'extra-light': 200,
+  'ultra-light': 200,
+  'light': 300,
+  'normal': 400,
+  'regular': 400,
+  'book': 400,
+  'medium': 500,
+  'semi-bold': 600,
+  'demi-bold': 600,
+  'bold': 700,
+  'extra-bold': 800,
+  'ultra-bold': 800,
+  'black': 900,
+  'heavy': 900,
+  'extra-black': 950,
+  'ultra-black': 950
+}
+
+export const SHADOW_FIELDS: (keyof ShadowLayerValue)[] = ['color', 'offsetX', 'offsetY', 'blur', 'spread', 'inset']
+
+// Token types a shadow layer field may reference
+export const SHADOW_FIELD_TYPES: Record<keyof ShadowLayerValue, TokenType[]> = {
+  color: ['COLOR'],
+  offsetX: ['DIMENSION', 'NUMBER'],
+  offsetY: ['DIMENSION', 'NUMBER'],
+  blur: ['DIMENSION', 'NUMBER'],
+  spread: ['DIMENSION', 'NUMBER'],
+  inset: ['BOOLEAN']
+}
+
+export const BORDER_FIELDS: (keyof BorderValue)[] = ['color', 'width', 'style']
+
+// Token types a border field may reference
+export const BORDER_FIELD_TYPES: Record<keyof BorderValue, TokenType[]> = {
+  color: ['COLOR'],
+  width: ['DIMENSION', 'NUMBER'],
+  style: ['STROKE_STYLE']
+}
+
+// Token types a gradient stop field may reference; positions are 0-1 fractions
+export const GRADIENT_STOP_FIELD_TYPES: Record<keyof GradientStopValue, TokenType[]> = {
+  color: ['COLOR'],
+  position: ['NUMBER']
+}
+
+export const TRANSITION_FIELDS: (keyof TransitionValue)[] = ['duration', 'delay', 'timingFunction']
+
+// Token types a transition field may reference
+export const TRANSITION_FIELD_TYPES: Record<keyof TransitionValue, TokenType[]> = {
+  duration: ['DURATION'],
+  delay: ['DURATION'],
+  timingFunction: ['CUBIC_BEZIER']
+}
+
+// CSS easing keywords as cubic Bézier points
+const EASING_KEYWORDS: Record<string, [number, number, number, number]> = {
+  'linear': [0, 0, 1, 1],
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+}
+
+// W3C strokeStyle keywords
+export const STROKE_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset']
+
+// Types whose bare numbers are pixel lengths in CSS
+const LENGTH_TYPES: TokenType[] = ['DIMENSION', 'SPACING', 'BORDER_RADIUS']
+
+// CSS property names for typography sub-fields
+const TYPOGRAPHY_CSS_PROPERTIES: Record<keyof TypographyValue, string> = {
+  fontFamily: 'font-family',
+  fontSize: 'font-size',
+  fontWeight: 'font-weight',
+  lineHeight: 'line-height',
+  letterSpacing: 'letter-spacing',
+  paragraphSpacing: 'paragraph-spacing',
+  paragraphIndent: 'text-indent',
+  textCase: 'text-transform',
+  textDecoration: 'text-decoration'
+}
+
+// Other spellings of typography fields: Token Studio plurals and CSS names
+const TYPOGRAPHY_FIELD_SPELLINGS: Record<string, keyof TypographyValue> = {
+  ...Object.fromEntries(TYPOGRAPHY_FIELDS.map(field => [field.toLowerCase(), field])),
+  fontfamilies: 'fontFamily',
+  fontsizes: 'fontSize',
+  fontweights: 'fontWeight',
+  lineheights: 'lineHeight',
+  texttransform: 'textCase',
+  textindent: 'paragraphIndent'
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+// An object with some of the given fields and nothing else
+function hasOnlyFields(value: unknown, fields: string[]): boolean {
+  if (!isPlainObject(value)) return false
+  const keys = Object.keys(value)
+  return keys.length > 0 && keys.every(key => fields.includes(key))
+}
+
+/**
+ * Check if a value is a composite typography object
+ */
+export function isTypographyValue(value: unknown): value is TypographyValue {
+  return hasOnlyFields(value, TYPOGRAPHY_FIELDS)
+}
+
+/**
+ * Typography field a key stands for, e.g. `fontSizes` or `font-size`
+ */
+export function getTypographyField(key: string): keyof TypographyValue | undefined {
+  const spelling = key.replace(/[-_\s]/g, '').toLowerCase()
+  return Object.hasOwn(TYPOGRAPHY_FIELD_SPELLINGS, spelling) ? TYPOGRAPHY_FIELD_SPELLINGS[spelling] : undefined
+}
+
+/**
+ * Read a composite typography object written with any field spelling.
+ * Keys that are no typography field are left out; undefined when none is.
+ */
+export function parseTypographyValue(value: unknown): TypographyValue | undefined {
+  if (!isPlainObject(value)) return undefined
+
+  const typography: Record<string, unknown> = {}
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    const field = getTypographyField(key)
+    if (!field || fieldValue == null) return
+    // W3C dimension objects: { value: 16, unit: 'px' }
+    typography[field] = isPlainObject(fieldValue) && typeof fieldValue.value === 'number' && typeof fieldValue.unit === 'string'
+      ? `${fieldValue.value}${fieldValue.unit}`
+      : fieldValue
+  })
+
+  return Object.keys(typography).length > 0 ? typography as TypographyValue : undefined
+}
+
+/**
+ * Check if a value is a single shadow layer
+ */
+export function isShadowLayer(value: unknown): value is ShadowLayerValue {
+  return hasOnlyFields(value, SHADOW_FIELDS)
+}
+
+/**
+ * Read a shadow as layers: W3C layers (one or a list), Token Studio layers
+ * ({ x, y, blur, spread, color, type: 'innerShadow' }) or a CSS box-shadow.
+ * Undefined for anything else, including references and `none`.
+ */
+export function parseShadowValue(value: unknown): ShadowLayerValue[] | undefined {
+  if (typeof value === 'string') {
+    if (value.includes('{')) return undefined
+    const layers = splitOutsideParentheses(value, ',').map(parseCssShadowLayer)
+    return layers.every(layer => layer !== undefined) ? layers as ShadowLayerValue[] : undefined
+  }
+
+  const items = Array.isArray(value) ? value : [value]
+  if (items.length === 0) return undefined
+  const layers = items.map(parseShadowLayer)
+  return layers.every(layer => layer !== undefined) ? layers as ShadowLayerValue[] : undefined
+}
+
+function parseShadowLayer(value: unknown): ShadowLayerValue | undefined {
+  if (!isPlainObject(value) || typeof value.color !== 'string') return undefined
+  const keys = Object.keys(value)
+  const isTokenStudio = keys.every(key => ['x', 'y', 'blur', 'spread', 'color', 'type'].includes(key))
+  if (!isTokenStudio && !isShadowLayer(value)) return undefined
+
+  // Missing lengths are 0
+  const length = (length: unknown): string | number => toLength(length) ?? 0
+
+  const layer: ShadowLayerValue = isTokenStudio
+    ? { color: value.color, offsetX: length(value.x), offsetY: length(value.y), blur: length(value.blur), spread: length(value.spread) }
+    : { color: value.color, offsetX: length(value.offsetX), offsetY: length(value.offsetY), blur: length(value.blur), spread: length(value.spread) }
+  const inset = isTokenStudio ? value.type === 'innerShadow' : value.inset
+  if (inset === true || typeof inset === 'string') {
+    layer.inset = inset
+  }
+  return layer
+}
+
+// One layer of a CSS box-shadow: `[inset] x y [blur [spread]] color`
+function parseCssShadowLayer(text: string): ShadowLayerValue | undefined {
+  const parts = splitOutsideParentheses(text.trim(), ' ').filter(part => part !== '')
+  const inset = parts.includes('inset')
+  const lengths = parts.filter(part => /^-?\d*\.?\d+(px|rem|em)?$/.test(part))
+  const colors = parts.filter(part => part !== 'inset' && !lengths.includes(part))
+  if (lengths.length < 2 || lengths.length > 4 || colors.length !== 1) return undefined
+
+  const [offsetX, offsetY, blur = '0', spread = '0'] = lengths
+  return { color: colors[0], offsetX, offsetY, blur, spread, ...(inset && { inset }) }
+}
+
+// Split a text at a separator that is not inside parentheses, e.g. rgba(…)
+function splitOutsideParentheses(text: string, separator: string): string[] {
+  const parts: string[] = []
+  let depth = 0
+  let current = ''
+  for (const char of text) {
+    if (char === '(') depth++
+    if (char === ')') depth--
+    if (char === separator && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  parts.push(current.trim())
+  return parts
+}
+
+/**
+ * Read a border object, with W3C dimension objects as width strings.
+ * Undefined for anything else, including references and CSS shorthands.
+ */
+export function parseBorderValue(value: unknown): BorderValue | undefined {
+  if (!isBorderValue(value) || typeof value.color !== 'string') return undefined
+  const width = toLength(value.width)
+  const style = typeof value.style === 'string' || isStrokeStyleValue(value.style) ? value.style : 'solid'
+  return width === undefined ? undefined : { color: value.color, width, style }
+}
+
+/**
+ * Read a gradient as its stops, with missing positions spread evenly.
+ * Undefined for anything else, including references and CSS gradients.
+ */
+export function parseGradientValue(value: unknown): GradientStopValue[] | undefined {
+  if (!Array.isArray(value) || value.length === 0) return undefined
+  if (!value.every(stop => isPlainObject(stop) && typeof stop.color === 'string')) return undefined
+
+  return value.map((stop: Record<string, unknown>, index) => ({
+    color: stop.color as string,
+    position: toLength(stop.position) ?? (value.length === 1 ? 0 : index / (value.length - 1))
+  }))
+}
+
+/**
+ * Read a transition, with W3C duration objects as strings.
+ * Undefined for anything else, including references.
+ */
+export function parseTransitionValue(value: unknown): TransitionValue | undefined {
+  if (!isTransitionValue(value)) return undefined
+  const duration = toLength(value.duration)
+  const delay = toLength(value.delay)
+  const timingFunction = value.timingFunction
+  if (duration === undefined || !(typeof timingFunction === 'string' || isCubicBezierValue(timingFunction))) {
+    return undefined
+  }
+  return { duration, ...(delay !== undefined && { delay }), timingFunction }
+}
+
+/**
+ * The four points of an easing: a cubic Bézier, `cubic-bezier(…)` or a CSS
+ * keyword such as `ease-out`. Undefined for references and other easings.
+ */
+export function getCubicBezierPoints(value: unknown): [number, number, number, number] | undefined {
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase()
+    if (Object.hasOwn(EASING_KEYWORDS, text)) return EASING_KEYWORDS[text]
+    const match = text.match(/^cubic-bezier\((.*)\)$/)
+    return match ? getCubicBezierPoints(match[1].split(',').map(point => point.trim())) : undefined
+  }
+  if (!isCubicBezierValue(value)) return undefined
+  // References and other text are no points
+  const points = value.map(point => typeof point === 'number' ? point : /^-?\d*\.?\d+$/.test(point) ? Number(point) : NaN)
+  return points.every(Number.isFinite) ? points as [number, number, number, number] : undefined
+}
+
+// A W3C dimension or duration object: { value: 16, unit: 'px' }
+function isDimensionObject(value: unknown): value is { value: number; unit: string } {
+  return isPlainObject(value) && typeof value.value === 'number' && typeof value.unit === 'string'
+}
+
+// A length as a string or number; W3C dimension objects become strings
+function toLength(value: unknown): string | number | undefined {
+  if (isDimensionObject(value)) {
+    return `${value.value}${value.unit}`
+  }
+  return typeof value === 'string' || typeof value === 'number' ? value : undefined
+}
+
+/**
+ * Token types a sub-field of a composite value may reference, e.g. COLOR for
+ * a shadow's `color`; undefined when the type has no such field
+ */
+export function getValueFieldTypes(type: TokenType, key: string): TokenType[] | undefined {
+  switch (type) {
+    case 'TYPOGRAPHY': {
+      const field = getTypographyField(key)
+      return field && TYPOGRAPHY_FIELD_TYPES[field]
+    }
+    case 'SHADOW':
+      return Object.hasOwn(SHADOW_FIELD_TYPES, key) ? SHADOW_FIELD_TYPES[key as keyof ShadowLayerValue] : undefined
+    case 'TRANSITION':
+      return Object.hasOwn(TRANSITION_FIELD_TYPES, key) ? TRANSITION_FIELD_TYPES[key as keyof TransitionValue] : undefined
+    case 'BORDER':
+      return Object.hasOwn(BORDER_FIELD_TYPES, key) ? BORDER_FIELD_TYPES[key as keyof BorderValue] : undefined
+    case 'GRADIENT':
+      return Object.hasOwn(GRADIENT_STOP_FIELD_TYPES, key) ? GRADIENT_STOP_FIELD_TYPES[key as keyof GradientStopValue] : undefined
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Check if a value is a cubic Bézier: four numbers (or references)
+ */
+export function isCubicBezierValue(value: unknown): value is CubicBezierValue {
+  return Array.isArray(value) &&
+    value.length === 4 &&
+    value.every(item => typeof item === 'number' || typeof item === 'string')
+}
+
+/**
+ * Check if a value is a strokeStyle object ({ dashArray, lineCap })
+ */
+export function isStrokeStyleValue(value: unknown): value is StrokeStyleValue {
+  return isPlainObject(value) && Array.isArray(value.dashArray) && typeof value.lineCap === 'string'
+}
+
+/**
+ * Check if a value is a border object
+ */
+export function isBorderValue(value: unknown): value is BorderValue {
+  return hasOnlyFields(value, BORDER_FIELDS)
+}
+
+/**
+ * Check if a value is a transition object
+ */
+export function isTransitionValue(value: unknown): value is TransitionValue {
+  return hasOnlyFields(value, TRANSITION_FIELDS)
+}
+
+/**
+ * Check if a value is a gradient stop ({ color, position })
+ */
+export function isGradientStop(value: unknown): value is GradientStopValue {
+  return isPlainObject(value) && typeof value.color === 'string' && value.position !== undefined
+}
+
+/**
+ * Check if a raw value fits a single (non mode-keyed) value of the given type
+ */
+function isSingleValueOfType(type: TokenType, value: unknown): boolean {
+  switch (type) {
+    case 'COLOR':
+      return typeof value === 'string'
+    case 'DIMENSION':
+    case 'SPACING':
+    case 'BORDER_RADIUS':
+    case 'OPACITY':
+      return typeof value === 'string' || typeof value === 'number'
+    case 'TYPOGRAPHY':
+      return typeof value === 'string' ||
+        typeof value === 'number' ||
+        (Array.isArray(value) && value.every(item => typeof item === 'string')) ||
+        parseTypographyValue(value) !== undefined
+    case 'SHADOW':
+      return typeof value === 'string' || parseShadowValue(value) !== undefined
+    case 'FONT_FAMILY':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+    case 'FONT_WEIGHT':
+    case 'DURATION':
+    case 'NUMBER':
+      return typeof value === 'string' || typeof value === 'number'
+    case 'CUBIC_BEZIER':
+      return typeof value === 'string' || isCubicBezierValue(value)
+    case 'STROKE_STYLE':
+      return typeof value === 'string' || isStrokeStyleValue(value)
+    case 'BORDER':
+      return typeof value === 'string' || parseBorderValue(value) !== undefined
+    case 'TRANSITION':
+      return typeof value === 'string' || parseTransitionValue(value) !== undefined
+    case 'GRADIENT':
+      return typeof value === 'string' || parseGradientValue(value) !== undefined
+    case 'BOOLEAN':
+      return typeof value === 'string' || typeof value === 'boolean'
+    case 'STRING':
+      return typeof value === 'string'
+    case 'UNKNOWN':
+      return value !== null && value !== undefined
+  }
+}
+
+/**
+ * Check if a value is a mode map such as { light: '#fff', dark: '#000' }
+ */
+export function isModeValues<T extends TokenType>(type: T, value: unknown): value is ModeValues<TokenValueByType[T]> {
+  if (!isPlainObject(value) || Object.keys(value).length === 0) return false
+  // A typography object, shadow layer or dimension object is a single value, not a mode map
+  if (isSingleValueOfType(type, value) || isDimensionObject(value)) return false
+  return Object.values(value).every(modeValue => isSingleValueOfType(type, modeValue))
+}
+
+/**
+ * Normalize a raw JSON value into the value model of a token type.
+ * Structured values are kept as-is; only values the type cannot represent
+ * fall back to their string form.
+ */
+export function normalizeTokenValue<T extends TokenType>(type: T, raw: unknown): Token['value'] {
+  const typography = type === 'TYPOGRAPHY' ? parseTypographyValue(raw) : undefined
+  if (typography) {
+    return typography
+  }
+
+  // Shadows are always a list of layers
+  const shadow = type === 'SHADOW' ? parseShadowValue(raw) : undefined
+  if (shadow) {
+    return shadow
+  }
+
+  const border = type === 'BORDER' ? parseBorderValue(raw) : undefined
+  if (border) {
+    return border
+  }
+
+  const gradient = type === 'GRADIENT' ? parseGradientValue(raw) : undefined
+  if (gradient) {
+    return gradient
+  }
+
+  const transition = type === 'TRANSITION' ? parseTransitionValue(raw) : undefined
+  if (transition) {
+    return transition
+  }
+
+  if (isSingleValueOfType(type, raw)) {
+    return raw as Token['value']
+  }
+
+  // W3C dimension objects: { value: 16, unit: 'px' }
+  if (isDimensionObject(raw)) {
+    return `${raw.value}${raw.unit}`
+  }
+
+  return typeof raw === 'object' ? JSON.stringify(raw) : String(raw)
+}
+
+/**
+ * Build a token from loosely typed fields, normalizing its value for the type.
+ * A mode map given as the value, e.g. { light: '#fff', dark: '#000' }, becomes
+ * the token's per-mode values with the first mode as the default value.
+ */
+export function createToken(
+  fields: Omit<Token, 'value' | 'modeValues'> & { value: unknown; modeValues?: Record<string, unknown> }
+): Token {
+  const { value, modeValues, ...rest } = fields
+  const rawModeValues = modeValues ?? (isModeValues(fields.type, value) ? value : undefined)
+
+  if (rawModeValues && Object.keys(rawModeValues).length > 0) {
+    const normalized: Record<string, Token['value']> = {}
+    Object.entries(rawModeValues).forEach(([mode, modeValue]) => {
+      normalized[mode] = normalizeTokenValue(fields.type, modeValue)
+    })
+    return {
+      ...rest,
+      value: Object.values(normalized)[0],
+      modeValues: normalized
+    } as Token
+  }
+
+  return {
+    ...rest,
+    value: normalizeTokenValue(fields.type, value)
+  } as Token
+}
+
+/**
+ * Render any token value as a compact display string
+ */
+export function formatTokenValue(value: AnyTokenValue | unknown): string {
+  if (value == null) return ''
+  if (typeof value === 'string') return value
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+
+  if (Array.isArray(value)) {
+    if (value.every(isShadowLayer)) {
+      return value.map(formatShadowLayer).join(', ')
+    }
+    return value.map(item => formatTokenValue(item)).join(', ')
+  }
+
+  if (isShadowLayer(value)) {
+    return formatShadowLayer(value)
+  }
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Render a value as a CSS literal for the token type
+ */
+export function toCssValue(type: TokenType, value: unknown): string {
+  if (typeof value === 'number' && LENGTH_TYPES.includes(type)) {
+    return `${value}px`
+  }
+
+  if (type === 'FONT_WEIGHT') {
+    return toCssFontWeight(value)
+  }
+
+  if (typeof value === 'number' && type === 'DURATION') {
+    return `${value}ms`
+  }
+
+  if (type === 'CUBIC_BEZIER' && isCubicBezierValue(value)) {
+    return `cubic-bezier(${value.join(', ')})`
+  }
+
+  // A transition shorthand for all properties: duration, easing, delay
+  const transition = type === 'TRANSITION' ? parseTransitionValue(value) : undefined
+  if (transition) {
+    return [
+      toCssValue('DURATION', transition.duration),
+      toCssValue('CUBIC_BEZIER', transition.timingFunction),
+      ...(transition.delay !== undefined ? [toCssValue('DURATION', transition.delay)] : [])
+    ].join(' ')
+  }
+
+  const shadow = type === 'SHADOW' && typeof value !== 'string' ? parseShadowValue(value) : undefined
+  if (shadow) {
+    return shadow.map(formatShadowLayer).join(', ')
+  }
+
+  if (type === 'STROKE_STYLE' && isStrokeStyleValue(value)) {
+    return formatStrokeStyle(value)
+  }
+
+  const border = type === 'BORDER' ? parseBorderValue(value) : undefined
+  if (border) {
+    return `${toCssValue('DIMENSION', border.width)} ${formatStrokeStyle(border.style)} ${border.color}`
+  }
+
+  const gradient = type === 'GRADIENT' ? parseGradientValue(value) : undefined
+  if (gradient) {
+    return `linear-gradient(90deg, ${gradient.map(stop => `${stop.color} ${formatGradientPosition(stop.position)}`).join(', ')})`
+  }
+
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.map(quoteFontFamily).join(', ')
+  }
+
+  return formatTokenValue(value)
+}
+
+/**
+ * Split a value into CSS declarations.
+ * Composite typography expands to one entry per sub-property (suffix is the
+ * CSS property name); every other value is a single entry with an empty suffix.
+ */
+export function toCssDeclarations(type: TokenType, value: unknown): { suffix: string; value: string }[] {
+  if (type === 'TYPOGRAPHY' && isTypographyValue(value)) {
+    return TYPOGRAPHY_FIELDS
+      .filter(field => value[field] !== undefined)
+      .map(field => ({
+        suffix: TYPOGRAPHY_CSS_PROPERTIES[field],
+        value: formatTypographyField(field, value[field])
+      }))
+  }
+
+  return [{ suffix: '', value: toCssValue(type, value) }]
+}
+
+/**
+ * CSS rules that apply a composite typography value, from its declarations
+ * (see toCssDeclarations, values may be references to them): a `font`
+ * shorthand when there is a size and a family, then the properties the
+ * shorthand does not set. Paragraph spacing has no CSS property and is left out.
+ */
+export function toCssTypographyRules(declarations: { suffix: string; value: string }[]): { property: string; value: string }[] {
+  const values = Object.fromEntries(declarations.map(({ suffix, value }) => [suffix, value]))
+  const rules = declarations
+    .filter(({ suffix }) => suffix !== '' && suffix !== 'paragraph-spacing')
+    .map(({ suffix, value }) => ({ property: suffix, value }))
+
+  if (!values['font-size'] || !values['font-family']) return rules
+
+  const font = [
+    values['font-weight'],
+    values['line-height'] ? `${values['font-size']}/${values['line-height']}` : values['font-size'],
+    values['font-family']
+  ].filter(Boolean).join(' ')
+  const shorthand = ['font-family', 'font-size', 'font-weight', 'line-height']
+
+  return [{ property: 'font', value: font }, ...rules.filter(({ property }) => !shorthand.includes(property))]
+}
+
+/**
+ * Apply a function to every string inside a (possibly nested) value
+ */
+export function mapValueStrings<V>(value: V, fn: (text: string) => unknown): V {
+  if (typeof value === 'string') return fn(value) as V
+  if (Array.isArray(value)) return value.map(item => mapValueStrings(item, fn)) as V
+  if (isPlainObject(value)) {
+    const mapped: Record<string, unknown> = {}
+    Object.entries(value).forEach(([key, item]) => {
+      mapped[key] = mapValueStrings(item, fn)
+    })
+    return mapped as V
+  }
+  return value
+}
+
+/**
+ * Collect every string found inside a (possibly nested) value
+ */
+export function collectValueStrings(value: unknown): string[] {
+  if (typeof value === 'string') return [value]
+  if (Array.isArray(value)) return value.flatMap(collectValueStrings)
+  if (isPlainObject(value)) return Object.values(value).flatMap(collectValueStrings)
+  return []
+}
+
+function formatShadowLayer(layer: ShadowLayerValue): string {
+  const lengths = [layer.offsetX, layer.offsetY, layer.blur, layer.spread ?? 0]
+    .map(length => typeof length === 'number' ? `${length}px` : length)
+  const inset = layer.inset === true || layer.inset === 'true'
+  return `${inset ? 'inset ' : ''}${lengths.join(' ')} ${layer.color}`
+}
+
+// CSS has no dash patterns: strokeStyle objects are written as dashed
+function formatStrokeStyle(style: string | StrokeStyleValue): string {
+  return typeof style === 'string' ? style : 'dashed'
+}
+
+// Stop positions are 0-1 fractions; references are scaled in calc()
+function formatGradientPosition(position: string | number): string {
+  const text = String(position).trim()
+  if (/^-?\d*\.?\d+$/.test(text)) return `${parseFloat((Number(text) * 100).toFixed(4))}%`
+  if (/^-?\d*\.?\d+[a-z%]+$/i.test(text)) return text
+  return `calc(${text} * 100%)`
+}
+
+function formatTypographyField(field: keyof TypographyValue, fieldValue: unknown): string {
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.map(quoteFontFamily).join(', ')
+  }
+  if (field === 'fontWeight') {
+    return toCssFontWeight(fieldValue)
+  }
+  if (typeof fieldValue === 'number' && field !== 'lineHeight') {
+    return `${fieldValue}px`
+  }
+  if (typeof fieldValue === 'string') {
+    // Token Studio writes letter spacing in % of the font size and 'AUTO' line heights
+    const percentage = fieldValue.trim().match(/^(-?\d*\.?\d+)%$/)
+    if (field === 'letterSpacing' && percentage) return `${parseFloat(percentage[1]) / 100}em`
+    if (field === 'lineHeight' && fieldValue.trim().toLowerCase() === 'auto') return 'normal'
+  }
+  return formatTokenValue(fieldValue)
+}
+
+// Named weights (Token Studio also writes styles such as 'Bold Italic') as numbers
+function toCssFontWeight(value: unknown): string {
+  if (typeof value !== 'string') return formatTokenValue(value)
+  const name = value.trim().toLowerCase().replace(/\s*italic$/, '').replace(/\s+/g, '-') || 'regular'
+  return Object.hasOwn(FONT_WEIGHT_VALUES, name) ? String(FONT_WEIGHT_VALUES[name]) : value
+}
+
+function quoteFontFamily(family: string): string {
+  // Generic families and references stay bare, names with spaces get quoted
+  return /\s/.test(family) && !/^["'{]/.test(family) ? `"${family}"` : family
+}
+
+/**
+ * Parse a value typed into a form. JSON objects and arrays (typography,
+ * shadow layers, mode maps) are parsed; anything else, including a
+ * `{group.token}` reference, stays a string. Pass the result to createToken.
+ */
+export function parseTokenValueInput(text: string): unknown {
+  const trimmed = text.trim()
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed)
+    } catch {
+      // Not JSON: most likely an alias reference
+    }
+  }
+  return trimmed
+}
@@ -1,4 +1,7 @@
 import { Token } from '@/types/token'
+import { getModeValue, hasMultipleModes } from '@/lib/modeUtils'
+import { getTokenTypeName } from '@/lib/tokenTypes'
+import { getCubicBezierPoints, parseBorderValue, parseGradientValue, parseTransitionValue } from '@/lib/tokenValues'
 
 /**
  * W3C Design Tokens Export Builder
@@ -8,12 +11,17 @@ import { Token } from '@/types/token'
 
 export interface W3CToken {
   $value: any
-  $type: W3CTokenType
+  // Omitted when an enclosing group declares the type (see groupLevelTypes)
+  $type?: W3CTokenType
   $description?: string
+  $deprecated?: string
+  // Kept from the source file, e.g. Token Studio color modifiers
+  $extensions?: Record<string, unknown>
 }
 
 export interface W3CCollection {
-  [key: string]: W3CToken | W3CCollection
+  $type?: W3CTokenType
+  [key: string]: W3CToken | W3CCollection | W3CTokenType | undefined
 }
 
 export interface W3CExportResult {
@@ -29,7 +37,9 @@ export type W3CTokenType =
   | 'cubicBezier'
   | 'number'
   | 'string'
+  | 'boolean'
   | 'border'
+  | 'strokeStyle'
   | 'shadow'
   | 'transition'
   | 'gradient'
@@ -81,11 +91,16 @@ const TOKEN_TYPE_MAPPING: Record<string, W3CTokenType> = {
   // Complex tokens
   'BORDER': 'border',
   'border': 'border',
+  'STROKE_STYLE': 'strokeStyle',
+  'strokeStyle': 'strokeStyle',
   'SHADOW': 'shadow',
   'shadow': 'shadow',
   'GRADIENT': 'gradient',
   'gradient': 'gradient',
   
+  'BOOLEAN': 'boolean',
+  'boolean': 'boolean',
+  
   // Fallback
   'STRING': 'string',
   'string': 'string'
@@ -98,16 +113,18 @@ export class W3CExportBuilder {
    * Perfectly compatible with Figma Plugin import system
    */
   buildW3CCompliantJSON(tokens: Token[], options?: {
+    // Write { mode: value } maps for tokens of multi-mode collections
     enableMultiMode?: boolean
+    // Mode written when multi-mode output is off (falls back to each collection's first mode)
     defaultMode?: string
-    extractModes?: boolean
+    groupLevelTypes?: boolean
   }): W3CExportResult {
     console.log('[W3C Export] Building compliant JSON from', tokens.length, 'tokens')
     
     const opts = {
       enableMultiMode: true,
       defaultMode: 'Default',
-      extractModes: true,
+      groupLevelTypes: false,
       ...options
     }
     
@@ -116,14 +133,13 @@ export class W3CExportBuilder {
     // Group tokens by collection
     const collectionGroups = this.groupTokensByCollection(tokens)
     
-    // Detect available modes if enabled
-    const detectedModes = opts.extractModes ? this.extractModesFromTokens(tokens) : new Set([opts.defaultMode])
-    
-    console.log('[W3C Export] Detected modes:', Array.from(detectedModes))
-    
     // Process each collection
     for (const [collectionName, collectionTokens] of collectionGroups) {
-      result[collectionName] = this.buildCollection(collectionTokens, detectedModes, opts)
+      result[collectionName] = this.buildCollection(collectionTokens, opts)
+      
+      if (opts.groupLevelTypes) {
+        result[collectionName] = this.hoistGroupTypes(result[collectionName])
+      }
     }
     
     console.log('[W3C Export] Built', Object.keys(result).length, 'collections')
@@ -150,63 +166,70 @@ export class W3CExportBuilder {
   }
   
   /**
-   * Extract modes from tokens based on path patterns and values
+   * Build a collection structure recursively
    */
-  private extractModesFromTokens(tokens: Token[]): Set<string> {
-    const modes = new Set<string>()
+  private buildCollection(tokens: Token[], options: any): W3CCollection {
+    const collection: W3CCollection = {}
     
+    // Create hierarchical structure based on token paths
     tokens.forEach(token => {
-      // Check for mode indicators in path
-      const pathModeMatch = token.path.match(/\.(light|dark|mobile|desktop|theme-\w+)\./i)
-      if (pathModeMatch) {
-        modes.add(pathModeMatch[1].toLowerCase())
-      }
-      
-      // Check for multi-mode values (objects with theme keys)
-      if (typeof token.value === 'object' && token.value !== null) {
-        const keys = Object.keys(token.value)
-        const themeKeys = keys.filter(key => 
-          /^(light|dark|mobile|desktop|theme-\w+|default|base)$/i.test(key)
-        )
-        themeKeys.forEach(key => modes.add(key.toLowerCase()))
-      }
-      
-      // Check for alias references to modes
-      if (typeof token.value === 'string' && this.isAliasReference(token.value)) {
-        const aliasMatch = token.value.match(/\{[^}]*\.(light|dark|mobile|desktop|theme-\w+)\.[^}]*\}/i)
-        if (aliasMatch) {
-          modes.add(aliasMatch[1].toLowerCase())
-        }
-      }
+      this.insertTokenIntoStructure(collection, token, options)
     })
     
-    // Add default if no modes detected
-    if (modes.size === 0) {
-      modes.add('default')
+    return collection
+  }
+  
+  /**
+   * Move $type up to the highest group whose tokens all share it.
+   * Tokens (and nested groups) then inherit it instead of repeating it,
+   * which is how hand-written W3C files usually declare types.
+   */
+  private hoistGroupTypes(group: W3CCollection, inheritedType?: W3CTokenType): W3CCollection {
+    const sharedType = this.getSharedType(group)
+    const groupType = sharedType && sharedType !== inheritedType ? sharedType : undefined
+    const effectiveType = groupType ?? inheritedType
+    
+    // Rebuild the group so $type is written before its children
+    const hoisted: W3CCollection = groupType ? { $type: groupType } : {}
+    
+    for (const [key, child] of Object.entries(group)) {
+      if (key === '$type' || child === undefined || typeof child !== 'object') continue
+      
+      if (this.isW3CToken(child)) {
+        const { $type, ...rest } = child
+        hoisted[key] = $type === effectiveType ? rest : child
+      } else {
+        hoisted[key] = this.hoistGroupTypes(child as W3CCollection, effectiveType)
+      }
     }
     
-    return modes
+    return hoisted
   }
-
+  
   /**
-   * Build a collection structure recursively
+   * Return the $type shared by every token below a group, if there is one
    */
-  private buildCollection(tokens: Token[], detectedModes: Set<string>, options: any): W3CCollection {
-    const collection: W3CCollection = {}
+  private getSharedType(group: W3CCollection): W3CTokenType | undefined {
+    let sharedType: W3CTokenType | undefined
     
-    // Create hierarchical structure based on token paths
-    tokens.forEach(token => {
-      this.insertTokenIntoStructure(collection, token, detectedModes, options)
-    })
+    for (const [key, child] of Object.entries(group)) {
+      if (key.startsWith('$') || child === undefined || typeof child !== 'object') continue
+      
+      const childType = this.isW3CToken(child) ? child.$type : this.getSharedType(child as W3CCollection)
+      if (!childType || (sharedType && childType !== sharedType)) {
+        return undefined
+      }
+      sharedType = childType
+    }
     
-    return collection
+    return sharedType
   }
   
   /**
    * Insert token into hierarchical structure
    * Follows the plugin's expected path format
    */
-  private insertTokenIntoStructure(collection: W3CCollection, token: Token, detectedModes: Set<string>, options: any): void {
+  private insertTokenIntoStructure(collection: W3CCollection, token: Token, options: any): void {
     // Parse token path into segments
     const pathSegments = this.parseTokenPath(token.path)
     
@@ -226,7 +249,7 @@ export class W3CExportBuilder {
     
     // Insert the actual token at the final segment
     const tokenName = pathSegments[pathSegments.length - 1]
-    current[tokenName] = this.buildW3CToken(token, detectedModes, options)
+    current[tokenName] = this.buildW3CToken(token, options)
   }
   
   /**
@@ -248,9 +271,14 @@ export class W3CExportBuilder {
   /**
    * Build W3C token structure with multi-mode support
    */
-  private buildW3CToken(token: Token, detectedModes: Set<string>, options: any): W3CToken {
-    const w3cType = this.mapToW3CType(token.type)
-    const processedValue = this.processTokenValue(token.value, w3cType, detectedModes, options)
+  private buildW3CToken(token: Token, options: any): W3CToken {
+    // Types the app does not know are written back as they were read
+    const w3cType = token.type === 'UNKNOWN'
+      ? getTokenTypeName(token) as W3CTokenType
+      : this.mapToW3CType(token.type)
+    const processedValue = options.enableMultiMode && hasMultipleModes(token) && token.modeValues
+      ? this.processModeValues(token.modeValues, w3cType)
+      : this.processTokenValue(getModeValue(token, options.defaultMode) ?? token.value, w3cType)
     
     const w3cToken: W3CToken = {
       $value: processedValue,
@@ -262,6 +290,14 @@ export class W3CExportBuilder {
       w3cToken.$description = token.description
     }
     
+    if (token.deprecated) {
+      w3cToken.$deprecated = token.deprecated
+    }
+    
+    if (token.extensions) {
+      w3cToken.$extensions = token.extensions
+    }
+    
     return w3cToken
   }
   
@@ -280,17 +316,12 @@ export class W3CExportBuilder {
   /**
    * Process token value according to W3C specification and plugin expectations
    */
-  private processTokenValue(value: any, type: W3CTokenType, detectedModes: Set<string>, options: any): any {
+  private processTokenValue(value: any, type: W3CTokenType): any {
     // Handle alias references - preserve them as-is for plugin processing
     if (typeof value === 'string' && this.isAliasReference(value)) {
       return value
     }
     
-    // Handle multi-mode values (plugin format)
-    if (options.enableMultiMode && this.isMultiModeValue(value)) {
-      return this.processMultiModeValue(value, type, detectedModes)
-    }
-    
     switch (type) {
       case 'color':
         return this.processColorValue(value)
@@ -313,6 +344,15 @@ export class W3CExportBuilder {
       case 'cubicBezier':
         return this.processCubicBezierValue(value)
         
+      case 'transition':
+        return this.processTransitionValue(value)
+        
+      case 'border':
+        return this.processBorderValue(value)
+        
+      case 'gradient':
+        return this.processGradientValue(value)
+        
       default:
         return value
     }
@@ -339,11 +379,6 @@ export class W3CExportBuilder {
       if ('r' in value || 'red' in value) {
         return value
       }
-      
-      // Handle multi-mode color values
-      if (this.isMultiModeValue(value)) {
-        return value
-      }
     }
     
     return value
@@ -465,107 +500,80 @@ export class W3CExportBuilder {
   /**
    * Process cubic bezier values
    */
-  private processCubicBezierValue(value: any): number[] | string {
+  private processCubicBezierValue(value: any): (number | string)[] | string {
     if (Array.isArray(value) && value.length === 4) {
-      return value.map(v => parseFloat(v) || 0)
+      // Points may be references
+      return value.map(v => typeof v === 'string' && this.isAliasReference(v) ? v : parseFloat(v) || 0)
     }
     
     if (typeof value === 'string') {
-      // Parse CSS cubic-bezier() format
-      const match = value.match(/cubic-bezier\(([\d.,\s]+)\)/)
-      if (match) {
-        const values = match[1].split(',').map(v => parseFloat(v.trim()))
-        if (values.length === 4) {
-          return values
-        }
-      }
-      return value
+      // CSS cubic-bezier() and keywords such as ease-out become points
+      return getCubicBezierPoints(value) ?? value
     }
     
     return [0.25, 0.1, 0.25, 1.0] // Default ease
   }
   
   /**
-   * Process multi-mode values for plugin compatibility
-   * Formats: { light: value, dark: value } -> plugin expects exactly this format
+   * Process transition values; each field may be a reference
    */
-  private processMultiModeValue(value: any, type: W3CTokenType, detectedModes: Set<string>): any {
-    if (typeof value !== 'object' || value === null) {
+  private processTransitionValue(value: unknown): unknown {
+    const transition = parseTransitionValue(value)
+    if (!transition) {
       return value
     }
     
-    const processedModeValue: Record<string, any> = {}
-    const modes = Array.from(detectedModes)
-    
-    // Process each mode value according to its type
-    for (const [mode, modeValue] of Object.entries(value)) {
-      const normalizedMode = mode.toLowerCase()
-      
-      // Only include modes that were detected/expected
-      if (modes.includes(normalizedMode) || modes.length === 0) {
-        // Process the individual mode value according to its type
-        switch (type) {
-          case 'color':
-            processedModeValue[normalizedMode] = this.processColorValue(modeValue)
-            break
-          case 'dimension':
-            processedModeValue[normalizedMode] = this.processDimensionValue(modeValue)
-            break
-          case 'fontFamily':
-            processedModeValue[normalizedMode] = this.processFontFamilyValue(modeValue)
-            break
-          case 'fontWeight':
-            processedModeValue[normalizedMode] = this.processFontWeightValue(modeValue)
-            break
-          case 'duration':
-            processedModeValue[normalizedMode] = this.processDurationValue(modeValue)
-            break
-          case 'number':
-            processedModeValue[normalizedMode] = this.processNumberValue(modeValue)
-            break
-          default:
-            processedModeValue[normalizedMode] = modeValue
-        }
-      }
+    return {
+      duration: this.processTokenValue(transition.duration, 'duration'),
+      ...(transition.delay !== undefined && { delay: this.processTokenValue(transition.delay, 'duration') }),
+      timingFunction: this.processTokenValue(transition.timingFunction, 'cubicBezier')
     }
-    
-    // If we have processed values, return the multi-mode object
-    // This matches the plugin's expected format: { light: value, dark: value }
-    if (Object.keys(processedModeValue).length > 0) {
-      return processedModeValue
+  }
+  
+  /**
+   * Process border values; each field may be a reference
+   */
+  private processBorderValue(value: unknown): unknown {
+    const border = parseBorderValue(value)
+    if (!border) {
+      return value
     }
     
-    // Fallback to original value
-    return value
+    return {
+      color: this.processTokenValue(border.color, 'color'),
+      width: this.processTokenValue(border.width, 'dimension'),
+      style: border.style
+    }
   }
-
+  
   /**
-   * Check if value is multi-mode (theme-based)
+   * Process gradient values: stops with 0-1 positions
    */
-  private isMultiModeValue(value: any): boolean {
-    if (typeof value !== 'object' || value === null) {
-      return false
+  private processGradientValue(value: unknown): unknown {
+    const stops = parseGradientValue(value)
+    if (!stops) {
+      return value
     }
     
-    // Skip RGB color objects
-    if ('r' in value || 'g' in value || 'b' in value || 'red' in value || 'green' in value || 'blue' in value) {
-      return false
-    }
+    return stops.map(stop => ({
+      color: this.processTokenValue(stop.color, 'color'),
+      position: this.processTokenValue(stop.position, 'number')
+    }))
+  }
+  
+  /**
+   * Process per-mode values for plugin compatibility
+   * Format: { light: value, dark: value } -> plugin expects exactly this format,
+   * keyed by the collection's mode names in mode order
+   */
+  private processModeValues(modeValues: Record<string, unknown>, type: W3CTokenType): Record<string, any> {
+    const processedModeValue: Record<string, any> = {}
     
-    // Skip arrays
-    if (Array.isArray(value)) {
-      return false
+    for (const [mode, modeValue] of Object.entries(modeValues)) {
+      processedModeValue[mode] = this.processTokenValue(modeValue, type)
     }
     
-    // Check for common theme keys
-    const themeKeys = ['light', 'dark', 'default', 'base', 'mobile', 'desktop']
-    const keys = Object.keys(value)
-    
-    return keys.some(key => 
-      themeKeys.some(theme => 
-        key.toLowerCase().includes(theme)
-      )
-    ) || keys.every(key => /^[a-zA-Z][a-zA-Z0-9_-]*$/.test(key)) // All keys look like mode names
+    return processedModeValue
   }
   
   /**
@@ -589,11 +597,14 @@ export class W3CExportBuilder {
   /**
    * Validate structure recursively
    */
-  private validateStructure(obj: any, path: string, errors: string[]): void {
+  private validateStructure(obj: any, path: string, errors: string[], inheritedType?: string): void {
     if (typeof obj !== 'object' || obj === null) {
       return
     }
     
+    // A group's $type applies to every token nested below it
+    const groupType = typeof obj.$type === 'string' ? obj.$type : inheritedType
+    
     for (const [key, value] of Object.entries(obj)) {
       const currentPath = path ? `${path}.${key}` : key
       
@@ -604,15 +615,15 @@ export class W3CExportBuilder {
       
       if (this.isW3CToken(value)) {
         // Validate token
-        if (!value.$value) {
+        if (value.$value === undefined) {
           errors.push(`Missing $value at ${currentPath}`)
         }
-        if (!value.$type) {
+        if (!value.$type && !groupType) {
           errors.push(`Missing $type at ${currentPath}`)
         }
       } else if (typeof value === 'object') {
         // Recurse into nested structure
-        this.validateStructure(value, currentPath, errors)
+        this.validateStructure(value, currentPath, errors, groupType)
       }
     }
   }
@@ -621,7 +632,8 @@ export class W3CExportBuilder {
    * Check if object is a W3C token
    */
   private isW3CToken(obj: any): obj is W3CToken {
-    return obj && typeof obj === 'object' && ('$value' in obj || '$type' in obj)
+    // Groups may carry $type too, so only $value identifies a token
+    return obj && typeof obj === 'object' && '$value' in obj
   }
 }
 
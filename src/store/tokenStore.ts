@@ -1,18 +1,33 @@
 import { create } from 'zustand'
 import { devtools } from 'zustand/middleware'
-import { Token, TokenCollection, TokenState, TokenActions, NavigationPage } from '@/types/token'
+import { Token, TokenCollection, TokenState, TokenActions, NavigationPage, TokenSnapshot } from '@/types/token'
 import { FigmaExportEngine } from '@/lib/figmaExport'
 import { W3CExportBuilder } from '@/lib/w3cExport'
-import { getIntelligentScope } from '@/lib/scopeUtils'
+import { ImportResult, runImportPipeline } from '@/lib/importPipeline'
+import { getTokenKey, MergeChoice, MergeStrategy, mergeImport } from '@/lib/importMerge'
+import { applyModes, DEFAULT_MODE_NAME, getCollectionModes, getTokenCollectionName } from '@/lib/modeUtils'
+import { buildDependencyGraph, getDependencyGraph } from '@/lib/aliasUtils'
+import { getStrictExportError } from '@/lib/aliasDiagnostics'
+import { DEFAULT_REM_BASE } from '@/lib/tokenExpressions'
+import { planRename, planRepoint, recordRenames, TokenLocation } from '@/lib/tokenRename'
 
 type TokenStore = TokenState & TokenActions
 
+// Older edits drop off the undo stack
+const MAX_UNDO_STEPS = 20
+
 export const useTokenStore = create<TokenStore>()(
   devtools(
     (set, get) => ({
       // State
       tokens: [],
       collections: [],
+      collectionModes: {},
+      dependencyGraph: buildDependencyGraph([]),
+      strictAliases: false,
+      remBase: DEFAULT_REM_BASE,
+      renamedTokens: [],
+      undoStack: [],
       selectedTokens: [],
       searchQuery: '',
       filterByType: '',
@@ -27,21 +42,32 @@ export const useTokenStore = create<TokenStore>()(
 
       // Actions
       setTokens: (tokens: Token[]) => {
-        const collections = organizeTokensIntoCollections(tokens)
-        set({ tokens, collections })
+        // Replacing every token cannot be undone; older snapshots would drop it
+        set({ ...buildTokenState(tokens, getCollectionModes(tokens)), undoStack: [] })
       },
 
       addTokens: (newTokens: Token[]) => {
-        const currentTokens = get().tokens
-        const allTokens = [...currentTokens, ...newTokens]
-        const collections = organizeTokensIntoCollections(allTokens)
-        set({ tokens: allTokens, collections })
+        // A token with the key of an existing one replaces it in place
+        const { tokens: currentTokens, collectionModes, undoStack } = get()
+        const newTokensByKey = new Map(newTokens.map(token => [getTokenKey(token), token]))
+        const updatedTokens = currentTokens.map(token => newTokensByKey.get(getTokenKey(token)) ?? token)
+        const currentKeys = new Set(currentTokens.map(getTokenKey))
+        const allTokens = [...updatedTokens, ...[...newTokensByKey.values()].filter(token => !currentKeys.has(getTokenKey(token)))]
+        const count = newTokens.length
+        set({
+          ...buildTokenState(allTokens, getCollectionModes(newTokens, collectionModes)),
+          undoStack: pushSnapshot(undoStack, `Add ${count} ${count === 1 ? 'token' : 'tokens'}`, get())
+        })
       },
 
       clearTokens: () => {
         set({
           tokens: [],
           collections: [],
+          collectionModes: {},
+          dependencyGraph: buildDependencyGraph([]),
+          renamedTokens: [],
+          undoStack: [],
           selectedTokens: [],
           searchQuery: '',
           filterByType: '',
@@ -58,6 +84,18 @@ export const useTokenStore = create<TokenStore>()(
         set({ selectedTokens: tokenIds })
       },
 
+      setStrictAliases: (strict: boolean) => {
+        set({ strictAliases: strict })
+      },
+
+      setRemBase: (remBase: number) => {
+        if (!(remBase > 0)) {
+          console.warn(`[Store] Ignoring rem base ${remBase}: it must be a positive number of pixels`)
+          return
+        }
+        set({ remBase })
+      },
+
       setSearchQuery: (query: string) => {
         set({ searchQuery: query })
       },
@@ -81,20 +119,165 @@ export const useTokenStore = create<TokenStore>()(
         }
       },
 
-      loadFromJSON: (jsonData: any) => {
-        // Convert imported JSON to Token format
-        const tokens = parseTokensFromJSON(jsonData)
-        get().setTokens(tokens)
+      loadFromJSON: (jsonData: unknown) => {
+        // Convert imported JSON to Token format; a failed import keeps the current tokens
+        const result = runLoggedImport(jsonData)
+        if (result.report.success) {
+          set({ ...buildTokenState(result.tokens, result.collectionModes), renamedTokens: [], undoStack: [] })
+        }
+        return result.report
+      },
+
+      commitImport: (result: ImportResult, strategy: MergeStrategy = 'replace', overrides: Record<string, MergeChoice> = {}) => {
+        if (!result.report.success) {
+          console.warn('[Store] Not committing a failed import')
+          return
+        }
+        const { tokens, collectionModes, undoStack } = get()
+        const merged = mergeImport({ tokens, collectionModes }, result, strategy, overrides)
+        set({
+          ...buildTokenState(merged.tokens, merged.collectionModes),
+          // Renames and undo only carry over when the imported tokens are merged in,
+          // and the merge itself can then be undone
+          ...(strategy === 'replace'
+            ? { renamedTokens: [], undoStack: [] }
+            : { undoStack: pushSnapshot(undoStack, `Merge import (${strategy})`, get()) })
+        })
       },
 
       // Stable version for useEffect - doesn't change between renders
-      loadSampleData: (sampleData: any) => {
-        const tokens = parseTokensFromJSON(sampleData)
-        set(state => ({
-          ...state,
-          tokens,
-          collections: organizeTokensIntoCollections(tokens)
-        }))
+      loadSampleData: (sampleData: unknown) => {
+        const result = runLoggedImport(sampleData)
+        if (result.report.success) {
+          set(state => ({
+            ...state,
+            ...buildTokenState(result.tokens, result.collectionModes),
+            undoStack: []
+          }))
+        }
+      },
+
+      // Mode actions
+      addMode: (collection: string, mode: string, copyFrom?: string) => {
+        const { tokens, collectionModes, undoStack } = get()
+        const modes = collectionModes[collection] ?? [DEFAULT_MODE_NAME]
+        const name = mode.trim()
+
+        if (!name || modes.includes(name)) {
+          console.warn(`[Store] Cannot add mode '${mode}' to '${collection}': name is empty or already used`)
+          return
+        }
+
+        // The new mode starts as a copy of another mode (the default one unless given)
+        const source = copyFrom && modes.includes(copyFrom) ? copyFrom : modes[0]
+        set({
+          ...updateCollectionModes(tokens, collectionModes, collection, [...modes, name], m => m === name ? source : m),
+          undoStack: pushSnapshot(undoStack, `Add mode ${name} to ${collection}`, get())
+        })
+      },
+
+      renameMode: (collection: string, mode: string, newName: string) => {
+        const { tokens, collectionModes, undoStack } = get()
+        const modes = collectionModes[collection] ?? []
+        const name = newName.trim()
+
+        if (!modes.includes(mode) || !name || (name !== mode && modes.includes(name))) {
+          console.warn(`[Store] Cannot rename mode '${mode}' of '${collection}' to '${newName}'`)
+          return
+        }
+
+        set({
+          ...updateCollectionModes(
+            tokens,
+            collectionModes,
+            collection,
+            modes.map(m => m === mode ? name : m),
+            m => m === name ? mode : m
+          ),
+          undoStack: pushSnapshot(undoStack, `Rename mode ${mode} of ${collection} to ${name}`, get())
+        })
+      },
+
+      reorderModes: (collection: string, modes: string[]) => {
+        const { tokens, collectionModes, undoStack } = get()
+        const currentModes = collectionModes[collection] ?? []
+        const isPermutation = modes.length === currentModes.length && currentModes.every(mode => modes.includes(mode))
+
+        if (!isPermutation) {
+          console.warn(`[Store] Cannot reorder modes of '${collection}': expected the same modes in a new order`, modes)
+          return
+        }
+
+        set({
+          ...updateCollectionModes(tokens, collectionModes, collection, modes),
+          undoStack: pushSnapshot(undoStack, `Reorder modes of ${collection}`, get())
+        })
+      },
+
+      deleteMode: (collection: string, mode: string) => {
+        const { tokens, collectionModes, undoStack } = get()
+        const modes = collectionModes[collection] ?? []
+
+        if (!modes.includes(mode) || modes.length === 1) {
+          console.warn(`[Store] Cannot delete mode '${mode}' of '${collection}': a collection needs at least one mode`)
+          return
+        }
+
+        set({
+          ...updateCollectionModes(tokens, collectionModes, collection, modes.filter(m => m !== mode)),
+          undoStack: pushSnapshot(undoStack, `Delete mode ${mode} of ${collection}`, get())
+        })
+      },
+
+      renameTokens: (source: TokenLocation, target: TokenLocation) => {
+        const { tokens, collectionModes, renamedTokens, undoStack } = get()
+        const plan = planRename(tokens, source, target)
+
+        if (plan.conflicts.length > 0) {
+          console.warn(`[Store] Cannot move ${source.collection}.${source.path}:`, plan.conflicts)
+          return plan
+        }
+
+        // A new collection starts with the modes of the one the tokens came from
+        const modes = {
+          ...collectionModes,
+          [target.collection]: collectionModes[target.collection] ?? collectionModes[source.collection]
+        }
+        set({
+          ...buildTokenState(plan.tokens, getCollectionModes(plan.tokens, modes)),
+          renamedTokens: recordRenames(renamedTokens, plan),
+          undoStack: pushSnapshot(undoStack, `Move ${source.collection}.${source.path}`, get())
+        })
+        return plan
+      },
+
+      repointAliases: (fromKey: string, toKey: string, tokenKeys: string[]) => {
+        const { tokens, collectionModes, undoStack } = get()
+        const plan = planRepoint(tokens, fromKey, toKey, tokenKeys)
+
+        if (plan.conflicts.length > 0) {
+          console.warn(`[Store] Cannot re-point references to ${fromKey}:`, plan.conflicts)
+          return plan
+        }
+
+        const count = plan.rewrites.length
+        set({
+          ...buildTokenState(plan.tokens, collectionModes),
+          undoStack: pushSnapshot(undoStack, `Re-point ${count} ${count === 1 ? 'token' : 'tokens'} to ${toKey}`, get())
+        })
+        return plan
+      },
+
+      undo: () => {
+        const { undoStack } = get()
+        const snapshot = undoStack[undoStack.length - 1]
+        if (!snapshot) return
+
+        set({
+          ...buildTokenState(snapshot.tokens, snapshot.collectionModes),
+          renamedTokens: snapshot.renamedTokens,
+          undoStack: undoStack.slice(0, -1)
+        })
       },
 
       // Navigation actions
@@ -108,8 +291,15 @@ export const useTokenStore = create<TokenStore>()(
         set({ isExporting: true })
         
         try {
+          const blocked = getStrictExportError(state.tokens, state.strictAliases)
+          if (blocked) throw new Error(blocked)
+
           const exportEngine = new FigmaExportEngine()
-          const result = await exportEngine.transformTokensForFigma(state.tokens, config)
+          const result = await exportEngine.transformTokensForFigma(
+            state.tokens,
+            { remBase: state.remBase, ...config },
+            state.collectionModes
+          )
           
           set({ 
             figmaExportResult: result,
@@ -126,6 +316,7 @@ export const useTokenStore = create<TokenStore>()(
             figmaExportResult: {
               success: false,
               error: error instanceof Error ? error.message : 'Export failed',
+              errors: [error instanceof Error ? error.message : 'Export failed'],
               collections: [],
               totalVariables: 0,
               totalModes: 0,
@@ -159,6 +350,9 @@ export const useTokenStore = create<TokenStore>()(
         set({ isExporting: true })
         
         try {
+          const blocked = getStrictExportError(state.tokens, state.strictAliases)
+          if (blocked) throw new Error(blocked)
+
           const w3cBuilder = new W3CExportBuilder()
           const w3cJson = w3cBuilder.buildW3CCompliantJSON(state.tokens, options)
           
@@ -215,11 +409,11 @@ export const useTokenStore = create<TokenStore>()(
 )
 
 // Helper function to organize tokens into collections
-function organizeTokensIntoCollections(tokens: Token[]): TokenCollection[] {
+function organizeTokensIntoCollections(tokens: Token[], collectionModes: Record<string, string[]>): TokenCollection[] {
   const collectionMap = new Map<string, Token[]>()
 
   tokens.forEach(token => {
-    const collectionName = token.collection || 'global'
+    const collectionName = getTokenCollectionName(token)
     if (!collectionMap.has(collectionName)) {
       collectionMap.set(collectionName, [])
     }
@@ -229,201 +423,74 @@ function organizeTokensIntoCollections(tokens: Token[]): TokenCollection[] {
   return Array.from(collectionMap.entries()).map(([name, tokens]) => ({
     id: name,
     name,
+    modes: collectionModes[name] ?? [DEFAULT_MODE_NAME],
+    referenceOnly: tokens.every(token => token.referenceOnly),
     tokens,
     count: tokens.length
   }))
 }
 
-// Helper function to parse tokens from JSON with robust validation
-function parseTokensFromJSON(jsonData: any): Token[] {
-  const tokens: Token[] = []
-  const errors: string[] = []
-  
-  // Input validation
-  if (!jsonData || typeof jsonData !== 'object') {
-    console.warn('[parseTokensFromJSON] Invalid input: Expected an object, got:', typeof jsonData)
-    return tokens
-  }
-
-  // Parse each top-level collection
-  Object.keys(jsonData).forEach(collectionKey => {
-    try {
-      const collectionData = jsonData[collectionKey]
-      if (collectionData && typeof collectionData === 'object') {
-        parseObjectRecursive(collectionData, '', collectionKey, tokens, errors)
-      } else {
-        errors.push(`Collection '${collectionKey}' is not a valid object`)
-      }
-    } catch (error) {
-      errors.push(`Error parsing collection '${collectionKey}': ${error}`)
-      console.error(`[parseTokensFromJSON] Error parsing collection '${collectionKey}':`, error)
-    }
-  })
+// Helper function to give every token one value per mode of its collection
+function buildTokenState(tokens: Token[], collectionModes: Record<string, string[]>) {
+  const syncedTokens = tokens.map(token =>
+    applyModes(token, collectionModes[getTokenCollectionName(token)] ?? [DEFAULT_MODE_NAME])
+  )
 
-  // Log validation summary
-  if (errors.length > 0) {
-    console.warn(`[parseTokensFromJSON] Parsed ${tokens.length} tokens with ${errors.length} errors:`, errors)
-  } else {
-    console.info(`[parseTokensFromJSON] Successfully parsed ${tokens.length} tokens`)
+  return {
+    tokens: syncedTokens,
+    collectionModes,
+    collections: organizeTokensIntoCollections(syncedTokens, collectionModes),
+    dependencyGraph: getDependencyGraph(syncedTokens)
   }
-
-  return tokens
 }
 
-function parseObjectRecursive(obj: any, path: string, collection: string, tokens: Token[], errors: string[]): void {
-  if (!obj || typeof obj !== 'object') return
-
-  for (const [key, value] of Object.entries(obj)) {
-    const currentPath = path ? `${path}.${key}` : key
-
-    try {
-      if (value && typeof value === 'object') {
-        if ('$type' in value && '$value' in value) {
-          // W3C Design Token format - validate required properties
-          if (!isValidTokenValue(value.$type, value.$value)) {
-            errors.push(`Invalid W3C token at ${currentPath}: type='${value.$type}', value='${value.$value}'`)
-            continue
-          }
-
-          const tokenType = mapTokenType(String(value.$type))
-          const token: Token = {
-            name: key,
-            path: currentPath,
-            type: tokenType,
-            value: String(value.$value),
-            collection,
-            description: (value as any).$description,
-            scope: getIntelligentScope({
-              type: tokenType,
-              path: currentPath,
-              value: String(value.$value),
-              name: key
-            })
-          }
-          tokens.push(token)
-        } else if ('type' in value && 'value' in value) {
-          // Token Studio format - validate required properties
-          if (!isValidTokenValue(value.type, value.value)) {
-            errors.push(`Invalid Token Studio token at ${currentPath}: type='${value.type}', value='${value.value}'`)
-            continue
-          }
-
-          const tokenType = mapTokenType(String(value.type))
-          const token: Token = {
-            name: key,
-            path: currentPath,
-            type: tokenType,
-            value: String(value.value),
-            collection,
-            description: (value as any).description,
-            scope: getIntelligentScope({
-              type: tokenType,
-              path: currentPath,
-              value: String(value.value),
-              name: key
-            })
-          }
-          tokens.push(token)
-        } else {
-          // Continue recursion for nested objects
-          parseObjectRecursive(value, currentPath, collection, tokens, errors)
-        }
-      }
-    } catch (error) {
-      errors.push(`Error processing token at ${currentPath}: ${error}`)
-      console.error(`[parseObjectRecursive] Error at ${currentPath}:`, error)
-    }
+// Helper function to remember the tokens before an edit, keeping the latest ones.
+// Every edit to tokens or modes either pushes a snapshot or clears the stack,
+// so undoing never drops a later edit.
+function pushSnapshot(undoStack: TokenSnapshot[], label: string, state: TokenState): TokenSnapshot[] {
+  const snapshot = {
+    label,
+    tokens: state.tokens,
+    collectionModes: state.collectionModes,
+    renamedTokens: state.renamedTokens
   }
+  return [...undoStack, snapshot].slice(-MAX_UNDO_STEPS)
 }
 
-// Validate token type and value
-function isValidTokenValue(type: any, value: any): boolean {
-  // Basic checks
-  if (type == null || value == null) return false
-  if (typeof type !== 'string' || type.trim() === '') return false
-  
-  // Value can be string, number, or object (for complex values)
-  const validValueTypes = ['string', 'number', 'boolean']
-  if (!validValueTypes.includes(typeof value) && typeof value !== 'object') {
-    return false
-  }
+// Helper function to run the import pipeline and log its report
+function runLoggedImport(jsonData: unknown): ImportResult {
+  const result = runImportPipeline(jsonData)
+  const { report } = result
 
-  // Type-specific validation
-  const typeStr = String(type).toLowerCase()
-  switch (typeStr) {
-    case 'color':
-      return isValidColorValue(value)
-    case 'dimension':
-    case 'sizing':
-    case 'spacing':
-      return isValidDimensionValue(value)
-    case 'fontfamily':
-    case 'fontweight':
-    case 'fontsize':
-    case 'typography':
-      return true // Accept any string/number for typography
-    case 'borderradius':
-    case 'opacity':
-      return true // Accept any string/number 
-    case 'boxshadow':
-    case 'shadow':
-      return true // Accept any string/object for shadows
-    default:
-      return true // Accept unknown types but log warning
+  if (!report.success) {
+    console.error(`[Store] Import aborted at ${report.abortedAt}:`, report.errors)
+  } else if (report.errors.length > 0 || report.warnings.length > 0) {
+    console.warn(`[Store] Imported ${report.tokenCount} tokens (${report.format}, ${report.confidence}% confidence) with ${report.errors.length} errors and ${report.warnings.length} warnings`, report)
+  } else {
+    console.info(`[Store] Imported ${report.tokenCount} tokens (${report.format}, ${report.confidence}% confidence)`)
   }
-}
 
-function isValidColorValue(value: any): boolean {
-  if (typeof value !== 'string') return false
-  const colorStr = String(value).trim()
-  
-  // Basic color format checks
-  return (
-    colorStr.startsWith('#') || // Hex colors
-    colorStr.startsWith('rgb') || // RGB/RGBA
-    colorStr.startsWith('hsl') || // HSL/HSLA
-    colorStr.startsWith('{') || // Token references
-    /^[a-zA-Z]+$/.test(colorStr) // Named colors
-  )
+  return result
 }
 
-function isValidDimensionValue(value: any): boolean {
-  if (typeof value === 'number') return true
-  if (typeof value !== 'string') return false
-  
-  const dimStr = String(value).trim()
-  
-  // Dimension format checks
-  return (
-    /^\d+(\.\d+)?(px|rem|em|%|vh|vw|pt|pc|in|cm|mm|ex|ch|lh|vmin|vmax)$/i.test(dimStr) || // CSS units
-    /^\d+(\.\d+)?$/.test(dimStr) || // Plain numbers
-    dimStr.startsWith('{') || // Token references
-    dimStr.includes('calc(') // CSS calc functions
+// Helper function to change the modes of one collection.
+// `sourceMode` tells which old mode each new mode takes its values from.
+function updateCollectionModes(
+  tokens: Token[],
+  collectionModes: Record<string, string[]>,
+  collection: string,
+  modes: string[],
+  sourceMode?: (mode: string) => string | undefined
+) {
+  const nextModes = { ...collectionModes, [collection]: modes }
+  const nextTokens = tokens.map(token =>
+    getTokenCollectionName(token) === collection ? applyModes(token, modes, sourceMode) : token
   )
-}
 
-function mapTokenType(type: string): Token['type'] {
-  switch (type?.toLowerCase()) {
-    case 'color':
-      return 'COLOR'
-    case 'dimension':
-    case 'sizing':
-      return 'DIMENSION'
-    case 'fontfamily':
-    case 'fontweight':
-    case 'fontsize':
-    case 'typography':
-      return 'TYPOGRAPHY'
-    case 'spacing':
-      return 'SPACING'
-    case 'borderradius':
-      return 'BORDER_RADIUS'
-    case 'opacity':
-      return 'OPACITY'
-    case 'boxshadow':
-    case 'shadow':
-      return 'SHADOW'
-    default:
-      return 'COLOR'
+  return {
+    tokens: nextTokens,
+    collectionModes: nextModes,
+    collections: organizeTokensIntoCollections(nextTokens, nextModes),
+    dependencyGraph: getDependencyGraph(nextTokens)
   }
-}
\ No newline at end of file
+}
@@ -36,12 +36,50 @@ export interface FigmaVariable {
   aliasTarget?: string
 }
 
+// Reference to another variable, as stored by the Figma Variables API
+export interface FigmaVariableAlias {
+  type: 'VARIABLE_ALIAS'
+  id: string
+}
+
+// COLOR values use 0-1 float channels
+export interface FigmaColorValue {
+  r: number
+  g: number
+  b: number
+  a: number
+}
+
+export type FigmaVariableValue = FigmaColorValue | FigmaVariableAlias | number | string | boolean
+
+// One shadow of an effect style, as in the Figma Plugin API
+export interface FigmaShadowEffect {
+  type: 'DROP_SHADOW' | 'INNER_SHADOW'
+  color: FigmaColorValue
+  offset: { x: number; y: number }
+  radius: number
+  spread: number
+  visible: boolean
+  blendMode: 'NORMAL'
+  // Fields that alias an exported variable
+  boundVariables?: Partial<Record<'color' | 'offsetX' | 'offsetY' | 'radius' | 'spread', FigmaVariableAlias>>
+}
+
+// Effect style written for a shadow token
+export interface FigmaEffectStyle {
+  id: string
+  // Slash-separated, as Figma groups styles
+  name: string
+  description?: string
+  effects: FigmaShadowEffect[]
+}
+
 // Figma Mode interface
 export interface FigmaMode {
   id: string
   name: string
-  // Mapping of variableId to resolved value
-  variables: Record<string, any>
+  // Mapping of variableId to the value in this mode
+  variables: Record<string, FigmaVariableValue>
 }
 
 // Figma Collection interface
@@ -53,24 +91,41 @@ export interface FigmaCollection {
   variables: FigmaVariable[]
 }
 
+// Ids written by an export, keyed by what they identify: collections by name,
+// modes by `collection/mode`, variables and styles by `collection/token.path`
+export interface FigmaIdMap {
+  collections: Record<string, string>
+  modes: Record<string, string>
+  variables: Record<string, string>
+  styles: Record<string, string>
+}
+
 // Export configuration options
 export interface FigmaExportConfig {
   collections: string[]
   selectedModes?: string[]
   includeAliases: boolean
   resolveAliases: boolean
+  // Pixels per rem, for math and rem values flattened to floats
+  remBase?: number
   scopeOverrides?: Record<string, FigmaScope[]>
   customModeMapping?: Record<string, string>
+  // Ids from a previous export to keep for the same collections, modes and variables
+  idMap?: Partial<FigmaIdMap>
 }
 
 // Export result structure
 export interface FigmaExportResult {
   success: boolean
   collections: FigmaCollection[]
+  // Shadow tokens, which Figma keeps as styles rather than variables
+  effectStyles?: FigmaEffectStyle[]
   totalVariables: number
   totalModes: number
   errors?: string[]
   warnings?: string[]
+  // Pass back as `config.idMap` to keep ids stable across exports
+  idMap?: FigmaIdMap
   metadata: {
     exportedAt: string
     source: 'luckino-webapp'
@@ -78,13 +133,6 @@ export interface FigmaExportResult {
   }
 }
 
-// Theme detection result
-export interface ThemeDetectionResult {
-  hasThemes: boolean
-  themes: string[]
-  themeStructure: Record<string, string[]> // theme -> token paths
-}
-
 // Scope mapping configuration
 export interface ScopeMapping {
   tokenType: string
@@ -92,13 +140,6 @@ export interface ScopeMapping {
   priority: number
 }
 
-// Alias resolution context
-export interface AliasResolutionContext {
-  tokenMap: Map<string, Token>
-  resolvedValues: Map<string, any>
-  resolutionStack: string[]
-}
-
 // Statistics for export analysis
 export interface FigmaExportStats {
   totalTokens: number
@@ -1,25 +1,184 @@
-export interface Token {
+import type { ImportReport, ImportResult } from '@/lib/importPipeline'
+import type { MergeChoice, MergeStrategy } from '@/lib/importMerge'
+import type { DependencyGraph } from '@/lib/aliasUtils'
+import type { RenamedToken, RenamePlan, RepointPlan, TokenLocation } from '@/lib/tokenRename'
+
+export type TokenType =
+  | 'COLOR'
+  | 'DIMENSION'
+  | 'TYPOGRAPHY'
+  | 'SPACING'
+  | 'BORDER_RADIUS'
+  | 'OPACITY'
+  | 'SHADOW'
+  | 'FONT_FAMILY'
+  | 'FONT_WEIGHT'
+  | 'DURATION'
+  | 'CUBIC_BEZIER'
+  | 'NUMBER'
+  | 'STROKE_STYLE'
+  | 'BORDER'
+  | 'TRANSITION'
+  | 'GRADIENT'
+  | 'BOOLEAN'
+  | 'STRING'
+  // A $type the app does not know; `sourceType` keeps it as written
+  | 'UNKNOWN'
+
+// Composite typography value (W3C `typography` / Token Studio typography object).
+// Every field may also hold a `{group.token}` reference.
+export interface TypographyValue {
+  fontFamily?: string | string[]
+  fontSize?: string | number
+  fontWeight?: string | number
+  lineHeight?: string | number
+  letterSpacing?: string | number
+  paragraphSpacing?: string | number
+  paragraphIndent?: string | number
+  textCase?: string
+  textDecoration?: string
+}
+
+// One layer of a W3C `shadow` value. Every field may also hold a reference.
+export interface ShadowLayerValue {
+  color: string
+  offsetX: string | number
+  offsetY: string | number
+  blur: string | number
+  spread?: string | number
+  inset?: boolean | string
+}
+
+// W3C `cubicBezier`: P1x, P1y, P2x, P2y
+export type CubicBezierValue = [number | string, number | string, number | string, number | string]
+
+// W3C object form of `strokeStyle`; the string form is a keyword such as 'dashed'
+export interface StrokeStyleValue {
+  dashArray: (string | number)[]
+  lineCap: string
+}
+
+// W3C `border`
+export interface BorderValue {
+  color: string
+  width: string | number
+  style: string | StrokeStyleValue
+}
+
+// W3C `transition`
+export interface TransitionValue {
+  duration: string | number
+  delay?: string | number
+  timingFunction: string | CubicBezierValue
+}
+
+// One stop of a W3C `gradient` value
+export interface GradientStopValue {
+  color: string
+  position: string | number
+}
+
+// Any JSON value, for tokens of an unknown type
+export type JsonValue = string | number | boolean | JsonValue[] | { [key: string]: JsonValue }
+
+// Value stored for each token type. Plain strings are always allowed so a
+// token can hold a `{group.token}` reference instead of a literal.
+export interface TokenValueByType {
+  COLOR: string
+  DIMENSION: string | number
+  SPACING: string | number
+  BORDER_RADIUS: string | number
+  OPACITY: string | number
+  TYPOGRAPHY: string | number | string[] | TypographyValue
+  SHADOW: string | ShadowLayerValue | ShadowLayerValue[]
+  FONT_FAMILY: string | string[]
+  FONT_WEIGHT: string | number
+  DURATION: string | number
+  CUBIC_BEZIER: string | CubicBezierValue
+  NUMBER: string | number
+  STROKE_STYLE: string | StrokeStyleValue
+  BORDER: string | BorderValue
+  TRANSITION: string | TransitionValue
+  GRADIENT: string | GradientStopValue[]
+  BOOLEAN: string | boolean
+  STRING: string
+  UNKNOWN: JsonValue
+}
+
+// Per-mode values, e.g. { light: '#ffffff', dark: '#1a1a1a' }
+export type ModeValues<V> = { [mode: string]: V }
+
+interface TokenBase {
   name: string
   path: string
-  type: 'COLOR' | 'DIMENSION' | 'TYPOGRAPHY' | 'SPACING' | 'BORDER_RADIUS' | 'OPACITY' | 'SHADOW'
-  value: string
   collection: string
   description?: string
   scope?: string[]
+  // W3C $extensions carried over from the source file
+  extensions?: Record<string, unknown>
+  // True when $type came from an ancestor group instead of the token itself
+  inheritedType?: boolean
+  // Only there so other tokens can reference it (Token Studio "source" sets);
+  // variable exports skip it and inline its value where it is referenced
+  referenceOnly?: boolean
+  // W3C $deprecated: why the token should no longer be used
+  deprecated?: string
+  // $type as written in the source file, for UNKNOWN tokens
+  sourceType?: string
 }
 
+// Discriminated on `type`, so narrowing the type also narrows `value`.
+// `value` is the value in the collection's default (first) mode; the store
+// keeps `modeValues` filled with one entry per mode of the collection.
+export type Token = {
+  [T in TokenType]: TokenBase & {
+    type: T
+    value: TokenValueByType[T]
+    modeValues?: ModeValues<TokenValueByType[T]>
+  }
+}[TokenType]
+
+// Any value a token can hold, regardless of its type
+export type AnyTokenValue = Token['value']
+
 export interface TokenCollection {
   id: string
   name: string
+  // Ordered mode names; the first one is the default mode
+  modes: string[]
+  // Every token in the collection is reference-only
+  referenceOnly?: boolean
   tokens: Token[]
   count: number
 }
 
-export type NavigationPage = 'browse-tokens' | 'manage-collections' | 'export-manager'
+export type NavigationPage = 'browse-tokens' | 'manage-collections' | 'export-manager' | 'dependency-graph'
+
+// Tokens as they were before an edit, to undo it
+export interface TokenSnapshot {
+  // What the edit did, e.g. "Re-point 3 tokens to global.blue.600"
+  label: string
+  tokens: Token[]
+  collectionModes: Record<string, string[]>
+  renamedTokens: RenamedToken[]
+}
 
 export interface TokenState {
   tokens: Token[]
   collections: TokenCollection[]
+  // Ordered mode names per collection name
+  collectionModes: Record<string, string[]>
+  // Alias references between tokens, rebuilt whenever the tokens change
+  dependencyGraph: DependencyGraph
+  // Block exports while any alias is circular, dangling, ambiguous or mistyped
+  strictAliases: boolean
+  // Pixels per rem when math mixes px and rem
+  remBase: number
+  // Old → new location of every token renamed since loading, for deprecated aliases
+  renamedTokens: RenamedToken[]
+  // Undoable edits, latest last
+  undoStack: TokenSnapshot[]
+  // Selected tokens as `collection.path` keys
   selectedTokens: string[]
   searchQuery: string
   filterByType: string
@@ -46,11 +205,28 @@ export interface TokenActions {
   addTokens: (tokens: Token[]) => void
   clearTokens: () => void
   setSelectedTokens: (tokenIds: string[]) => void
+  setStrictAliases: (strict: boolean) => void
+  setRemBase: (remBase: number) => void
   setSearchQuery: (query: string) => void
   setFilterByType: (type: string) => void
   toggleCollection: (collectionId: string) => void
-  loadFromJSON: (jsonData: any) => void
-  loadSampleData: (sampleData: any) => void
+  // Runs the import pipeline and commits the tokens when it succeeds
+  loadFromJSON: (jsonData: unknown) => ImportReport
+  // Commits the tokens of an import pipeline run, e.g. after showing its report.
+  // Replaces the current tokens unless another merge strategy is given.
+  commitImport: (result: ImportResult, strategy?: MergeStrategy, overrides?: Record<string, MergeChoice>) => void
+  loadSampleData: (sampleData: unknown) => void
+  // Mode actions
+  addMode: (collection: string, mode: string, copyFrom?: string) => void
+  renameMode: (collection: string, mode: string, newName: string) => void
+  reorderModes: (collection: string, modes: string[]) => void
+  deleteMode: (collection: string, mode: string) => void
+  // Moves a token or group and rewrites the references to it; nothing changes on conflicts
+  renameTokens: (source: TokenLocation, target: TokenLocation) => RenamePlan
+  // Points the references to one token in the given dependents at another token
+  repointAliases: (fromKey: string, toKey: string, tokenKeys: string[]) => RepointPlan
+  // Restores the tokens from before the latest undoable edit
+  undo: () => void
   // Navigation actions
   setCurrentPage: (page: NavigationPage) => void
   // Figma export actions